@@ -0,0 +1,5 @@
+-- Origem das decisões registradas (IA ou alteração manual via API)
+
+ALTER TABLE ai_decisions ADD COLUMN source TEXT NOT NULL DEFAULT 'ai'; -- 'ai' ou 'manual'
+
+CREATE INDEX idx_decisions_source ON ai_decisions(source);
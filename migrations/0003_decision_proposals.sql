@@ -0,0 +1,27 @@
+-- Fila de aprovação de decisões da IA (human-in-the-loop)
+
+-- Nível de autopiloto por campanha: 'auto', 'approval', 'suggest' (NULL = usa o global)
+ALTER TABLE campaigns ADD COLUMN autopilot_level TEXT;
+
+-- Propostas de decisão aguardando aprovação (ou apenas sugeridas)
+CREATE TABLE IF NOT EXISTS decision_proposals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  campaign_id TEXT NOT NULL,
+  decision_type TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  decision TEXT NOT NULL, -- JSON com a decisão completa
+  status TEXT NOT NULL, -- 'pending', 'suggested', 'approving', 'approved', 'failed', 'rejected', 'expired'
+  decision_id INTEGER, -- ai_decisions.id quando aprovada e executada
+  resolution_note TEXT,
+  expires_at INTEGER,
+  resolved_at INTEGER,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (campaign_id) REFERENCES campaigns(id),
+  FOREIGN KEY (decision_id) REFERENCES ai_decisions(id)
+);
+
+CREATE INDEX idx_proposals_campaign ON decision_proposals(campaign_id);
+CREATE INDEX idx_proposals_status ON decision_proposals(status);
+CREATE INDEX idx_proposals_expires ON decision_proposals(expires_at);
+
+-- ai_decisions.source passa a incluir 'approved' (decisão da IA aprovada manualmente)
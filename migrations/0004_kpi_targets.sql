@@ -0,0 +1,9 @@
+-- Metas de KPI configuráveis (global, por conta de anúncios e por campanha)
+
+CREATE TABLE IF NOT EXISTS kpi_targets (
+  scope TEXT NOT NULL, -- 'global', 'account', 'campaign'
+  scope_id TEXT NOT NULL, -- tenants.id para global ('' antes da 0013_tenants), account_id ou campaigns.id
+  targets TEXT NOT NULL, -- JSON: { targetCpl, targetCpa, minRoas, minCtr, budgetPacingThreshold, budgetAlertThreshold }
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (scope, scope_id)
+);
@@ -0,0 +1,12 @@
+-- Otimizador de orçamento entre campanhas
+
+-- Limites de orçamento diário por campanha (NULL = usa o padrão do otimizador)
+ALTER TABLE campaigns ADD COLUMN min_daily_budget REAL;
+ALTER TABLE campaigns ADD COLUMN max_daily_budget REAL;
+
+-- Agrupa decisões relacionadas (ex: par corte/aumento de uma realocação)
+ALTER TABLE ai_decisions ADD COLUMN group_id TEXT;
+
+CREATE INDEX idx_decisions_group ON ai_decisions(group_id);
+
+-- ai_decisions.source passa a incluir 'portfolio' (realocação do otimizador de orçamento)
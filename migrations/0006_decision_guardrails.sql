@@ -0,0 +1,14 @@
+-- Decisões bloqueadas pelos guardrails estatísticos (amostra, significância, baseline, cooldown)
+
+CREATE TABLE IF NOT EXISTS decision_skips (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  campaign_id TEXT NOT NULL,
+  decision_type TEXT NOT NULL,
+  skip_reason TEXT NOT NULL, -- 'insufficient_sample', 'not_significant', 'improving_vs_baseline', 'no_revenue_data', 'cooldown'
+  details TEXT, -- JSON com as evidências avaliadas
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
+);
+
+CREATE INDEX idx_skips_campaign ON decision_skips(campaign_id);
+CREATE INDEX idx_skips_created ON decision_skips(created_at);
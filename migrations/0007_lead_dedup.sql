@@ -0,0 +1,3 @@
+-- Deduplicação de leads por telefone (telefone passa a ser salvo em E.164)
+
+CREATE INDEX idx_leads_telefone ON leads(telefone);
@@ -0,0 +1,26 @@
+-- Funil de leads: status, valor por produto, venda real e conversões offline
+
+ALTER TABLE leads ADD COLUMN status TEXT NOT NULL DEFAULT 'new'; -- 'new', 'contacted', 'qualified', 'won', 'lost'
+ALTER TABLE leads ADD COLUMN status_updated_at INTEGER;
+ALTER TABLE leads ADD COLUMN value REAL; -- Valor estimado do lead (configurado por produto)
+ALTER TABLE leads ADD COLUMN sale_amount REAL; -- Valor real da venda (status 'won')
+ALTER TABLE leads ADD COLUMN gclid TEXT;
+
+CREATE INDEX idx_leads_status ON leads(status);
+
+-- Conversões offline enviadas às plataformas quando o lead avança no funil
+CREATE TABLE IF NOT EXISTS offline_conversions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  lead_id INTEGER NOT NULL,
+  platform TEXT NOT NULL, -- 'meta', 'google'
+  event_name TEXT NOT NULL, -- 'QualifiedLead', 'Purchase' ou ID da conversion action
+  lead_status TEXT NOT NULL, -- 'qualified', 'won'
+  value REAL,
+  status TEXT NOT NULL, -- 'sent', 'failed', 'skipped'
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (lead_id) REFERENCES leads(id)
+);
+
+CREATE UNIQUE INDEX idx_offline_conversions_lead ON offline_conversions(lead_id, platform, lead_status);
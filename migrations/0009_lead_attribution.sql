@@ -0,0 +1,11 @@
+-- Atribuição completa dos leads: click IDs, UTMs e página de entrada
+
+ALTER TABLE leads ADD COLUMN gbraid TEXT;
+ALTER TABLE leads ADD COLUMN wbraid TEXT;
+ALTER TABLE leads ADD COLUMN fbclid TEXT;
+ALTER TABLE leads ADD COLUMN utm_term TEXT;
+ALTER TABLE leads ADD COLUMN utm_content TEXT;
+ALTER TABLE leads ADD COLUMN landing_url TEXT;
+ALTER TABLE leads ADD COLUMN referrer TEXT;
+
+CREATE INDEX idx_leads_utm_campaign ON leads(utm_campaign);
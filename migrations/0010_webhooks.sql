@@ -0,0 +1,26 @@
+-- Webhooks de saída (CRM, WhatsApp) e log de entregas
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- Chave do HMAC (X-Webhook-Signature)
+  description TEXT,
+  active BOOLEAN DEFAULT 1,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  event TEXT NOT NULL, -- 'lead.created'
+  payload TEXT NOT NULL, -- JSON enviado
+  status TEXT NOT NULL, -- 'delivered', 'failed'
+  attempts INTEGER NOT NULL,
+  response_status INTEGER,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+);
+
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
@@ -0,0 +1,19 @@
+-- LGPD: consentimento dos leads e trilha de auditoria das solicitações dos titulares
+
+ALTER TABLE leads ADD COLUMN legal_basis TEXT; -- 'pre_contract' (art. 7º, V): atender o pedido de orçamento
+ALTER TABLE leads ADD COLUMN privacy_policy_version TEXT;
+ALTER TABLE leads ADD COLUMN consent_at INTEGER;
+ALTER TABLE leads ADD COLUMN consent_tracking BOOLEAN NOT NULL DEFAULT 0; -- Consentimento (art. 7º, I) para envio às plataformas de anúncios
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_type TEXT NOT NULL, -- 'export', 'delete'
+  subject_hash TEXT NOT NULL, -- HMAC-SHA256 do e-mail/telefone com o secret PRIVACY_HASH_KEY (sem guardar o dado pessoal)
+  lead_ids TEXT NOT NULL, -- JSON
+  summary TEXT NOT NULL, -- JSON com o que foi exportado/excluído
+  requested_by TEXT,
+  reason TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_dsr_subject ON data_subject_requests(subject_hash);
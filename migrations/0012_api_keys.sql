@@ -0,0 +1,13 @@
+-- Chaves de API (guardadas como hash SHA-256)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL, -- Início da chave, para identificação
+  scopes TEXT NOT NULL, -- JSON: ['read', 'write', 'campaign-spend', 'admin']
+  rate_limit INTEGER NOT NULL, -- Requisições por minuto
+  last_used_at INTEGER,
+  revoked_at INTEGER,
+  created_at INTEGER NOT NULL
+);
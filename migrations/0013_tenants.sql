@@ -0,0 +1,47 @@
+-- Multi-tenant: clientes da agência, contas de anúncios de cada um e escopo dos dados por cliente
+
+CREATE TABLE IF NOT EXISTS tenants (
+  id TEXT PRIMARY KEY, -- Slug do cliente (ex.: 'loja-centro')
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active', -- 'active', 'disabled'
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Cliente padrão: dados anteriores ao multi-tenant; usa os secrets do Worker quando não tem conta cadastrada
+INSERT OR IGNORE INTO tenants (id, name, status, created_at, updated_at)
+VALUES ('default', 'Padrão', 'active', strftime('%s', 'now') * 1000, strftime('%s', 'now') * 1000);
+
+-- Uma conta por plataforma e cliente
+CREATE TABLE IF NOT EXISTS ad_accounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tenant_id TEXT NOT NULL,
+  platform TEXT NOT NULL, -- 'meta', 'google', 'ga4'
+  account_id TEXT NOT NULL, -- Ad account do Meta, customer ID do Google Ads ou measurement ID do GA4
+  name TEXT,
+  credentials TEXT NOT NULL, -- JSON criptografado (AES-GCM com o secret CREDENTIALS_ENCRYPTION_KEY)
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id)
+);
+
+CREATE UNIQUE INDEX idx_ad_accounts_tenant_platform ON ad_accounts(tenant_id, platform);
+
+-- Escopo por cliente (linhas existentes ficam com o cliente padrão)
+ALTER TABLE campaigns ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE leads ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE generated_pages ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE alerts ADD COLUMN tenant_id TEXT DEFAULT 'default'; -- NULL: alerta do sistema (ex.: breaking change de API), visto por todos
+ALTER TABLE webhooks ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE data_subject_requests ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE api_keys ADD COLUMN tenant_id TEXT; -- NULL: chave da agência (escolhe o cliente pelo header X-Tenant-Id)
+
+UPDATE alerts SET tenant_id = NULL WHERE campaign_id IS NULL;
+
+-- Meta global passa a ser por cliente (scope_id = tenants.id)
+UPDATE kpi_targets SET scope_id = 'default' WHERE scope = 'global' AND scope_id = '';
+
+CREATE INDEX idx_campaigns_tenant ON campaigns(tenant_id, status);
+CREATE INDEX idx_leads_tenant ON leads(tenant_id, created_at);
+CREATE INDEX idx_pages_tenant ON generated_pages(tenant_id);
+CREATE INDEX idx_alerts_tenant ON alerts(tenant_id, created_at);
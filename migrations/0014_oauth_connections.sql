@@ -0,0 +1,19 @@
+-- Conexões OAuth com Meta e Google por cliente (substituem os tokens estáticos das contas)
+
+CREATE TABLE IF NOT EXISTS oauth_connections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tenant_id TEXT NOT NULL,
+  provider TEXT NOT NULL, -- 'meta', 'google'
+  status TEXT NOT NULL DEFAULT 'active', -- 'active', 'revoked'
+  tokens TEXT NOT NULL, -- JSON criptografado: Meta { accessToken } long-lived | Google { refreshToken }
+  scopes TEXT,
+  expires_at INTEGER, -- Vencimento do token long-lived do Meta (NULL no Google)
+  last_refreshed_at INTEGER,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id)
+);
+
+CREATE UNIQUE INDEX idx_oauth_connections_tenant_provider ON oauth_connections(tenant_id, provider);
+CREATE INDEX idx_oauth_connections_status ON oauth_connections(status, expires_at);
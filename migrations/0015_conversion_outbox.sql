@@ -0,0 +1,40 @@
+-- Outbox dos eventos de conversão dos leads (Meta CAPI, GA4): envio fora da requisição, com retry e dead letter
+
+CREATE TABLE IF NOT EXISTS conversion_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tenant_id TEXT NOT NULL,
+  lead_id INTEGER NOT NULL,
+  platform TEXT NOT NULL, -- 'meta', 'ga4'
+  event_name TEXT NOT NULL, -- 'Lead', 'generate_lead'
+  payload TEXT NOT NULL, -- JSON com os argumentos do envio (sendConversionEvent / sendEvent)
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'sent'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER NOT NULL,
+  locked_until INTEGER, -- Envio em andamento (fila e cron não enviam o mesmo evento ao mesmo tempo)
+  last_error TEXT,
+  sent_at INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (lead_id) REFERENCES leads(id)
+);
+
+CREATE INDEX idx_conversion_events_due ON conversion_events(status, next_attempt_at);
+CREATE INDEX idx_conversion_events_lead ON conversion_events(lead_id);
+
+-- Eventos que esgotaram as tentativas (reenviados manualmente pela API)
+CREATE TABLE IF NOT EXISTS conversion_dead_letters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tenant_id TEXT NOT NULL,
+  lead_id INTEGER NOT NULL,
+  platform TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  failed_at INTEGER NOT NULL,
+  replayed_at INTEGER, -- Reenviado: volta para conversion_events como novo evento
+  FOREIGN KEY (lead_id) REFERENCES leads(id)
+);
+
+CREATE INDEX idx_conversion_dead_letters_tenant ON conversion_dead_letters(tenant_id, replayed_at, failed_at);
+CREATE INDEX idx_conversion_dead_letters_lead ON conversion_dead_letters(lead_id);
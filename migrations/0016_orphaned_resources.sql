@@ -0,0 +1,19 @@
+-- Recursos que ficaram nas contas de anúncio após uma criação de campanha com falha (rollback incompleto)
+
+CREATE TABLE IF NOT EXISTS orphaned_resources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tenant_id TEXT NOT NULL,
+  platform TEXT NOT NULL, -- 'meta', 'google'
+  account_id TEXT,
+  resource_type TEXT NOT NULL, -- Meta: 'campaign', 'adset', 'adcreative', 'ad', 'advideo', 'adimage'; Google: 'campaignBudget', 'campaign'
+  resource_id TEXT NOT NULL,
+  campaign_name TEXT, -- Campanha que estava sendo criada
+  error TEXT, -- Erro que interrompeu a criação
+  cleanup_error TEXT, -- Erro da última tentativa de remoção
+  status TEXT NOT NULL DEFAULT 'orphaned', -- 'orphaned', 'removed'
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id)
+);
+
+CREATE INDEX idx_orphaned_resources_tenant ON orphaned_resources(tenant_id, status, created_at);
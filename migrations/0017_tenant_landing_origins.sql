@@ -0,0 +1,10 @@
+-- Origens dos formulários externos de cada cliente: leads sem pageId vão para o cliente da origem
+
+CREATE TABLE IF NOT EXISTS tenant_landing_origins (
+  origin TEXT PRIMARY KEY, -- Ex.: 'https://lojacentro.com.br' (uma origem pertence a um só cliente)
+  tenant_id TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (tenant_id) REFERENCES tenants(id)
+);
+
+CREATE INDEX idx_tenant_landing_origins_tenant ON tenant_landing_origins(tenant_id);
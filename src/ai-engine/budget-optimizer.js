@@ -0,0 +1,350 @@
+/**
+ * Budget Optimizer
+ * Realoca orçamento entre campanhas de um portfólio (conta ou Meta + Google)
+ */
+
+import { AIEngine } from './engine.js';
+import { KpiTargets } from './kpi-targets.js';
+import { recentPerformance, toDateString } from './performance.js';
+import { getUserConfig, setUserConfig, tenantConfigKey } from '../utils/config.js';
+import { generateId } from '../utils/helpers.js';
+
+// portfolios: [{ name, totalDailyBudget, platforms?: ['meta', 'google'], accountIds?: [...] }]
+export const DEFAULT_OPTIMIZER_SETTINGS = {
+  enabled: false,
+  lookbackDays: 7,
+  maxDailyChangePercent: 20, // Variação máxima do orçamento de cada campanha por dia
+  minMove: 1, // R$ - movimentos menores são ignorados
+  minUtilization: 0.8, // Só recebe verba quem já gasta ao menos 80% do orçamento
+  defaultMinBudget: 5, // R$/dia
+  defaultMaxBudget: 1000, // R$/dia
+  portfolios: []
+};
+
+export class BudgetOptimizer {
+  constructor(env) {
+    this.env = env;
+    this.aiEngine = new AIEngine(env);
+    this.kpiTargets = new KpiTargets(env);
+  }
+
+  /**
+   * Configuração do otimizador
+   */
+  async getSettings() {
+    const settings = await getUserConfig(this.env, 'budget_optimizer', {});
+    return { ...DEFAULT_OPTIMIZER_SETTINGS, ...settings };
+  }
+
+  /**
+   * Atualizar configuração do otimizador (merge parcial)
+   */
+  async updateSettings(changes) {
+    const settings = await this.getSettings();
+    return await setUserConfig(this.env, 'budget_optimizer', { ...settings, ...changes });
+  }
+
+  /**
+   * Otimizador já aplicou mudanças hoje (limite de variação diária por campanha)
+   */
+  async hasRunToday() {
+    const lastRun = await this.env.CONFIG.get(tenantConfigKey(this.env, 'budget_optimizer:last_run'));
+    return lastRun === toDateString(Date.now());
+  }
+
+  /**
+   * Otimizar todos os portfólios (no máximo uma vez por dia, mesmo forçado; simulação não conta)
+   * force: executa mesmo com o otimizador desativado
+   */
+  async optimizeAll({ force = false, dryRun = false } = {}) {
+    const settings = await this.getSettings();
+
+    if (!settings.enabled && !force) {
+      return [];
+    }
+
+    const today = toDateString(Date.now());
+
+    if (!dryRun && await this.hasRunToday()) {
+      console.log('Budget optimizer already ran today');
+      return [];
+    }
+
+    console.log('Starting budget optimization...');
+
+    const results = [];
+    for (const portfolio of settings.portfolios) {
+      try {
+        results.push(await this.optimizePortfolio(portfolio, settings, { dryRun }));
+      } catch (error) {
+        console.error(`Error optimizing portfolio ${portfolio.name}:`, error);
+        results.push({ portfolio: portfolio.name, error: error.message });
+      }
+    }
+
+    if (!dryRun) {
+      await this.env.CONFIG.put(tenantConfigKey(this.env, 'budget_optimizer:last_run'), today);
+    }
+
+    console.log('Budget optimization completed');
+    return results;
+  }
+
+  /**
+   * Otimizar um portfólio: tirar verba de quem está fora da meta e dar a quem tem folga
+   */
+  async optimizePortfolio(portfolio, settings, { dryRun = false } = {}) {
+    const campaigns = await this.loadCampaigns(portfolio, settings);
+
+    const donors = campaigns
+      .filter(c => c.score !== null && c.score < 1 && c.releasable >= settings.minMove)
+      .sort((a, b) => a.score - b.score);
+
+    const receivers = campaigns
+      .filter(c => c.score !== null && c.score >= 1 && c.utilization >= settings.minUtilization && c.room >= settings.minMove)
+      .sort((a, b) => b.score - a.score);
+
+    const currentTotal = campaigns.reduce((sum, c) => sum + c.budget, 0);
+    const total = portfolio.totalDailyBudget ?? currentTotal;
+
+    const moves = [];
+
+    // Acima do total do portfólio: cortar dos piores primeiro
+    let excess = currentTotal - total;
+    for (const donor of donors) {
+      if (excess < settings.minMove) break;
+      const amount = round(Math.min(excess, donor.releasable));
+      moves.push({ from: donor, to: null, amount });
+      donor.releasable -= amount;
+      excess -= amount;
+    }
+
+    // Abaixo do total: sobra vai para os melhores
+    let spare = total - currentTotal;
+    for (const receiver of receivers) {
+      if (spare < settings.minMove) break;
+      const amount = round(Math.min(spare, receiver.room));
+      moves.push({ from: null, to: receiver, amount });
+      receiver.room -= amount;
+      spare -= amount;
+    }
+
+    // Realocação em pares: doador -> receptor
+    for (const receiver of receivers) {
+      for (const donor of donors) {
+        if (receiver.room < settings.minMove) break;
+        if (donor.releasable < settings.minMove) continue;
+
+        const amount = round(Math.min(receiver.room, donor.releasable));
+        moves.push({ from: donor, to: receiver, amount });
+        donor.releasable -= amount;
+        receiver.room -= amount;
+      }
+    }
+
+    if (!dryRun) {
+      for (const move of moves) {
+        await this.applyMove(move, portfolio);
+      }
+    }
+
+    return {
+      portfolio: portfolio.name,
+      totalDailyBudget: total,
+      previousTotal: round(currentTotal),
+      dryRun,
+      moves: moves.map(move => ({
+        from: move.from?.campaign.id || null,
+        to: move.to?.campaign.id || null,
+        amount: move.amount,
+        applied: move.applied ?? false,
+        error: move.error
+      }))
+    };
+  }
+
+  /**
+   * Carregar campanhas do portfólio com desempenho recente e limites
+   * Só entram campanhas ativas com autopiloto 'auto'
+   */
+  async loadCampaigns(portfolio, settings) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM campaigns WHERE status = 'active' AND tenant_id = ?
+    `).bind(this.env.tenantId).all();
+
+    const campaigns = [];
+    for (const campaign of results) {
+      if (portfolio.platforms && !portfolio.platforms.includes(campaign.platform)) continue;
+      if (portfolio.accountIds && !portfolio.accountIds.includes(campaign.account_id)) continue;
+      if (await this.aiEngine.decisionQueue.resolveLevel(campaign) !== 'auto') continue;
+
+      const performance = await recentPerformance(this.env, campaign.id, settings.lookbackDays);
+      const targets = await this.kpiTargets.resolveForCampaign(campaign);
+
+      const budget = campaign.daily_budget || 0;
+      const minBudget = campaign.min_daily_budget ?? settings.defaultMinBudget;
+      const maxBudget = campaign.max_daily_budget ?? settings.defaultMaxBudget;
+      const maxChange = budget * settings.maxDailyChangePercent / 100;
+
+      campaigns.push({
+        campaign,
+        budget,
+        minBudget,
+        maxBudget,
+        performance,
+        score: this.score(performance, targets),
+        utilization: budget > 0 && performance.days > 0 ? (performance.spend / performance.days) / budget : 0,
+        releasable: Math.max(0, Math.min(maxChange, budget - minBudget)),
+        room: Math.max(0, Math.min(maxChange, maxBudget - budget))
+      });
+    }
+
+    return campaigns;
+  }
+
+  /**
+   * Eficiência relativa à meta (>= 1 está dentro da meta; null = sem dados)
+   * Usa ROAS quando há receita; caso contrário, CPL
+   */
+  score(performance, targets) {
+    if (performance.days === 0 || performance.spend <= 0) {
+      return null;
+    }
+
+    if (performance.revenue > 0) {
+      return (performance.revenue / performance.spend) / targets.minRoas;
+    }
+
+    if (performance.conversions > 0) {
+      return targets.targetCpl / (performance.spend / performance.conversions);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Aplicar movimento: corta do doador antes de aumentar o receptor
+   * O receptor recebe o que o doador de fato liberou; se o aumento falhar, o corte é desfeito
+   */
+  async applyMove(move, portfolio) {
+    const groupId = generateId();
+    const description = `R$ ${move.amount.toFixed(2)}/dia no portfólio ${portfolio.name}`;
+    let released = null;
+
+    try {
+      if (move.from) {
+        const reason = move.to
+          ? `Realocação: ${description} para "${move.to.campaign.name}" (eficiência ${move.from.score.toFixed(2)} vs ${move.to.score.toFixed(2)})`
+          : `Redução: ${description} acima do orçamento total`;
+
+        released = -(await this.applyBudget(move.from, -move.amount, reason, groupId));
+        move.amount = released;
+      }
+
+      if (move.to && (released === null || released > 0)) {
+        const reason = move.from
+          ? `Realocação: ${description} vindos de "${move.from.campaign.name}" (eficiência ${move.to.score.toFixed(2)} vs ${move.from.score.toFixed(2)})`
+          : `Aumento: ${description} disponíveis no orçamento total`;
+
+        const received = await this.applyBudget(move.to, released ?? move.amount, reason, groupId);
+        move.amount = received;
+      }
+
+      move.applied = true;
+    } catch (error) {
+      console.error('Error applying budget move:', error);
+      move.error = error.message;
+
+      // Aumento do receptor falhou: devolver ao doador o que foi cortado
+      if (move.to && released > 0) {
+        await this.restoreBudget(move, released, groupId);
+      }
+    }
+  }
+
+  /**
+   * Devolver ao doador o orçamento cortado em uma realocação que não se completou
+   */
+  async restoreBudget(move, amount, groupId) {
+    try {
+      await this.applyBudget(move.from, amount, `Reversão: aumento de "${move.to.campaign.name}" falhou (${move.error})`, groupId);
+      move.amount = 0;
+    } catch (error) {
+      console.error('Error restoring donor budget:', error);
+      move.error = `${move.error}; restore failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Alterar orçamento de uma campanha via AI Engine
+   * Retorna a variação aplicada pela plataforma (pode diferir de delta após os limites)
+   */
+  async applyBudget(entry, delta, reason, groupId) {
+    const currentBudget = entry.budget;
+
+    const result = await this.aiEngine.executeDecision(entry.campaign.id, {
+      type: 'budget_reallocation',
+      action: delta < 0 ? 'reduce_budget' : 'increase_budget',
+      reason,
+      currentBudget,
+      newBudget: round(currentBudget + delta),
+      minBudget: entry.minBudget,
+      maxBudget: entry.maxBudget
+    }, { source: 'portfolio', metricsBefore: entry.performance, groupId });
+
+    entry.budget = round(result?.newBudget ?? currentBudget + delta);
+    return round(entry.budget - currentBudget);
+  }
+}
+
+/**
+ * Arredondar para centavos
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validar configuração recebida pela API
+ * Retorna mensagem de erro ou null
+ */
+export function validateOptimizerSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_OPTIMIZER_SETTINGS)) {
+      return `Unknown setting: ${key}`;
+    }
+    if (key === 'enabled' && typeof value !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+    if (!['enabled', 'portfolios'].includes(key) && !(typeof value === 'number' && value >= 0)) {
+      return `${key} must be a non-negative number`;
+    }
+  }
+
+  if (settings.portfolios !== undefined) {
+    if (!Array.isArray(settings.portfolios)) {
+      return 'portfolios must be an array';
+    }
+
+    for (const portfolio of settings.portfolios) {
+      if (!portfolio?.name || typeof portfolio.name !== 'string') {
+        return 'Each portfolio needs a name';
+      }
+      if (portfolio.totalDailyBudget !== undefined && !(typeof portfolio.totalDailyBudget === 'number' && portfolio.totalDailyBudget > 0)) {
+        return `totalDailyBudget of ${portfolio.name} must be a positive number`;
+      }
+      if (portfolio.platforms !== undefined && !Array.isArray(portfolio.platforms)) {
+        return `platforms of ${portfolio.name} must be an array`;
+      }
+      if (portfolio.accountIds !== undefined && !Array.isArray(portfolio.accountIds)) {
+        return `accountIds of ${portfolio.name} must be an array`;
+      }
+    }
+  }
+
+  return null;
+}
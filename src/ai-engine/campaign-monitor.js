@@ -3,17 +3,15 @@
  * Monitora campanhas e toma decisões automaticamente
  */
 
-import { MetaAdsIntegration } from '../integrations/meta-ads.js';
-import { GoogleAdsIntegration } from '../integrations/google-ads.js';
 import { AIEngine } from './engine.js';
-import { calculateMetrics } from '../utils/helpers.js';
+import { KpiTargets } from './kpi-targets.js';
+import { currentMetrics } from './performance.js';
 
 export class CampaignMonitor {
   constructor(env) {
     this.env = env;
-    this.metaAds = new MetaAdsIntegration(env);
-    this.googleAds = new GoogleAdsIntegration(env);
     this.aiEngine = new AIEngine(env);
+    this.kpiTargets = new KpiTargets(env);
   }
 
   /**
@@ -26,8 +24,8 @@ export class CampaignMonitor {
       // Buscar campanhas ativas
       const { results: campaigns } = await this.env.DB.prepare(`
         SELECT * FROM campaigns 
-        WHERE status = 'active'
-      `).all();
+        WHERE status = 'active' AND tenant_id = ?
+      `).bind(this.env.tenantId).all();
 
       console.log(`Monitoring ${campaigns.length} active campaigns`);
 
@@ -48,22 +46,8 @@ export class CampaignMonitor {
     console.log(`Monitoring campaign: ${campaign.name}`);
 
     try {
-      // Obter métricas da plataforma
-      let platformMetrics;
-      if (campaign.platform === 'meta') {
-        platformMetrics = await this.metaAds.getCampaignMetrics(campaign.campaign_id);
-      } else if (campaign.platform === 'google') {
-        platformMetrics = await this.googleAds.getCampaignMetrics(campaign.campaign_id);
-      }
-
-      // Calcular métricas derivadas
-      const metrics = calculateMetrics({
-        impressions: parseInt(platformMetrics.impressions) || 0,
-        clicks: parseInt(platformMetrics.clicks) || 0,
-        spend: parseFloat(platformMetrics.spend) || 0,
-        conversions: parseFloat(platformMetrics.conversions) || 0,
-        revenue: 0 // Precisa vir do backend
-      });
+      // Obter métricas do dia na plataforma (performance_metrics guarda uma linha por dia)
+      const metrics = await currentMetrics(this.env, campaign);
 
       // Salvar métricas no D1
       await this.saveMetrics(campaign.id, metrics);
@@ -125,27 +109,28 @@ export class CampaignMonitor {
    */
   async checkAndCreateAlerts(campaign, metrics) {
     const alerts = [];
+    const targets = await this.kpiTargets.resolveForCampaign(campaign);
 
     // CPL muito alto
-    if (metrics.cpl > 50) {
+    if (metrics.cpl > targets.targetCpl) {
       alerts.push({
         type: 'high_cpl',
         severity: 'warning',
-        message: `CPL de R$ ${metrics.cpl.toFixed(2)} está acima do target de R$ 50`
+        message: `CPL de R$ ${metrics.cpl.toFixed(2)} está acima do target de R$ ${targets.targetCpl}`
       });
     }
 
     // ROAS muito baixo
-    if (metrics.roas < 2.0 && metrics.conversions > 10) {
+    if (metrics.roas < targets.minRoas && metrics.conversions > 10) {
       alerts.push({
         type: 'low_roas',
         severity: 'critical',
-        message: `ROAS de ${metrics.roas.toFixed(2)}x está abaixo do target de 2x`
+        message: `ROAS de ${metrics.roas.toFixed(2)}x está abaixo do target de ${targets.minRoas}x`
       });
     }
 
     // Orçamento quase esgotado
-    if (metrics.spend > campaign.daily_budget * 0.9) {
+    if (metrics.spend > campaign.daily_budget * targets.budgetAlertThreshold) {
       alerts.push({
         type: 'budget_exceeded',
         severity: 'info',
@@ -156,9 +141,10 @@ export class CampaignMonitor {
     // Salvar alertas
     for (const alert of alerts) {
       await this.env.DB.prepare(`
-        INSERT INTO alerts (campaign_id, alert_type, severity, message, created_at)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO alerts (tenant_id, campaign_id, alert_type, severity, message, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
       `).bind(
+        this.env.tenantId,
         campaign.id,
         alert.type,
         alert.severity,
@@ -191,13 +177,14 @@ export class CampaignMonitor {
           AVG(m.roas) as avg_roas
         FROM performance_metrics m
         JOIN campaigns c ON m.campaign_id = c.id
-        WHERE m.date >= date('now', '-7 days')
+        WHERE m.date >= date('now', '-7 days') AND c.tenant_id = ?
         GROUP BY c.id
         ORDER BY total_spend DESC
-      `).all();
+      `).bind(this.env.tenantId).all();
 
       // Formatar relatório
       const report = {
+        tenant: this.env.tenantId,
         period: 'Last 7 days',
         generated_at: new Date().toISOString(),
         campaigns: metrics,
@@ -0,0 +1,158 @@
+/**
+ * Decision Evaluator
+ * Avalia o resultado das decisões comparando janelas de métricas antes e depois
+ */
+
+import { getUserConfig } from '../utils/config.js';
+import { aggregatePerformance, DAY_MS } from './performance.js';
+
+// KPI que cada tipo de decisão tenta melhorar
+const DECISION_KPIS = {
+  bid_adjustment: { kpi: 'cpl', better: 'lower' },
+  budget_reallocation: { kpi: 'roas', better: 'higher' },
+  creative_refresh: { kpi: 'ctr', better: 'higher' }
+};
+
+// Decisões da IA (executadas pelo autopiloto ou aprovadas manualmente); manuais e do otimizador de portfólio ficam de fora
+export const EVALUATED_SOURCES = ['ai', 'approved'];
+
+const DEFAULT_SETTINGS = {
+  windowDays: 7
+};
+
+export class DecisionEvaluator {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Configuração da avaliação (janela em dias)
+   */
+  async getSettings() {
+    const settings = await getUserConfig(this.env, 'decision_evaluation', {});
+    return { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Avaliar decisões cuja janela posterior já terminou
+   */
+  async evaluatePending() {
+    console.log('Evaluating decision outcomes...');
+
+    try {
+      const { windowDays } = await this.getSettings();
+
+      // A janela "depois" vai do dia seguinte à decisão até windowDays dias depois
+      const cutoff = Date.now() - (windowDays + 1) * DAY_MS;
+      const decisionTypes = Object.keys(DECISION_KPIS);
+
+      // Só decisões da IA que mudaram algo na plataforma (sucesso, sem applied: false e, no
+      // orçamento, com valor diferente do anterior)
+      const { results: decisions } = await this.env.DB.prepare(`
+        SELECT * FROM ai_decisions
+        WHERE metrics_after IS NULL
+          AND created_at <= ?
+          AND decision_type IN (${decisionTypes.map(() => '?').join(', ')})
+          AND source IN (${EVALUATED_SOURCES.map(() => '?').join(', ')})
+          AND json_extract(action_taken, '$.result.success') = 1
+          AND COALESCE(json_extract(action_taken, '$.result.applied'), 1) != 0
+          AND (json_extract(action_taken, '$.result.previousBudget') IS NULL
+            OR json_extract(action_taken, '$.result.previousBudget') != json_extract(action_taken, '$.result.newBudget'))
+          AND campaign_id IN (SELECT id FROM campaigns WHERE tenant_id = ?)
+        ORDER BY created_at
+        LIMIT 100
+      `).bind(cutoff, ...decisionTypes, ...EVALUATED_SOURCES, this.env.tenantId).all();
+
+      for (const decision of decisions) {
+        await this.evaluate(decision, windowDays);
+      }
+
+      console.log(`Decision evaluation completed. Evaluated: ${decisions.length}`);
+      return decisions.length;
+    } catch (error) {
+      console.error('Error evaluating decisions:', error);
+    }
+  }
+
+  /**
+   * Avaliar uma decisão e salvar metrics_after e success
+   * metrics_before (foto do momento da execução) é mantido; a janela anterior vai em evaluation.beforeWindow
+   */
+  async evaluate(decision, windowDays) {
+    const decisionDay = new Date(decision.created_at);
+    decisionDay.setUTCHours(0, 0, 0, 0);
+
+    // O dia da decisão fica de fora das duas janelas
+    const before = await aggregatePerformance(
+      this.env,
+      decision.campaign_id,
+      decisionDay.getTime() - windowDays * DAY_MS,
+      decisionDay.getTime() - DAY_MS
+    );
+    const after = await aggregatePerformance(
+      this.env,
+      decision.campaign_id,
+      decisionDay.getTime() + DAY_MS,
+      decisionDay.getTime() + windowDays * DAY_MS
+    );
+
+    const { kpi, better } = DECISION_KPIS[decision.decision_type];
+    const kpiBefore = this.kpiValue(before, kpi);
+    const kpiAfter = this.kpiValue(after, kpi);
+
+    // Sem dados em alguma das janelas, ou sem conversões nas duas (CPL infinito antes e depois),
+    // o resultado fica inconclusivo (success = NULL)
+    let success = null;
+    if (kpiBefore !== null && kpiAfter !== null && (Number.isFinite(kpiBefore) || Number.isFinite(kpiAfter))) {
+      success = better === 'lower' ? kpiAfter < kpiBefore : kpiAfter > kpiBefore;
+    }
+
+    const evaluation = {
+      kpi,
+      better,
+      before: Number.isFinite(kpiBefore) ? kpiBefore : null,
+      after: Number.isFinite(kpiAfter) ? kpiAfter : null,
+      beforeWindow: before,
+      evaluatedAt: Date.now()
+    };
+
+    // Decisões antigas sem foto no momento da execução ficam com a janela anterior
+    await this.env.DB.prepare(`
+      UPDATE ai_decisions
+      SET metrics_before = COALESCE(metrics_before, ?), metrics_after = ?, success = ?
+      WHERE id = ?
+    `).bind(
+      JSON.stringify(before),
+      JSON.stringify({ ...after, evaluation }),
+      success === null ? null : (success ? 1 : 0),
+      decision.id
+    ).run();
+
+    return { decisionId: decision.id, success, evaluation };
+  }
+
+  /**
+   * Valor do KPI na janela (null quando não há dados para calcular)
+   */
+  kpiValue(window, kpi) {
+    if (window.days === 0) {
+      return null;
+    }
+
+    switch (kpi) {
+      case 'cpl':
+        if (window.conversions > 0) return window.spend / window.conversions;
+        // Gastou sem converter: pior CPL possível
+        return window.spend > 0 ? Infinity : null;
+
+      case 'roas':
+        return window.spend > 0 ? window.revenue / window.spend : null;
+
+      case 'ctr':
+        return window.impressions > 0 ? (window.clicks / window.impressions) * 100 : null;
+
+      default:
+        return null;
+    }
+  }
+}
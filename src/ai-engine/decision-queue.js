@@ -0,0 +1,171 @@
+/**
+ * Decision Queue
+ * Fila de aprovação das decisões de otimização (human-in-the-loop)
+ */
+
+import { getUserConfig, setUserConfig } from '../utils/config.js';
+
+// Níveis de autopiloto:
+// - auto: executa as decisões imediatamente
+// - approval: salva como proposta pendente de aprovação
+// - suggest: apenas registra a sugestão, sem execução
+export const AUTOPILOT_LEVELS = ['auto', 'approval', 'suggest'];
+
+const DEFAULT_SETTINGS = {
+  level: 'auto',
+  proposalTtlHours: 24
+};
+
+export class DecisionQueue {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Configuração do autopiloto do cliente
+   */
+  async getSettings() {
+    const settings = await getUserConfig(this.env, 'autopilot', {});
+    return { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Atualizar configuração do autopiloto do cliente
+   */
+  async updateSettings({ level, proposalTtlHours }) {
+    const settings = await this.getSettings();
+
+    if (level !== undefined) settings.level = level;
+    if (proposalTtlHours !== undefined) settings.proposalTtlHours = proposalTtlHours;
+
+    return await setUserConfig(this.env, 'autopilot', settings);
+  }
+
+  /**
+   * Nível de autopiloto efetivo da campanha (campanha > global)
+   */
+  async resolveLevel(campaign) {
+    if (campaign?.autopilot_level) {
+      return campaign.autopilot_level;
+    }
+
+    const settings = await this.getSettings();
+    return settings.level;
+  }
+
+  /**
+   * Registrar proposta de decisão ('pending' ou 'suggested')
+   * Não duplica propostas abertas do mesmo tipo para a mesma campanha
+   */
+  async propose(campaignId, decision, status = 'pending') {
+    const existing = await this.env.DB.prepare(`
+      SELECT id FROM decision_proposals
+      WHERE campaign_id = ? AND decision_type = ? AND status = ?
+        AND (expires_at IS NULL OR expires_at > ?)
+    `).bind(campaignId, decision.type, status, Date.now()).first();
+
+    if (existing) {
+      return existing.id;
+    }
+
+    const { proposalTtlHours } = await this.getSettings();
+    const now = Date.now();
+
+    const result = await this.env.DB.prepare(`
+      INSERT INTO decision_proposals (campaign_id, decision_type, reason, decision,
+                                      status, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      campaignId,
+      decision.type,
+      decision.reason,
+      JSON.stringify(decision),
+      status,
+      now + proposalTtlHours * 60 * 60 * 1000,
+      now
+    ).run();
+
+    return result.meta.last_row_id;
+  }
+
+  /**
+   * Marcar propostas vencidas como expiradas
+   */
+  async expireStale() {
+    const now = Date.now();
+
+    await this.env.DB.prepare(`
+      UPDATE decision_proposals
+      SET status = 'expired', resolved_at = ?
+      WHERE status IN ('pending', 'suggested') AND expires_at <= ?
+    `).bind(now, now).run();
+  }
+
+  /**
+   * Listar propostas pendentes de aprovação
+   */
+  async listPending() {
+    await this.expireStale();
+
+    const { results } = await this.env.DB.prepare(`
+      SELECT p.*, c.name as campaign_name, c.platform
+      FROM decision_proposals p
+      JOIN campaigns c ON p.campaign_id = c.id
+      WHERE p.status = 'pending' AND c.tenant_id = ?
+      ORDER BY p.created_at DESC
+      LIMIT 100
+    `).bind(this.env.tenantId).all();
+
+    return results.map(proposal => ({
+      ...proposal,
+      decision: JSON.parse(proposal.decision)
+    }));
+  }
+
+  /**
+   * Buscar proposta (expirando-a se o prazo já passou)
+   */
+  async get(proposalId) {
+    await this.expireStale();
+
+    const proposal = await this.env.DB.prepare(`
+      SELECT p.* FROM decision_proposals p
+      JOIN campaigns c ON p.campaign_id = c.id
+      WHERE p.id = ? AND c.tenant_id = ?
+    `).bind(proposalId, this.env.tenantId).first();
+
+    if (!proposal) {
+      return null;
+    }
+
+    return { ...proposal, decision: JSON.parse(proposal.decision) };
+  }
+
+  /**
+   * Tomar proposta pendente para aprovação ('approving') ou rejeição ('rejected')
+   * O UPDATE condicional é atômico: de duas requisições simultâneas, só uma consegue (false para a outra)
+   */
+  async claim(proposalId, status, { note = null } = {}) {
+    const now = Date.now();
+
+    const { meta } = await this.env.DB.prepare(`
+      UPDATE decision_proposals
+      SET status = ?, resolution_note = ?, resolved_at = ?
+      WHERE id = ? AND status = 'pending' AND (expires_at IS NULL OR expires_at > ?)
+        AND campaign_id IN (SELECT id FROM campaigns WHERE tenant_id = ?)
+    `).bind(status, note, status === 'approving' ? null : now, proposalId, now, this.env.tenantId).run();
+
+    return meta.changes === 1;
+  }
+
+  /**
+   * Resolver proposta (approved, failed ou rejected)
+   */
+  async resolve(proposalId, status, { decisionId = null, note = null } = {}) {
+    await this.env.DB.prepare(`
+      UPDATE decision_proposals
+      SET status = ?, decision_id = ?, resolution_note = ?, resolved_at = ?
+      WHERE id = ?
+    `).bind(status, decisionId, note, Date.now(), proposalId).run();
+  }
+}
@@ -2,68 +2,101 @@
  * AI Engine - Motor de decisão da IA
  */
 
-import { MetaAdsIntegration } from '../integrations/meta-ads.js';
-import { GoogleAdsIntegration } from '../integrations/google-ads.js';
+import { createAdPlatform } from '../integrations/ad-platforms.js';
+import { CreationSaga } from '../integrations/creation-saga.js';
+import { RESPONSIVE_SEARCH_AD_LIMITS } from '../integrations/google-ads.js';
+import { DecisionQueue } from './decision-queue.js';
+import { KpiTargets } from './kpi-targets.js';
+import { currentMetrics } from './performance.js';
+import { DecisionGuardrails } from './guardrails.js';
 import { generateId } from '../utils/helpers.js';
 
+// Tipo de decisão registrado para cada mudança manual de status
+const STATUS_DECISION_TYPES = {
+  active: 'activate_campaign',
+  paused: 'pause_campaign',
+  archived: 'archive_campaign'
+};
+
+// Fuso usado quando não é possível consultar a conta de anúncios
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
 export class AIEngine {
   constructor(env) {
     this.env = env;
-    this.metaAds = new MetaAdsIntegration(env);
-    this.googleAds = new GoogleAdsIntegration(env);
+    this.decisionQueue = new DecisionQueue(env);
+    this.kpiTargets = new KpiTargets(env);
+    this.guardrails = new DecisionGuardrails(env);
   }
 
   /**
    * Criar campanha automaticamente
    */
-  async createCampaign({ platform, product, budget, region, objective, creatives }) {
+  async createCampaign({ platform, product, budget, region, objective, creatives, search }) {
     console.log('AI Engine: Creating campaign', { platform, product, budget });
 
+    // Metas de KPI da conta (ou globais)
+    const accountId = this.env.accounts[platform]?.accountId;
+    const targets = await this.kpiTargets.resolve({ accountId });
+
     // Analisar produto e definir estratégia
-    const strategy = await this.analyzeProductAndDefineStrategy(product, objective);
+    const strategy = await this.analyzeProductAndDefineStrategy(product, objective, targets);
 
     // Definir targeting baseado em conhecimento absorvido
     const targeting = await this.defineTargeting(product, region);
 
-    // Criar campanha na plataforma
-    let campaignResult;
-    if (platform === 'meta') {
-      campaignResult = await this.metaAds.createCampaign({
-        name: `${product} - Conversões`,
-        objective: objective || 'OUTCOME_SALES',
-        budget,
-        targeting,
-        creatives: creatives || []
-      });
-    } else if (platform === 'google') {
-      campaignResult = await this.googleAds.createCampaign({
-        name: `${product} - Conversões`,
-        type: 'SEARCH',
-        budget,
-        targeting,
-        keywords: strategy.keywords
-      });
-    }
+    // Anúncios de Pesquisa (Google): textos gerados, substituídos pelos enviados em search
+    const searchCampaign = platform === 'google'
+      ? { ...this.defineSearchAds(product, region), ...search }
+      : undefined;
 
-    // Salvar no D1
-    const campaignId = generateId();
-    await this.env.DB.prepare(`
-      INSERT INTO campaigns (id, platform, account_id, campaign_id, name, objective, 
-                             status, daily_budget, metadata, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      campaignId,
+    // Criar campanha na plataforma (cada adaptador usa os campos que a plataforma suporta)
+    // Falha na criação não deixa recursos na conta (o adaptador desfaz os passos já feitos)
+    // Cada recurso criado entra na saga assim que existe
+    const adPlatform = createAdPlatform(platform, this.env);
+    const saga = new CreationSaga(this.env, {
       platform,
-      campaignResult.accountId,
-      campaignResult.campaignId,
-      campaignResult.name,
-      objective || '',
-      'paused', // Inicia pausado para revisão
+      accountId,
+      campaignName: `${product} - Conversões`,
+      adapter: adPlatform
+    });
+    const campaignResult = await adPlatform.createCampaign({
+      name: `${product} - Conversões`,
+      objective,
       budget,
-      JSON.stringify({ strategy, targeting }),
-      Date.now(),
-      Date.now()
-    ).run();
+      targeting,
+      creatives: creatives || [],
+      keywords: strategy.keywords,
+      targetCpa: strategy.targetCPA,
+      search: searchCampaign,
+      saga
+    });
+
+    // Salvar no D1 (sem o registro, a campanha da plataforma é removida para não ficar órfã)
+    const campaignId = generateId();
+    try {
+      await this.env.DB.prepare(`
+        INSERT INTO campaigns (id, tenant_id, platform, account_id, campaign_id, name, objective, 
+                               status, daily_budget, metadata, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        campaignId,
+        this.env.tenantId,
+        platform,
+        campaignResult.accountId,
+        campaignResult.campaignId,
+        campaignResult.name,
+        objective || '',
+        'paused', // Inicia pausado para revisão
+        budget,
+        JSON.stringify({ strategy, targeting, search: searchCampaign }),
+        Date.now(),
+        Date.now()
+      ).run();
+    } catch (error) {
+      error.rollback = await saga.rollback(error);
+      throw error;
+    }
 
     // Registrar decisão
     await this.logDecision({
@@ -87,18 +120,19 @@ export class AIEngine {
   /**
    * Analisar produto e definir estratégia
    */
-  async analyzeProductAndDefineStrategy(product, objective) {
+  async analyzeProductAndDefineStrategy(product, objective, targets) {
     // Usar conhecimento absorvido para definir estratégia
 
     const productLower = product.toLowerCase();
     
     // Estratégias baseadas em tipo de produto
+    // Keywords na notação do Google Ads: [exata], "frase" ou ampla
     let strategy = {
       funnel: 'bottom', // bottom, middle, top
-      keywords: [],
+      keywords: [`[${product}]`, `"${product}"`],
       interests: [],
       bidStrategy: 'TARGET_CPA',
-      targetCPA: 50.00
+      targetCPA: targets.targetCpa
     };
 
     // Produtos de construção/reforma (ex: forro de gesso)
@@ -106,12 +140,12 @@ export class AIEngine {
         productLower.includes('drywall') || productLower.includes('construção')) {
       
       strategy.keywords = [
-        `${product}`,
-        `${product} preço`,
-        `${product} instalação`,
-        `${product} orçamento`,
-        `comprar ${product}`,
-        `${product} perto de mim`
+        `[${product}]`,
+        `"${product} preço"`,
+        `"${product} instalação"`,
+        `"${product} orçamento"`,
+        `"comprar ${product}"`,
+        `"${product} perto de mim"`
       ];
 
       strategy.interests = [
@@ -119,8 +153,6 @@ export class AIEngine {
         { id: '6003107902433', name: 'Construction' },
         { id: '6003020834693', name: 'Do it yourself (DIY)' }
       ];
-
-      strategy.targetCPA = 40.00; // R$ 40 por lead
     }
 
     // Ajustar baseado no objetivo
@@ -143,6 +175,7 @@ export class AIEngine {
       geoLocations: {},
       ageMin: 25,
       ageMax: 55,
+      languages: ['pt'],
       interests: [],
       behaviors: []
     };
@@ -178,6 +211,48 @@ export class AIEngine {
 
     return targeting;
   }
+  /**
+   * Textos dos anúncios de Pesquisa (Responsive Search Ad e callouts)
+   * Textos acima do limite de caracteres são descartados
+   */
+  defineSearchAds(product, region) {
+    const place = region || null;
+
+    const headlines = fitTexts([
+      product,
+      `${product} com Instalação`,
+      place && `${product} em ${place}`,
+      `Orçamento de ${product}`,
+      'Peça seu Orçamento Grátis',
+      'Instalação Profissional',
+      'Parcele em até 10x sem Juros',
+      'Garantia de 5 Anos',
+      'Equipe Especializada',
+      'Materiais de Primeira Linha',
+      'Atendimento Rápido',
+      'Preço Justo e Transparente',
+      'Agende uma Visita Técnica',
+      place && `Atendemos ${place}`,
+      'Fale com um Especialista',
+      'Orçamento sem Compromisso'
+    ], RESPONSIVE_SEARCH_AD_LIMITS.headlines);
+
+    const descriptions = fitTexts([
+      `${product} com instalação profissional e materiais de primeira linha. Peça seu orçamento!`,
+      'Orçamento grátis e sem compromisso. Parcele em até 10x sem juros no cartão.',
+      'Equipe especializada e experiente. Garantia de 5 anos em todos os serviços.',
+      `Atendimento rápido em ${place || 'toda a região'}. Agende uma visita técnica.`,
+      'Instalação profissional e materiais de primeira linha. Peça seu orçamento!',
+      'Atendimento rápido na sua região. Agende uma visita técnica.'
+    ], RESPONSIVE_SEARCH_AD_LIMITS.descriptions);
+
+    return {
+      headlines,
+      descriptions,
+      callouts: ['Orçamento Grátis', 'Parcele em até 10x', 'Garantia de 5 Anos', 'Instalação Profissional']
+    };
+  }
+
 
   /**
    * Tomar decisão de otimização
@@ -185,103 +260,318 @@ export class AIEngine {
   async makeOptimizationDecision(campaignId, metrics) {
     const decisions = [];
 
-    // Regras de decisão baseadas em métricas
+    const campaign = await this.env.DB.prepare(`
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).bind(campaignId, this.env.tenantId).first();
+
+    const targets = await this.kpiTargets.resolveForCampaign(campaign);
+    const timezone = await this.getAccountTimezone(campaign);
+    const context = await this.guardrails.buildContext(campaign, timezone);
+
+    // Regras de decisão: cada uma só dispara se passar pelos guardrails estatísticos
+    const candidates = [];
 
     // CPL muito alto
-    if (metrics.cpl > 50) {
-      decisions.push({
-        type: 'bid_adjustment',
-        action: 'decrease_bid',
-        reason: `CPL de R$ ${metrics.cpl.toFixed(2)} está acima do target de R$ 50`,
-        adjustment: -10 // Reduzir bid em 10%
+    const cpl = this.guardrails.checkCpl(context, targets);
+    if (cpl) {
+      candidates.push({
+        check: cpl,
+        decision: {
+          type: 'bid_adjustment',
+          action: 'decrease_bid',
+          reason: `CPL de R$ ${formatBound(cpl.evidence.cpl)} (mínimo provável R$ ${cpl.evidence.cplLower.toFixed(2)}) está acima do target de R$ ${targets.targetCpl}`,
+          adjustment: -10 // Reduzir bid em 10%
+        }
       });
     }
 
     // ROAS muito baixo
-    if (metrics.roas < 2.0 && metrics.conversions > 10) {
-      decisions.push({
-        type: 'budget_reallocation',
-        action: 'reduce_budget',
-        reason: `ROAS de ${metrics.roas.toFixed(2)}x está abaixo do target de 2x`,
-        adjustment: -20 // Reduzir orçamento em 20%
+    const roas = this.guardrails.checkRoas(context, targets);
+    if (roas) {
+      candidates.push({
+        check: roas,
+        decision: {
+          type: 'budget_reallocation',
+          action: 'reduce_budget',
+          reason: `ROAS de ${roas.evidence.roas.toFixed(2)}x está abaixo do target de ${targets.minRoas}x`,
+          adjustment: -20, // Reduzir orçamento em 20%
+          currentBudget: campaign.daily_budget
+        }
       });
     }
 
     // CTR muito baixo
-    if (metrics.ctr < 1.0 && metrics.impressions > 1000) {
-      decisions.push({
-        type: 'creative_refresh',
-        action: 'suggest_new_creatives',
-        reason: `CTR de ${metrics.ctr.toFixed(2)}% está muito baixo`,
-        suggestion: 'Criar novos criativos com copy mais persuasivo'
+    const ctr = this.guardrails.checkCtr(context, targets);
+    if (ctr) {
+      candidates.push({
+        check: ctr,
+        decision: {
+          type: 'creative_refresh',
+          action: 'suggest_new_creatives',
+          reason: `CTR de ${ctr.evidence.ctr.toFixed(2)}% (máximo provável ${ctr.evidence.ctrUpper.toFixed(2)}%) está abaixo do target de ${targets.minCtr}%`,
+          suggestion: 'Criar novos criativos com copy mais persuasivo'
+        }
       });
     }
 
-    // Gastar muito rápido
-    if (metrics.spend > metrics.dailyBudget * 0.8 && new Date().getHours() < 12) {
-      decisions.push({
-        type: 'pacing_adjustment',
-        action: 'slow_down_delivery',
-        reason: 'Gastando orçamento muito rápido',
-        adjustment: 'Mudar para entrega uniforme'
+    // Gastar muito rápido (hora local da conta)
+    const pacing = this.guardrails.checkPacing(context, metrics, targets);
+    if (pacing) {
+      candidates.push({
+        check: pacing,
+        decision: {
+          type: 'pacing_adjustment',
+          action: 'slow_down_delivery',
+          reason: `Gastando orçamento muito rápido: R$ ${metrics.spend.toFixed(2)} de R$ ${metrics.dailyBudget} antes das ${context.localHour + 1}h (${timezone})`,
+          adjustment: 'Mudar para entrega uniforme'
+        }
       });
     }
 
-    // Executar decisões
+    for (const { check, decision } of candidates) {
+      if (!check.pass) {
+        await this.guardrails.recordSkip(campaignId, decision.type, check.skipReason, check.evidence);
+        continue;
+      }
+
+      if (await this.guardrails.inCooldown(campaignId, decision.type, context.settings)) {
+        await this.guardrails.recordSkip(campaignId, decision.type, 'cooldown', check.evidence);
+        continue;
+      }
+
+      decision.evidence = check.evidence;
+      decisions.push(decision);
+    }
+
+    // Executar, propor ou apenas sugerir conforme o nível de autopiloto
+    const level = await this.decisionQueue.resolveLevel(campaign);
+
     for (const decision of decisions) {
-      await this.executeDecision(campaignId, decision);
+      if (level === 'auto') {
+        await this.executeDecision(campaignId, decision, { metricsBefore: metrics });
+        decision.disposition = 'executed';
+      } else if (level === 'approval') {
+        decision.proposalId = await this.decisionQueue.propose(campaignId, decision, 'pending');
+        decision.disposition = 'pending_approval';
+      } else {
+        decision.proposalId = await this.decisionQueue.propose(campaignId, decision, 'suggested');
+        decision.disposition = 'suggested';
+      }
     }
 
     return decisions;
   }
 
+  /**
+   * Fuso horário da conta de anúncios (cache no KV)
+   */
+  async getAccountTimezone(campaign) {
+    const cacheKey = `account_timezone:${campaign.platform}:${campaign.account_id}`;
+    const cached = await this.env.CONFIG.get(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const timezone = await createAdPlatform(campaign.platform, this.env).getAccountTimezone();
+
+      if (timezone) {
+        await this.env.CONFIG.put(cacheKey, timezone, { expirationTtl: 7 * 24 * 60 * 60 });
+        return timezone;
+      }
+    } catch (error) {
+      console.error('Error fetching account timezone:', error);
+    }
+
+    return DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Executar a decisão de uma proposta já tomada para aprovação (DecisionQueue.claim)
+   * Métricas do momento da aprovação ficam como metrics_before (base da avaliação da decisão)
+   * Se a execução falhar, a proposta fica como 'failed' (com o erro na nota) e o erro é repassado
+   */
+  async approveProposal(proposal, note = null) {
+    let result;
+    try {
+      result = await this.executeDecision(proposal.campaign_id, proposal.decision, {
+        source: 'approved',
+        metricsBefore: await this.snapshotMetrics(proposal.campaign_id)
+      });
+    } catch (error) {
+      await this.decisionQueue.resolve(proposal.id, 'failed', { note: error.message });
+      throw error;
+    }
+
+    await this.decisionQueue.resolve(proposal.id, 'approved', {
+      decisionId: result.decisionId,
+      note
+    });
+
+    return result;
+  }
+
+  /**
+   * Métricas do dia da campanha na plataforma (null se não for possível obter)
+   */
+  async snapshotMetrics(campaignId) {
+    try {
+      const campaign = await this.env.DB.prepare(`
+        SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+      `).bind(campaignId, this.env.tenantId).first();
+
+      return campaign ? await currentMetrics(this.env, campaign) : null;
+    } catch (error) {
+      console.error('Error taking metrics snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Alterar status da campanha manualmente (active, paused, archived)
+   */
+  async setCampaignStatus(campaignId, status) {
+    const result = await this.executeDecision(campaignId, {
+      type: STATUS_DECISION_TYPES[status],
+      reason: `Status alterado manualmente para ${status}`
+    }, { source: 'manual' });
+
+    await this.env.DB.prepare(`
+      UPDATE campaigns SET status = ?, updated_at = ? WHERE id = ?
+    `).bind(status, Date.now(), campaignId).run();
+
+    return result;
+  }
+
+  /**
+   * Editar nome, orçamento diário e limites de orçamento da campanha manualmente
+   */
+  async updateCampaign(campaignId, { name, budget, minBudget, maxBudget }) {
+    const results = {};
+
+    if (name !== undefined) {
+      results.name = await this.executeDecision(campaignId, {
+        type: 'rename_campaign',
+        name,
+        reason: `Nome alterado manualmente para "${name}"`
+      }, { source: 'manual' });
+    }
+
+    if (budget !== undefined) {
+      results.budget = await this.executeDecision(campaignId, {
+        type: 'budget_reallocation',
+        newBudget: budget,
+        reason: `Orçamento alterado manualmente para R$ ${budget}/dia`
+      }, { source: 'manual' });
+    }
+
+    // O orçamento já é gravado por executeDecision
+    if (name !== undefined) {
+      await this.env.DB.prepare(`
+        UPDATE campaigns SET name = ?, updated_at = ? WHERE id = ?
+      `).bind(name, Date.now(), campaignId).run();
+    }
+
+    // Limites usados pelo otimizador de orçamento (null = padrão do otimizador)
+    if (minBudget !== undefined || maxBudget !== undefined) {
+      const campaign = await this.env.DB.prepare(`
+        SELECT min_daily_budget, max_daily_budget FROM campaigns WHERE id = ? AND tenant_id = ?
+      `).bind(campaignId, this.env.tenantId).first();
+
+      await this.env.DB.prepare(`
+        UPDATE campaigns SET min_daily_budget = ?, max_daily_budget = ?, updated_at = ? WHERE id = ?
+      `).bind(
+        minBudget !== undefined ? minBudget : campaign.min_daily_budget,
+        maxBudget !== undefined ? maxBudget : campaign.max_daily_budget,
+        Date.now(),
+        campaignId
+      ).run();
+
+      results.limits = {
+        minBudget: minBudget !== undefined ? minBudget : campaign.min_daily_budget,
+        maxBudget: maxBudget !== undefined ? maxBudget : campaign.max_daily_budget
+      };
+    }
+
+    return results;
+  }
+
   /**
    * Executar decisão
    */
-  async executeDecision(campaignId, decision) {
+  async executeDecision(campaignId, decision, { source = 'ai', metricsBefore = null, groupId = null } = {}) {
     // Buscar campanha
     const campaign = await this.env.DB.prepare(`
-      SELECT * FROM campaigns WHERE id = ?
-    `).bind(campaignId).first();
+      SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+    `).bind(campaignId, this.env.tenantId).first();
 
     if (!campaign) {
       throw new Error('Campaign not found');
     }
 
     // Executar via API da plataforma
-    let result;
-    if (campaign.platform === 'meta') {
-      result = await this.metaAds.executeDecision(campaign.campaign_id, decision);
-    } else if (campaign.platform === 'google') {
-      result = await this.googleAds.executeDecision(campaign.campaign_id, decision);
+    const result = await createAdPlatform(campaign.platform, this.env).executeDecision(campaign.campaign_id, decision);
+
+    if (source !== 'ai' && result?.success === false) {
+      throw new Error(result.message);
+    }
+
+    // Gravar o orçamento efetivamente aplicado na plataforma
+    if (decision.type === 'budget_reallocation' && result?.success && result.newBudget != null) {
+      await this.env.DB.prepare(`
+        UPDATE campaigns SET daily_budget = ?, updated_at = ? WHERE id = ?
+      `).bind(result.newBudget, Date.now(), campaignId).run();
     }
 
     // Registrar decisão
-    await this.logDecision({
+    const decisionId = await this.logDecision({
       campaignId,
       decisionType: decision.type,
       reason: decision.reason,
-      actionTaken: JSON.stringify({ decision, result })
+      actionTaken: JSON.stringify({ decision, result }),
+      metricsBefore,
+      source,
+      groupId
     });
 
-    return result;
+    return { ...result, decisionId };
   }
 
   /**
    * Registrar decisão no D1
    */
-  async logDecision({ campaignId, decisionType, reason, actionTaken, metricsBefore = null }) {
-    await this.env.DB.prepare(`
+  async logDecision({ campaignId, decisionType, reason, actionTaken, metricsBefore = null, source = 'ai', groupId = null }) {
+    const { meta } = await this.env.DB.prepare(`
       INSERT INTO ai_decisions (campaign_id, decision_type, reason, action_taken, 
-                                metrics_before, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+                                metrics_before, source, group_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       campaignId,
       decisionType,
       reason,
       actionTaken,
       metricsBefore ? JSON.stringify(metricsBefore) : null,
+      source,
+      groupId,
       Date.now()
     ).run();
+
+    return meta.last_row_id;
   }
 }
+
+/**
+ * Formatar valor monetário que pode ser indefinido (ex: CPL sem conversões)
+ */
+function formatBound(value) {
+  return value === null ? '∞' : value.toFixed(2);
+}
+
+/**
+ * Textos que cabem no limite (sem vazios nem repetidos), até a quantidade máxima
+ */
+function fitTexts(texts, { max, maxLength }) {
+  const fitting = texts.filter(text => text && text.length <= maxLength);
+  return [...new Set(fitting)].slice(0, max);
+}
@@ -0,0 +1,315 @@
+/**
+ * Decision Guardrails
+ * Validação estatística antes de qualquer decisão automática
+ */
+
+import { aggregatePerformance, DAY_MS } from './performance.js';
+import { getUserConfig, setUserConfig } from '../utils/config.js';
+
+export const DEFAULT_GUARDRAIL_SETTINGS = {
+  windowDays: 3, // Janela avaliada (inclui hoje)
+  baselineDays: 14, // Baseline: dias anteriores à janela
+  confidence: 0.95,
+  minImpressions: 1000, // Regra de CTR
+  minClicks: 50, // Regra de CPL
+  minConversions: 10, // Regra de ROAS
+  minPacingClicks: 20, // Regra de ritmo de gasto (cliques do dia)
+  cooldownHours: 72 // Intervalo mínimo entre decisões do mesmo tipo na mesma campanha
+};
+
+// Valor z (bicaudal) para cada nível de confiança
+const Z_SCORES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+export class DecisionGuardrails {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Configuração dos guardrails
+   */
+  async getSettings() {
+    const settings = await getUserConfig(this.env, 'decision_guardrails', {});
+    return { ...DEFAULT_GUARDRAIL_SETTINGS, ...settings };
+  }
+
+  /**
+   * Atualizar configuração dos guardrails (merge parcial)
+   */
+  async updateSettings(changes) {
+    const settings = await this.getSettings();
+    return await setUserConfig(this.env, 'decision_guardrails', { ...settings, ...changes });
+  }
+
+  /**
+   * Montar contexto da avaliação: janela atual, baseline e hora local da conta
+   */
+  async buildContext(campaign, timezone) {
+    const settings = await this.getSettings();
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const windowStart = today.getTime() - (settings.windowDays - 1) * DAY_MS;
+
+    const current = await aggregatePerformance(this.env, campaign.id, windowStart, today);
+    const baseline = await aggregatePerformance(
+      this.env,
+      campaign.id,
+      windowStart - settings.baselineDays * DAY_MS,
+      windowStart - DAY_MS
+    );
+
+    return {
+      settings,
+      z: Z_SCORES[settings.confidence] || Z_SCORES[0.95],
+      current,
+      baseline,
+      timezone,
+      localHour: localHour(timezone)
+    };
+  }
+
+  /**
+   * CPL acima da meta: o limite inferior do intervalo precisa estar acima da meta
+   * Retorna null (regra não disparou), { pass: true } ou { pass: false, skipReason }
+   */
+  checkCpl(context, targets) {
+    const { current, baseline, settings, z } = context;
+
+    const triggered = current.conversions > 0
+      ? current.spend / current.conversions > targets.targetCpl
+      : current.spend > targets.targetCpl;
+
+    if (!triggered) return null;
+
+    const conversions = poissonInterval(current.conversions, z);
+    const evidence = {
+      cpl: current.conversions > 0 ? current.spend / current.conversions : null,
+      cplLower: current.spend / conversions.upper,
+      cplUpper: conversions.lower > 0 ? current.spend / conversions.lower : null,
+      baselineCpl: baseline.conversions > 0 ? baseline.spend / baseline.conversions : null,
+      clicks: current.clicks,
+      conversions: current.conversions,
+      spend: current.spend,
+      target: targets.targetCpl
+    };
+
+    if (current.clicks < settings.minClicks) {
+      return { pass: false, skipReason: 'insufficient_sample', evidence };
+    }
+
+    if (evidence.cplLower <= targets.targetCpl) {
+      return { pass: false, skipReason: 'not_significant', evidence };
+    }
+
+    if (evidence.cpl !== null && evidence.baselineCpl !== null && evidence.cpl < evidence.baselineCpl) {
+      return { pass: false, skipReason: 'improving_vs_baseline', evidence };
+    }
+
+    return { pass: true, evidence };
+  }
+
+  /**
+   * ROAS abaixo da meta com conversões suficientes e receita rastreada
+   */
+  checkRoas(context, targets) {
+    const { current, baseline, settings } = context;
+
+    if (current.spend <= 0 || current.revenue / current.spend >= targets.minRoas) return null;
+
+    const evidence = {
+      roas: current.revenue / current.spend,
+      baselineRoas: baseline.spend > 0 ? baseline.revenue / baseline.spend : null,
+      conversions: current.conversions,
+      revenue: current.revenue,
+      target: targets.minRoas
+    };
+
+    if (current.revenue === 0 && baseline.revenue === 0) {
+      return { pass: false, skipReason: 'no_revenue_data', evidence };
+    }
+
+    if (current.conversions < settings.minConversions) {
+      return { pass: false, skipReason: 'insufficient_sample', evidence };
+    }
+
+    if (evidence.baselineRoas !== null && evidence.roas > evidence.baselineRoas) {
+      return { pass: false, skipReason: 'improving_vs_baseline', evidence };
+    }
+
+    return { pass: true, evidence };
+  }
+
+  /**
+   * CTR abaixo da meta: o limite superior do intervalo (Wilson) precisa estar abaixo da meta
+   */
+  checkCtr(context, targets) {
+    const { current, baseline, settings, z } = context;
+
+    if (current.impressions === 0 || current.ctr >= targets.minCtr) return null;
+
+    const interval = wilsonInterval(current.clicks, current.impressions, z);
+    const evidence = {
+      ctr: current.ctr,
+      ctrLower: interval.lower * 100,
+      ctrUpper: interval.upper * 100,
+      baselineCtr: baseline.impressions > 0 ? baseline.ctr : null,
+      impressions: current.impressions,
+      target: targets.minCtr
+    };
+
+    if (current.impressions < settings.minImpressions) {
+      return { pass: false, skipReason: 'insufficient_sample', evidence };
+    }
+
+    if (evidence.ctrUpper >= targets.minCtr) {
+      return { pass: false, skipReason: 'not_significant', evidence };
+    }
+
+    if (evidence.baselineCtr !== null && evidence.ctr > evidence.baselineCtr) {
+      return { pass: false, skipReason: 'improving_vs_baseline', evidence };
+    }
+
+    return { pass: true, evidence };
+  }
+
+  /**
+   * Ritmo de gasto do dia, na hora local da conta de anúncios
+   * Gasto projetado até o fim do dia no limite inferior do ritmo de cliques (Poisson) precisa passar do orçamento
+   */
+  checkPacing(context, metrics, targets) {
+    const { settings, z } = context;
+
+    const triggered = metrics.dailyBudget > 0 &&
+      metrics.spend > metrics.dailyBudget * targets.budgetPacingThreshold &&
+      context.localHour < 12;
+
+    if (!triggered) return null;
+
+    const hoursElapsed = context.localHour + 1;
+    const projectedSpend = metrics.spend * 24 / hoursElapsed;
+    const clicks = poissonInterval(metrics.clicks, z);
+    const evidence = {
+      spend: metrics.spend,
+      dailyBudget: metrics.dailyBudget,
+      clicks: metrics.clicks,
+      projectedSpend,
+      projectedSpendLower: metrics.clicks > 0 ? projectedSpend * clicks.lower / metrics.clicks : 0,
+      localHour: context.localHour,
+      timezone: context.timezone
+    };
+
+    if (metrics.clicks < settings.minPacingClicks) {
+      return { pass: false, skipReason: 'insufficient_sample', evidence };
+    }
+
+    if (evidence.projectedSpendLower <= metrics.dailyBudget) {
+      return { pass: false, skipReason: 'not_significant', evidence };
+    }
+
+    return { pass: true, evidence };
+  }
+
+  /**
+   * Verificar se houve decisão do mesmo tipo dentro do cooldown
+   */
+  async inCooldown(campaignId, decisionType, settings) {
+    const last = await this.env.DB.prepare(`
+      SELECT MAX(created_at) as created_at FROM ai_decisions
+      WHERE campaign_id = ? AND decision_type = ?
+    `).bind(campaignId, decisionType).first();
+
+    return Boolean(last?.created_at) &&
+      Date.now() - last.created_at < settings.cooldownHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Registrar decisão bloqueada e o motivo
+   */
+  async recordSkip(campaignId, decisionType, skipReason, details) {
+    await this.env.DB.prepare(`
+      INSERT INTO decision_skips (campaign_id, decision_type, skip_reason, details, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(
+      campaignId,
+      decisionType,
+      skipReason,
+      JSON.stringify(details),
+      Date.now()
+    ).run();
+  }
+}
+
+/**
+ * Validar configuração recebida pela API
+ * Retorna mensagem de erro ou null
+ */
+export function validateGuardrailSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_GUARDRAIL_SETTINGS)) {
+      return `Unknown setting: ${key}`;
+    }
+    if (key === 'confidence' && !(value in Z_SCORES)) {
+      return `confidence must be one of: ${Object.keys(Z_SCORES).join(', ')}`;
+    }
+    if (!(typeof value === 'number' && value >= 0)) {
+      return `${key} must be a non-negative number`;
+    }
+  }
+
+  if (settings.windowDays !== undefined && settings.windowDays < 1) {
+    return 'windowDays must be at least 1';
+  }
+
+  return null;
+}
+
+/**
+ * Intervalo de Wilson para proporções (ex: CTR)
+ */
+export function wilsonInterval(successes, trials, z) {
+  if (trials === 0) {
+    return { lower: 0, upper: 1 };
+  }
+
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin)
+  };
+}
+
+/**
+ * Intervalo para contagens Poisson (ex: conversões) - aproximação de Wilson-Hilferty
+ */
+export function poissonInterval(count, z) {
+  const lower = count === 0
+    ? 0
+    : count * Math.pow(1 - 1 / (9 * count) - z / (3 * Math.sqrt(count)), 3);
+
+  const k = count + 1;
+  const upper = k * Math.pow(1 - 1 / (9 * k) + z / (3 * Math.sqrt(k)), 3);
+
+  return { lower: Math.max(0, lower), upper };
+}
+
+/**
+ * Hora local (0-23) em um fuso horário IANA
+ */
+function localHour(timezone) {
+  const hour = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(new Date());
+
+  return parseInt(hour);
+}
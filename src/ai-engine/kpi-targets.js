@@ -0,0 +1,153 @@
+/**
+ * KPI Targets
+ * Metas de KPI resolvidas em cascata: padrão < global < conta < campanha
+ */
+
+export const DEFAULT_KPI_TARGETS = {
+  targetCpl: 50.00, // R$ por lead
+  targetCpa: 50.00, // R$ por aquisição (usado no lance das campanhas)
+  minRoas: 2.0,
+  minCtr: 1.0, // %
+  budgetPacingThreshold: 0.8, // Fração do orçamento diário gasta antes do meio-dia
+  budgetAlertThreshold: 0.9 // Fração do orçamento diário que dispara alerta
+};
+
+export const KPI_SCOPES = ['global', 'account', 'campaign'];
+
+// Escopos visíveis ao cliente: a meta global dele, as contas e as campanhas dele
+// ?1 = tenantId, ?2 = JSON com os IDs das contas do contexto
+const TENANT_SCOPES = `
+  (scope = 'global' AND scope_id = ?1)
+  OR (scope = 'account' AND (scope_id IN (SELECT value FROM json_each(?2))
+                             OR scope_id IN (SELECT account_id FROM campaigns WHERE tenant_id = ?1)))
+  OR (scope = 'campaign' AND scope_id IN (SELECT id FROM campaigns WHERE tenant_id = ?1))
+`;
+
+export class KpiTargets {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Resolver metas para uma campanha (ou conta, antes da campanha existir)
+   */
+  async resolve({ campaignId = null, accountId = null } = {}) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT scope, targets FROM kpi_targets
+      WHERE (scope = 'global' AND scope_id = ?)
+         OR (scope = 'account' AND scope_id = ?)
+         OR (scope = 'campaign' AND scope_id = ?)
+    `).bind(this.env.tenantId, accountId || '', campaignId || '').all();
+
+    const byScope = Object.fromEntries(results.map(row => [row.scope, JSON.parse(row.targets)]));
+
+    return {
+      ...DEFAULT_KPI_TARGETS,
+      ...byScope.global,
+      ...byScope.account,
+      ...byScope.campaign
+    };
+  }
+
+  /**
+   * Resolver metas a partir de uma linha da tabela campaigns
+   */
+  async resolveForCampaign(campaign) {
+    return await this.resolve({
+      campaignId: campaign?.id,
+      accountId: campaign?.account_id
+    });
+  }
+
+  /**
+   * Listar as metas configuradas do cliente
+   */
+  async list() {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM kpi_targets
+      WHERE ${TENANT_SCOPES}
+      ORDER BY scope, scope_id
+    `).bind(this.env.tenantId, this.accountIds()).all();
+
+    return results.map(row => ({ ...row, targets: JSON.parse(row.targets) }));
+  }
+
+  /**
+   * Conta ou campanha pertence ao cliente?
+   */
+  async ownsScope(scope, scopeId) {
+    const row = await this.env.DB.prepare(`
+      SELECT 1 AS owned FROM (SELECT ?3 AS scope, ?4 AS scope_id)
+      WHERE ${TENANT_SCOPES}
+    `).bind(this.env.tenantId, this.accountIds(), scope, scopeId).first();
+
+    return Boolean(row);
+  }
+
+  /**
+   * IDs das contas do cliente (JSON)
+   */
+  accountIds() {
+    return JSON.stringify(Object.values(this.env.accounts || {}).filter(Boolean).map(account => account.accountId));
+  }
+
+  /**
+   * Definir metas de um escopo (merge parcial; null remove a meta)
+   */
+  async set(scope, scopeId, targets) {
+    const existing = await this.env.DB.prepare(`
+      SELECT targets FROM kpi_targets WHERE scope = ? AND scope_id = ?
+    `).bind(scope, scopeId).first();
+
+    const merged = { ...(existing ? JSON.parse(existing.targets) : {}) };
+    for (const [key, value] of Object.entries(targets)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    await this.env.DB.prepare(`
+      INSERT INTO kpi_targets (scope, scope_id, targets, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(scope, scope_id) DO UPDATE SET
+        targets = excluded.targets,
+        updated_at = excluded.updated_at
+    `).bind(scope, scopeId, JSON.stringify(merged), Date.now()).run();
+
+    return merged;
+  }
+
+  /**
+   * Remover metas de um escopo
+   */
+  async remove(scope, scopeId) {
+    const { meta } = await this.env.DB.prepare(`
+      DELETE FROM kpi_targets WHERE scope = ? AND scope_id = ?
+    `).bind(scope, scopeId).run();
+
+    return meta.changes > 0;
+  }
+}
+
+/**
+ * Validar metas recebidas pela API
+ * Retorna mensagem de erro ou null
+ */
+export function validateKpiTargets(targets) {
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+    return 'Targets must be an object';
+  }
+
+  for (const [key, value] of Object.entries(targets)) {
+    if (!(key in DEFAULT_KPI_TARGETS)) {
+      return `Unknown target: ${key}`;
+    }
+    if (value !== null && !(typeof value === 'number' && value > 0)) {
+      return `${key} must be a positive number or null`;
+    }
+  }
+
+  return null;
+}
@@ -4,10 +4,21 @@
  */
 
 import { generateId } from '../utils/helpers.js';
+import { HONEYPOT_FIELD, PRIVACY_FIELD, TRACKING_CONSENT_FIELD } from '../leads/capture.js';
+
+// Coluna de generated_pages para cada asset servido
+const PAGE_ASSET_COLUMNS = {
+  html: 'html_content',
+  css: 'css_content',
+  js: 'js_content'
+};
 
 export class PageGenerator {
   constructor(env) {
     this.env = env;
+    // Pixel e GA4 do cliente (contexto do tenant); /lp/* só lê assets e usa o env do Worker
+    this.pixelId = env.accounts?.meta?.pixelId;
+    this.measurementId = env.accounts?.ga4?.accountId;
   }
 
   /**
@@ -16,11 +27,14 @@ export class PageGenerator {
   async generate({ product, template, campaignId }) {
     console.log('Generating page for:', product);
 
+    const pageId = generateId();
+    const url = `/lp/${pageId}`;
+
     // Gerar conteúdo baseado no produto
     const content = this.generateContent(product);
 
     // Gerar HTML otimizado
-    const html = this.generateHTML(content, product);
+    const html = this.generateHTML(content, product, pageId);
 
     // Gerar CSS otimizado
     const css = this.generateCSS();
@@ -29,16 +43,14 @@ export class PageGenerator {
     const js = this.generateJS(product);
 
     // Salvar no D1
-    const pageId = generateId();
-    const url = `/lp/${pageId}`;
-
     await this.env.DB.prepare(`
-      INSERT INTO generated_pages (id, campaign_id, url, title, product, template,
+      INSERT INTO generated_pages (id, tenant_id, campaign_id, url, title, product, template,
                                     html_content, css_content, js_content,
                                     deployed, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       pageId,
+      this.env.tenantId,
       campaignId || null,
       url,
       content.title,
@@ -85,7 +97,7 @@ export class PageGenerator {
   /**
    * Gerar HTML otimizado
    */
-  generateHTML(content, product) {
+  generateHTML(content, product, pageId) {
     return `<!DOCTYPE html>
 <html lang="pt-BR">
 <head>
@@ -111,7 +123,9 @@ export class PageGenerator {
   </style>
   
   <!-- Full CSS -->
-  <link rel="stylesheet" href="/styles.css" media="print" onload="this.media='all'">
+  <link rel="stylesheet" href="/lp/${pageId}/styles.css" media="print" onload="this.media='all'">
+  ${this.measurementId ? this.generateGtagSnippet(this.measurementId) : ''}
+  ${this.pixelId ? this.generatePixelSnippet(this.pixelId) : ''}
 </head>
 
 <body>
@@ -154,6 +168,25 @@ export class PageGenerator {
         <textarea id="mensagem" name="mensagem" rows="4"></textarea>
         
         <input type="hidden" name="produto" value="${product}">
+        <input type="hidden" name="pageId" value="${pageId}">
+        
+        <!-- LGPD -->
+        <label class="consent">
+          <input type="checkbox" name="${PRIVACY_FIELD}" required>
+          Li e concordo com a <a href="${this.env.PRIVACY_POLICY_URL || '/privacidade'}" target="_blank" rel="noopener">Política de Privacidade</a> e autorizo o contato sobre este orçamento. *
+        </label>
+        <label class="consent">
+          <input type="checkbox" name="${TRACKING_CONSENT_FIELD}">
+          Autorizo o compartilhamento dos meus dados com Meta e Google para medir o resultado dos anúncios.
+        </label>
+        
+        <!-- Honeypot anti-spam -->
+        <div class="hp-field" aria-hidden="true">
+          <label for="${HONEYPOT_FIELD}">Não preencha este campo</label>
+          <input type="text" id="${HONEYPOT_FIELD}" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+        </div>
+        ${this.env.TURNSTILE_SITE_KEY ? `
+        <div class="cf-turnstile" data-sitekey="${this.env.TURNSTILE_SITE_KEY}"></div>` : ''}
         
         <button type="submit" class="submit-button" data-event="form_submit">
           Enviar Solicitação
@@ -162,7 +195,8 @@ export class PageGenerator {
     </div>
   </section>
 
-  <script src="/main.js" defer></script>
+  ${this.env.TURNSTILE_SITE_KEY ? '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>' : ''}
+  <script src="/lp/${pageId}/main.js" defer></script>
 </body>
 </html>`;
   }
@@ -207,6 +241,14 @@ input:focus,textarea:focus{outline:3px solid #667eea;outline-offset:2px}
 .submit-button{width:100%;padding:1rem;background:#667eea;color:#fff;border:none;border-radius:8px;font-size:1.1rem;font-weight:700;cursor:pointer;transition:background .2s}
 .submit-button:hover{background:#5568d3}
 
+/* Consentimento */
+.consent{display:flex;gap:.5rem;align-items:flex-start;font-weight:400;font-size:.9rem;margin-bottom:1rem}
+.consent input{width:auto;margin:.25rem 0 0}
+
+/* Honeypot */
+.hp-field{position:absolute;left:-9999px;width:1px;height:1px;overflow:hidden}
+.cf-turnstile{margin-bottom:1rem}
+
 /* Focus visible */
 *:focus-visible{outline:3px solid #667eea;outline-offset:2px}
 
@@ -218,17 +260,123 @@ input:focus,textarea:focus{outline:3px solid #667eea;outline-offset:2px}
 `;
   }
 
+  /**
+   * Gerar código base do gtag (GA4)
+   * Consent mode negado por padrão: gtag.js só é carregado pelo main.js após o consentimento (LGPD)
+   */
+  generateGtagSnippet(measurementId) {
+    return `<!-- Google tag (GA4) -->
+  <script>
+    window.dataLayer=window.dataLayer||[];
+    function gtag(){dataLayer.push(arguments);}
+    gtag('consent','default',{ad_storage:'denied',ad_user_data:'denied',ad_personalization:'denied',analytics_storage:'denied'});
+    gtag('js',new Date());
+    gtag('config','${measurementId}');
+  </script>`;
+  }
+
+  /**
+   * Gerar código base do Meta Pixel
+   * Só a fila do fbq: fbevents.js é carregado pelo main.js após o consentimento e o PageView
+   * fica retido pelo consent revoke até lá
+   */
+  generatePixelSnippet(pixelId) {
+    return `<!-- Meta Pixel -->
+  <script>
+    !function(f){if(f.fbq)return;var n=f.fbq=function(){n.callMethod?
+    n.callMethod.apply(n,arguments):n.queue.push(arguments)};if(!f._fbq)f._fbq=n;
+    n.push=n;n.loaded=!0;n.version='2.0';n.queue=[]}(window);
+    fbq('consent','revoke');
+    fbq('init','${pixelId}');
+    fbq('track','PageView');
+  </script>`;
+  }
+
   /**
    * Gerar JavaScript otimizado
+   * O mesmo eventId vai para o pixel, o dataLayer e a Conversions API (deduplicação)
+   * client_id e session_id do GA4 acompanham o lead para o Measurement Protocol
+   * gtag.js e fbevents.js só carregam quando o visitante marca a autorização de compartilhamento
    */
   generateJS(product) {
     return `
 (function(){'use strict';
+const GA_ID='${this.measurementId || ''}';
+const PIXEL_ID='${this.pixelId || ''}';
 const form=document.getElementById('orcamento-form');
+const TRACKING_SCRIPTS=[
+  GA_ID&&'https://www.googletagmanager.com/gtag/js?id='+GA_ID,
+  PIXEL_ID&&'https://connect.facebook.net/en_US/fbevents.js'
+].filter(Boolean);
+let trackingLoaded=false;
+const setTrackingConsent=(granted)=>{
+  const state=granted?'granted':'denied';
+  window.gtag?.('consent','update',{ad_storage:state,ad_user_data:state,ad_personalization:state,analytics_storage:state});
+  window.fbq?.('consent',granted?'grant':'revoke');
+  if(!granted||trackingLoaded)return;
+  trackingLoaded=true;
+  TRACKING_SCRIPTS.forEach(src=>{
+    const script=document.createElement('script');
+    script.async=true;
+    script.src=src;
+    document.head.appendChild(script);
+  });
+};
+const trackingInput=form?.elements.namedItem('${TRACKING_CONSENT_FIELD}');
+trackingInput?.addEventListener('change',()=>setTrackingConsent(trackingInput.checked));
+const getCookie=(name)=>document.cookie.split('; ').find(c=>c.startsWith(name+'='))?.split('=')[1]||null;
+const gtagGet=(field)=>new Promise((resolve)=>{
+  if(!GA_ID||typeof window.gtag!=='function')return resolve(null);
+  const timer=setTimeout(()=>resolve(null),500);
+  window.gtag('get',GA_ID,field,(value)=>{clearTimeout(timer);resolve(value?String(value):null);});
+});
+const gaCookieIds=()=>{
+  // _ga: GA1.1.<client_id>; _ga_<ID>: GS1.1.<session_id>.… ou GS2.1.s<session_id>$o…
+  const ga=getCookie('_ga');
+  const session=GA_ID?getCookie('_ga_'+GA_ID.replace('G-','')):null;
+  const sessionPart=session?(session.split('.')[2]||'').split('$')[0]:'';
+  return {
+    clientId:ga?ga.split('.').slice(-2).join('.'):null,
+    sessionId:sessionPart.startsWith('s')?sessionPart.slice(1):(sessionPart||null)
+  };
+};
+const newEventId=()=>window.crypto?.randomUUID?.()||Date.now()+'-'+Math.random().toString(36).slice(2);
+const ATTRIBUTION_KEY='lp_attribution';
+const ATTRIBUTION_PARAMS=['utm_source','utm_medium','utm_campaign','utm_term','utm_content','gclid','gbraid','wbraid','fbclid'];
+const ATTRIBUTION_TTL=90*24*60*60*1000;
+const getAttribution=()=>{
+  let stored=null;
+  try{stored=JSON.parse(localStorage.getItem(ATTRIBUTION_KEY));}catch(e){}
+  if(stored&&Date.now()-stored.savedAt>ATTRIBUTION_TTL)stored=null;
+  const params=new URLSearchParams(location.search);
+  const fromUrl={};
+  ATTRIBUTION_PARAMS.forEach(p=>{const v=params.get(p);if(v)fromUrl[p]=v;});
+  // Primeira visita (ou nova chegada por anúncio): guarda origem, landing page e referrer
+  if(!stored||Object.keys(fromUrl).length){
+    stored={...fromUrl,landing_url:location.href,referrer:document.referrer||null,savedAt:Date.now()};
+    try{localStorage.setItem(ATTRIBUTION_KEY,JSON.stringify(stored));}catch(e){}
+  }
+  return stored;
+};
+const attribution=getAttribution();
+const getFbc=()=>getCookie('_fbc')||(attribution.fbclid?'fb.1.'+attribution.savedAt+'.'+attribution.fbclid:null);
 form?.addEventListener('submit',async(e)=>{
   e.preventDefault();
   const formData=new FormData(form);
   const data=Object.fromEntries(formData);
+  const eventId=newEventId();
+  data.attribution=attribution;
+  // Identificadores de anúncios só com consentimento (LGPD)
+  const trackingConsent=Boolean(data.${TRACKING_CONSENT_FIELD});
+  if(trackingConsent){
+    setTrackingConsent(true);
+    const gaIds=gaCookieIds();
+    data.tracking={
+      eventId,fbp:getCookie('_fbp'),fbc:getFbc(),pageUrl:location.href,
+      gaClientId:(await gtagGet('client_id'))||gaIds.clientId,
+      gaSessionId:(await gtagGet('session_id'))||gaIds.sessionId
+    };
+  }
   try{
     const response=await fetch('/api/lead',{
       method:'POST',
@@ -236,14 +384,25 @@ form?.addEventListener('submit',async(e)=>{
       body:JSON.stringify(data)
     });
     if(response.ok){
-      window.dataLayer=window.dataLayer||[];
-      window.dataLayer.push({
-        event:'generate_lead',
-        product:'${product}',
-        value:150.00,
-        currency:'BRL'
-      });
-      window.location.href='/obrigado';
+      const result=await response.json().catch(()=>({}));
+      if(!result.duplicate&&trackingConsent){
+        // Valor do lead vem da configuração do produto no servidor
+        window.fbq?.('track','Lead',{value:result.value,currency:result.currency},{eventID:eventId});
+        window.dataLayer=window.dataLayer||[];
+        window.dataLayer.push({
+          event:'generate_lead',
+          event_id:eventId,
+          product:'${product}',
+          value:result.value,
+          currency:result.currency
+        });
+      }
+      // Dá tempo do pixel enviar o evento antes de sair da página
+      setTimeout(()=>{window.location.href='/obrigado';},300);
+    }else{
+      const result=await response.json().catch(()=>({}));
+      alert(result.error||'Erro ao enviar. Tente novamente.');
+      window.turnstile?.reset();
     }
   }catch(error){
     console.error('Erro:',error);
@@ -276,7 +435,34 @@ document.querySelectorAll('[data-event]').forEach(el=>{
 
     return true;
   }
-}
-`;
+
+  /**
+   * Obter asset da página (html, css ou js)
+   * Lê do KV e, se não encontrar, busca no D1 e repopula o KV
+   */
+  async getAsset(pageId, asset) {
+    const key = `page:${pageId}:${asset}`;
+
+    const cached = await this.env.CACHE.get(key);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const column = PAGE_ASSET_COLUMNS[asset];
+    if (!column) {
+      return null;
+    }
+
+    const page = await this.env.DB.prepare(`
+      SELECT ${column} AS content FROM generated_pages WHERE id = ?
+    `).bind(pageId).first();
+
+    if (!page) {
+      return null;
+    }
+
+    await this.env.CACHE.put(key, page.content);
+
+    return page.content;
   }
 }
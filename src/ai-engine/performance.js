@@ -0,0 +1,112 @@
+/**
+ * Performance
+ * Métricas do dia na plataforma e agregação das métricas diárias salvas em performance_metrics
+ */
+
+import { createAdPlatform } from '../integrations/ad-platforms.js';
+import { calculateMetrics } from '../utils/helpers.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Data YYYY-MM-DD (UTC)
+ */
+export function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Somar métricas diárias da campanha em uma janela (datas inclusivas)
+ */
+export async function aggregatePerformance(env, campaignId, from, to) {
+  const fromDate = toDateString(from);
+  const toDate = toDateString(to);
+
+  const totals = await env.DB.prepare(`
+    SELECT
+      COUNT(*) as days,
+      COALESCE(SUM(impressions), 0) as impressions,
+      COALESCE(SUM(clicks), 0) as clicks,
+      COALESCE(SUM(conversions), 0) as conversions,
+      COALESCE(SUM(spend), 0) as spend,
+      COALESCE(SUM(revenue), 0) as revenue
+    FROM performance_metrics
+    WHERE campaign_id = ? AND date BETWEEN ? AND ?
+  `).bind(campaignId, fromDate, toDate).first();
+
+  return {
+    from: fromDate,
+    to: toDate,
+    ...totals,
+    ...calculateMetrics(totals)
+  };
+}
+
+/**
+ * Métricas dos últimos N dias completos (sem contar hoje)
+ */
+export async function recentPerformance(env, campaignId, days) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  return await aggregatePerformance(
+    env,
+    campaignId,
+    today.getTime() - days * DAY_MS,
+    today.getTime() - DAY_MS
+  );
+}
+
+/**
+ * Métricas do dia na plataforma, com as derivadas e o orçamento diário
+ * (foto usada pelo monitoramento e como metrics_before das decisões)
+ */
+export async function currentMetrics(env, campaign) {
+  const platformMetrics = await createAdPlatform(campaign.platform, env)
+    .getCampaignMetrics(campaign.campaign_id, 'today');
+
+  const totals = {
+    impressions: parseInt(platformMetrics.impressions) || 0,
+    clicks: parseInt(platformMetrics.clicks) || 0,
+    spend: parseFloat(platformMetrics.spend) || 0,
+    conversions: parseFloat(platformMetrics.conversions) || 0,
+    revenue: await leadRevenue(env, campaign.id, Date.now())
+  };
+
+  return {
+    ...totals,
+    ...calculateMetrics(totals),
+    dailyBudget: campaign.daily_budget
+  };
+}
+
+/**
+ * Receita das vendas (leads 'won') captados pela campanha em uma data
+ */
+export async function leadRevenue(env, campaignId, date) {
+  const dayStart = Date.parse(`${toDateString(date)}T00:00:00Z`);
+
+  const row = await env.DB.prepare(`
+    SELECT COALESCE(SUM(sale_amount), 0) as revenue
+    FROM leads
+    WHERE campaign_id = ? AND status = 'won' AND created_at >= ? AND created_at < ?
+  `).bind(campaignId, dayStart, dayStart + DAY_MS).first();
+
+  return row.revenue;
+}
+
+/**
+ * Recalcular receita e ROAS já salvos em performance_metrics para uma data
+ * (vendas fecham depois do dia em que o lead foi captado)
+ */
+export async function refreshRevenue(env, campaignId, date) {
+  const revenue = await leadRevenue(env, campaignId, date);
+
+  await env.DB.prepare(`
+    UPDATE performance_metrics
+    SET revenue = ?1, roas = CASE WHEN spend > 0 THEN ?1 / spend ELSE 0 END
+    WHERE campaign_id = ?2 AND date = ?3
+  `).bind(revenue, campaignId, toDateString(date)).run();
+
+  return revenue;
+}
@@ -0,0 +1,131 @@
+/**
+ * API Keys
+ * Chaves de acesso às rotas /api, com escopos e rate limit por chave
+ */
+
+import { sha256Hex } from '../utils/helpers.js';
+
+// read: consultas | write: alterações | campaign-spend: ações que gastam verba | admin: tudo
+export const API_KEY_SCOPES = ['read', 'write', 'campaign-spend', 'admin'];
+export const DEFAULT_RATE_LIMIT = 120; // Requisições por minuto
+
+const KEY_PREFIX = 'ams_';
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+export class ApiKeys {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Criar chave (o valor só é retornado aqui; no D1 fica apenas o hash)
+   * tenantId null = chave da agência, que acessa qualquer cliente
+   */
+  async create({ name, scopes, rateLimit = DEFAULT_RATE_LIMIT, tenantId = null }) {
+    const key = KEY_PREFIX + Array.from(crypto.getRandomValues(new Uint8Array(24)))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+    const keyPrefix = key.slice(0, KEY_PREFIX.length + 6);
+
+    const { meta } = await this.env.DB.prepare(`
+      INSERT INTO api_keys (name, key_hash, key_prefix, scopes, rate_limit, tenant_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(name, await sha256Hex(key), keyPrefix, JSON.stringify(scopes), rateLimit, tenantId, Date.now()).run();
+
+    return { id: meta.last_row_id, name, keyPrefix, scopes, rateLimit, tenantId, key };
+  }
+
+  /**
+   * Listar chaves (sem hash)
+   * tenantId informado: só as chaves daquele cliente
+   */
+  async list(tenantId = null) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT id, name, key_prefix, scopes, rate_limit, tenant_id, last_used_at, revoked_at, created_at
+      FROM api_keys
+      WHERE ?1 IS NULL OR tenant_id = ?1
+      ORDER BY created_at DESC
+    `).bind(tenantId).all();
+
+    return results.map(apiKey => ({ ...apiKey, scopes: JSON.parse(apiKey.scopes) }));
+  }
+
+  /**
+   * Revogar chave
+   * tenantId informado: só revoga chave daquele cliente
+   */
+  async revoke(keyId, tenantId = null) {
+    const { meta } = await this.env.DB.prepare(`
+      UPDATE api_keys SET revoked_at = ?1
+      WHERE id = ?2 AND revoked_at IS NULL AND (?3 IS NULL OR tenant_id = ?3)
+    `).bind(Date.now(), keyId, tenantId).run();
+
+    return meta.changes > 0;
+  }
+
+  /**
+   * Validar chave recebida
+   * WORKER_API_KEY (secret) funciona como chave admin para criar as demais
+   * Retorna { id, name, scopes, rateLimit, tenantId } ou null
+   */
+  async verify(key) {
+    const keyHash = await sha256Hex(key);
+
+    if (this.env.WORKER_API_KEY && keyHash === await sha256Hex(this.env.WORKER_API_KEY)) {
+      return { id: 'worker', name: 'WORKER_API_KEY', scopes: ['admin'], rateLimit: DEFAULT_RATE_LIMIT, tenantId: null };
+    }
+
+    const apiKey = await this.env.DB.prepare(`
+      SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL
+    `).bind(keyHash).first();
+
+    if (!apiKey) {
+      return null;
+    }
+
+    if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at > LAST_USED_UPDATE_MS) {
+      await this.env.DB.prepare(`
+        UPDATE api_keys SET last_used_at = ? WHERE id = ?
+      `).bind(Date.now(), apiKey.id).run();
+    }
+
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: JSON.parse(apiKey.scopes),
+      rateLimit: apiKey.rate_limit,
+      tenantId: apiKey.tenant_id
+    };
+  }
+}
+
+/**
+ * Chave tem o escopo? (admin tem todos)
+ */
+export function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Validar criação de chave
+ * Retorna mensagem de erro ou null
+ */
+export function validateApiKey({ name, scopes, rateLimit, tenantId }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name is required';
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+    return `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`;
+  }
+
+  if (rateLimit !== undefined && !(Number.isInteger(rateLimit) && rateLimit > 0)) {
+    return 'rateLimit must be a positive integer (requests per minute)';
+  }
+
+  if (tenantId !== undefined && tenantId !== null && typeof tenantId !== 'string') {
+    return 'tenantId must be a string or null';
+  }
+
+  return null;
+}
@@ -0,0 +1,158 @@
+/**
+ * Auth Middleware
+ * Autenticação por chave de API, escopos e CORS por origem
+ */
+
+import { ApiKeys, hasScope } from './api-keys.js';
+import { Tenants, createTenantContext, DEFAULT_TENANT_ID } from '../tenants/tenants.js';
+import { checkRateLimit } from '../utils/rate-limit.js';
+
+// Rotas /api chamadas pelas landing pages (sem chave, mas só das origens das landing pages)
+const PUBLIC_API_ROUTES = [
+  { method: 'POST', path: '/api/lead' }
+];
+
+/**
+ * Rota pública? (sem o método, vale também para o preflight do CORS)
+ */
+function isPublicPath(path) {
+  return path.startsWith('/lp/') || PUBLIC_API_ROUTES.some(route => route.path === path);
+}
+
+/**
+ * Requisição para rota pública?
+ */
+function isPublicRoute(c) {
+  return c.req.path.startsWith('/lp/') || PUBLIC_API_ROUTES.some(route =>
+    route.method === c.req.method && route.path === c.req.path
+  );
+}
+
+/**
+ * Autenticar chave (Authorization: Bearer ou X-API-Key) e aplicar rate limit da chave
+ * GET exige escopo read; demais métodos exigem write
+ * Define c.get('tenant'): contexto do cliente da chave (chaves da agência escolhem pelo header X-Tenant-Id)
+ */
+export async function authenticate(c, next) {
+  if (isPublicRoute(c)) {
+    return await next();
+  }
+
+  const authorization = c.req.header('Authorization') || '';
+  const key = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : c.req.header('X-API-Key');
+
+  if (!key) {
+    c.header('WWW-Authenticate', 'Bearer');
+    return c.json({ error: 'API key required' }, 401);
+  }
+
+  const apiKey = await new ApiKeys(c.env).verify(key);
+
+  if (!apiKey) {
+    c.header('WWW-Authenticate', 'Bearer');
+    return c.json({ error: 'Invalid API key' }, 401);
+  }
+
+  const rateLimit = await checkRateLimit(c.env.CACHE, `apikey:${apiKey.id}`, {
+    limit: apiKey.rateLimit,
+    windowSeconds: 60
+  });
+
+  if (!rateLimit.allowed) {
+    c.header('Retry-After', String(Math.ceil((rateLimit.resetAt - Date.now()) / 1000)));
+    return c.json({ error: 'Rate limit exceeded' }, 429);
+  }
+
+  c.set('apiKey', apiKey);
+
+  const scope = ['GET', 'HEAD'].includes(c.req.method) ? 'read' : 'write';
+  if (!hasScope(apiKey, scope)) {
+    return c.json({ error: `API key lacks the ${scope} scope` }, 403);
+  }
+
+  const requestedTenant = c.req.header('X-Tenant-Id');
+  if (apiKey.tenantId && requestedTenant && requestedTenant !== apiKey.tenantId) {
+    return c.json({ error: 'API key is restricted to another tenant' }, 403);
+  }
+
+  const tenant = await new Tenants(c.env).get(apiKey.tenantId || requestedTenant || DEFAULT_TENANT_ID);
+
+  if (!tenant) {
+    return c.json({ error: 'Tenant not found' }, 404);
+  }
+
+  if (tenant.status !== 'active') {
+    return c.json({ error: 'Tenant is disabled' }, 403);
+  }
+
+  c.set('tenant', await createTenantContext(c.env, tenant));
+
+  await next();
+}
+
+/**
+ * Exigir chave da agência (sem cliente fixo) para gerenciar clientes
+ */
+export async function requireAgencyKey(c, next) {
+  if (c.get('apiKey').tenantId) {
+    return c.json({ error: 'This route requires an agency API key' }, 403);
+  }
+
+  await next();
+}
+
+/**
+ * Exigir escopo adicional na rota
+ * scope pode ser uma função (c) => escopo, para rotas com ações de risco diferente
+ */
+export function requireScope(scope) {
+  return async (c, next) => {
+    const required = typeof scope === 'function' ? scope(c) : scope;
+
+    if (!hasScope(c.get('apiKey'), required)) {
+      return c.json({ error: `API key lacks the ${required} scope` }, 403);
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Aceitar apenas requisições vindas das landing pages
+ */
+export async function requireLandingOrigin(c, next) {
+  if (!(await landingOrigins(c)).includes(c.req.header('Origin'))) {
+    return c.json({ error: 'Origin not allowed' }, 403);
+  }
+
+  await next();
+}
+
+/**
+ * Origem permitida no CORS (landing pages nas rotas públicas, painéis nas demais)
+ */
+export async function corsOrigin(origin, c) {
+  const allowed = isPublicPath(c.req.path) ? await landingOrigins(c) : parseOrigins(c.env.CORS_ALLOWED_ORIGINS);
+  return allowed.includes(origin) ? origin : null;
+}
+
+/**
+ * Origens das landing pages: o próprio Worker (serve /lp/*), LANDING_PAGE_ORIGINS e as origens
+ * cadastradas para os clientes (PUT /api/tenants/:id/landing-origins)
+ */
+async function landingOrigins(c) {
+  return [
+    new URL(c.req.url).origin,
+    ...parseOrigins(c.env.LANDING_PAGE_ORIGINS),
+    ...await new Tenants(c.env).allLandingOrigins()
+  ];
+}
+
+/**
+ * Lista de origens separadas por vírgula
+ */
+function parseOrigins(value) {
+  return (value || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
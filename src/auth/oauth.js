@@ -0,0 +1,410 @@
+/**
+ * OAuth Connections
+ * Conexão das contas do Meta e do Google por OAuth, com tokens criptografados no D1 e renovação automática
+ */
+
+import { encryptText, decryptText, sha256Hex } from '../utils/helpers.js';
+
+export const OAUTH_PROVIDERS = ['meta', 'google'];
+
+const META_GRAPH_URL = 'https://graph.facebook.com/v22.0';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+const OAUTH_CONFIG = {
+  meta: {
+    authorizeUrl: 'https://www.facebook.com/v22.0/dialog/oauth',
+    scopes: ['ads_management', 'ads_read', 'business_management'],
+    clientIdEnv: 'META_APP_ID',
+    clientSecretEnv: 'META_APP_SECRET'
+  },
+  google: {
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    // Um consentimento cobre Google Ads e a Data API do GA4
+    scopes: ['https://www.googleapis.com/auth/adwords', 'https://www.googleapis.com/auth/analytics.readonly'],
+    clientIdEnv: 'GOOGLE_ADS_CLIENT_ID',
+    clientSecretEnv: 'GOOGLE_ADS_CLIENT_SECRET'
+  }
+};
+
+const STATE_TTL_SECONDS = 600;
+const META_REFRESH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // Renovar token long-lived do Meta a 7 dias do vencimento
+const ACCESS_TOKEN_MARGIN_MS = 5 * 60 * 1000; // Descartar access token do cache 5 min antes de expirar
+const META_INVALID_TOKEN_CODE = 190;
+
+// Access tokens do Google em memória (por isolate) até expirarem
+const googleAccessTokens = new Map();
+
+export class OAuthConnections {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * URL de autorização do provedor
+   * O state (cliente e redirect) fica no KV por 10 minutos
+   */
+  async authorizationUrl(provider, redirectUri) {
+    const config = OAUTH_CONFIG[provider];
+    const clientId = this.env[config.clientIdEnv];
+
+    if (!clientId || !this.env[config.clientSecretEnv]) {
+      throw new Error(`${config.clientIdEnv} and ${config.clientSecretEnv} must be configured`);
+    }
+
+    const state = Array.from(crypto.getRandomValues(new Uint8Array(24)))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+
+    await this.env.CACHE.put(`oauth_state:${state}`, JSON.stringify({
+      provider,
+      tenantId: this.env.tenantId,
+      redirectUri
+    }), { expirationTtl: STATE_TTL_SECONDS });
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: config.scopes.join(provider === 'meta' ? ',' : ' '),
+      state
+    });
+
+    // Google só devolve refresh token com acesso offline e consentimento explícito
+    if (provider === 'google') {
+      params.set('access_type', 'offline');
+      params.set('prompt', 'consent');
+    }
+
+    return { authorizationUrl: `${config.authorizeUrl}?${params}`, expiresAt: Date.now() + STATE_TTL_SECONDS * 1000 };
+  }
+
+  /**
+   * Consumir o state do callback (uso único)
+   * Retorna { provider, tenantId, redirectUri } ou null
+   */
+  async consumeState(provider, state) {
+    if (!state) {
+      return null;
+    }
+
+    const key = `oauth_state:${state}`;
+    const saved = await this.env.CACHE.get(key, 'json');
+    await this.env.CACHE.delete(key);
+
+    return saved?.provider === provider ? saved : null;
+  }
+
+  /**
+   * Trocar o code do callback pelos tokens e salvar a conexão do cliente
+   */
+  async connect(provider, code, redirectUri) {
+    if (provider === 'meta') {
+      const shortLived = await this.metaTokenRequest({
+        client_id: this.env.META_APP_ID,
+        client_secret: this.env.META_APP_SECRET,
+        redirect_uri: redirectUri,
+        code
+      });
+      const longLived = await this.exchangeMetaToken(shortLived.accessToken);
+
+      return await this.save('meta', { accessToken: longLived.accessToken }, longLived.expiresAt);
+    }
+
+    const response = await fetch(GOOGLE_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: this.env.GOOGLE_ADS_CLIENT_ID,
+        client_secret: this.env.GOOGLE_ADS_CLIENT_SECRET,
+        redirect_uri: redirectUri,
+        grant_type: 'authorization_code',
+        code
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.refresh_token) {
+      throw new Error(`Google OAuth error: ${data.error_description || data.error || 'no refresh token returned'}`);
+    }
+
+    return await this.save('google', { refreshToken: data.refresh_token }, null, data.scope);
+  }
+
+  /**
+   * Salvar conexão (substitui a anterior do mesmo provedor)
+   */
+  async save(provider, tokens, expiresAt = null, scopes = null) {
+    const now = Date.now();
+    const encrypted = await encryptText(this.encryptionKey(), JSON.stringify(tokens));
+
+    await this.env.DB.prepare(`
+      INSERT INTO oauth_connections (tenant_id, provider, status, tokens, scopes, expires_at,
+                                     last_refreshed_at, last_error, created_at, updated_at)
+      VALUES (?, ?, 'active', ?, ?, ?, ?, NULL, ?, ?)
+      ON CONFLICT(tenant_id, provider) DO UPDATE SET
+        status = 'active',
+        tokens = excluded.tokens,
+        scopes = COALESCE(excluded.scopes, oauth_connections.scopes),
+        expires_at = excluded.expires_at,
+        last_refreshed_at = excluded.last_refreshed_at,
+        last_error = NULL,
+        updated_at = excluded.updated_at
+    `).bind(
+      this.env.tenantId,
+      provider,
+      encrypted,
+      scopes ?? OAUTH_CONFIG[provider].scopes.join(' '),
+      expiresAt,
+      now,
+      now,
+      now
+    ).run();
+
+    return { provider, status: 'active', expiresAt };
+  }
+
+  /**
+   * Conexões do cliente (sem tokens)
+   */
+  async list() {
+    const { results } = await this.env.DB.prepare(`
+      SELECT provider, status, scopes, expires_at, last_refreshed_at, last_error, created_at, updated_at
+      FROM oauth_connections
+      WHERE tenant_id = ?
+      ORDER BY provider
+    `).bind(this.env.tenantId).all();
+
+    return results;
+  }
+
+  /**
+   * Remover conexão (volta a usar os tokens cadastrados na conta, se houver)
+   */
+  async disconnect(provider) {
+    const { meta } = await this.env.DB.prepare(`
+      DELETE FROM oauth_connections WHERE tenant_id = ? AND provider = ?
+    `).bind(this.env.tenantId, provider).run();
+
+    return meta.changes > 0;
+  }
+
+  /**
+   * Tokens das conexões ativas: { meta: { accessToken }, google: { refreshToken } }
+   */
+  async loadTokens(tenantId = this.env.tenantId) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT provider, tokens FROM oauth_connections WHERE tenant_id = ? AND status = 'active'
+    `).bind(tenantId).all();
+
+    const tokens = {};
+    for (const connection of results) {
+      tokens[connection.provider] = JSON.parse(await decryptText(this.encryptionKey(), connection.tokens));
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Renovar tokens do cliente (cron diário)
+   * Meta: troca o token long-lived antes de vencer | Google: confirma que o refresh token ainda vale
+   */
+  async refreshAll() {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM oauth_connections WHERE tenant_id = ? AND status = 'active'
+    `).bind(this.env.tenantId).all();
+
+    const refreshed = [];
+    for (const connection of results) {
+      try {
+        refreshed.push(connection.provider === 'meta'
+          ? await this.refreshMeta(connection)
+          : await this.refreshGoogle(connection));
+      } catch (error) {
+        console.error(`OAuth refresh error (${connection.provider}, tenant ${this.env.tenantId}):`, error);
+        await this.recordError(connection.provider, error.message);
+        refreshed.push({ provider: connection.provider, status: 'error', error: error.message });
+      }
+    }
+
+    return refreshed;
+  }
+
+  /**
+   * Trocar o token long-lived do Meta quando estiver perto de vencer
+   */
+  async refreshMeta(connection) {
+    if (connection.expires_at && connection.expires_at - Date.now() > META_REFRESH_WINDOW_MS) {
+      return { provider: 'meta', status: 'active', refreshed: false };
+    }
+
+    const { accessToken } = JSON.parse(await decryptText(this.encryptionKey(), connection.tokens));
+
+    try {
+      const longLived = await this.exchangeMetaToken(accessToken);
+      await this.save('meta', { accessToken: longLived.accessToken }, longLived.expiresAt);
+      return { provider: 'meta', status: 'active', refreshed: true, expiresAt: longLived.expiresAt };
+    } catch (error) {
+      if (error.code === META_INVALID_TOKEN_CODE) {
+        await this.markRevoked('meta', error.message);
+        return { provider: 'meta', status: 'revoked', error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Confirmar que o refresh token do Google ainda vale (revogação gera alerta em getGoogleAccessToken)
+   */
+  async refreshGoogle(connection) {
+    const { refreshToken } = JSON.parse(await decryptText(this.encryptionKey(), connection.tokens));
+
+    try {
+      await getGoogleAccessToken(this.env, {
+        clientId: this.env.GOOGLE_ADS_CLIENT_ID,
+        clientSecret: this.env.GOOGLE_ADS_CLIENT_SECRET,
+        refreshToken
+      }, { skipCache: true });
+    } catch (error) {
+      if (error.revoked) {
+        return { provider: 'google', status: 'revoked', error: error.message };
+      }
+      throw error;
+    }
+
+    await this.env.DB.prepare(`
+      UPDATE oauth_connections SET last_refreshed_at = ?, last_error = NULL, updated_at = ?
+      WHERE tenant_id = ? AND provider = 'google'
+    `).bind(Date.now(), Date.now(), this.env.tenantId).run();
+
+    return { provider: 'google', status: 'active', refreshed: true };
+  }
+
+  /**
+   * Token long-lived do Meta (~60 dias) a partir de um token válido
+   */
+  async exchangeMetaToken(accessToken) {
+    return await this.metaTokenRequest({
+      grant_type: 'fb_exchange_token',
+      client_id: this.env.META_APP_ID,
+      client_secret: this.env.META_APP_SECRET,
+      fb_exchange_token: accessToken
+    });
+  }
+
+  /**
+   * Chamada ao endpoint de tokens do Meta
+   * Erros carregam o code da Graph API (190 = token inválido ou revogado)
+   */
+  async metaTokenRequest(params) {
+    const response = await fetch(`${META_GRAPH_URL}/oauth/access_token?${new URLSearchParams(params)}`);
+    const data = await response.json();
+
+    if (data.error || !data.access_token) {
+      const error = new Error(`Meta OAuth error: ${data.error?.message || 'no access token returned'}`);
+      error.code = data.error?.code;
+      throw error;
+    }
+
+    return {
+      accessToken: data.access_token,
+      expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null
+    };
+  }
+
+  /**
+   * Marcar conexão como revogada e alertar (uma vez por revogação)
+   */
+  async markRevoked(provider, reason) {
+    const { meta } = await this.env.DB.prepare(`
+      UPDATE oauth_connections SET status = 'revoked', last_error = ?, updated_at = ?
+      WHERE tenant_id = ? AND provider = ? AND status = 'active'
+    `).bind(reason, Date.now(), this.env.tenantId, provider).run();
+
+    if (meta.changes === 0) {
+      return false;
+    }
+
+    await this.env.DB.prepare(`
+      INSERT INTO alerts (tenant_id, campaign_id, alert_type, severity, message, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+      this.env.tenantId,
+      null,
+      'oauth_revoked',
+      'critical',
+      `Conexão com ${provider === 'meta' ? 'Meta' : 'Google'} revogada (${reason}). Reconecte em /oauth/${provider}/start`,
+      Date.now()
+    ).run();
+
+    return true;
+  }
+
+  /**
+   * Registrar falha de renovação que não é revogação (rede, limite da API)
+   */
+  async recordError(provider, message) {
+    await this.env.DB.prepare(`
+      UPDATE oauth_connections SET last_error = ?, updated_at = ?
+      WHERE tenant_id = ? AND provider = ?
+    `).bind(message, Date.now(), this.env.tenantId, provider).run();
+  }
+
+  /**
+   * Chave AES-GCM dos tokens (mesmo secret das credenciais dos clientes)
+   */
+  encryptionKey() {
+    if (!this.env.CREDENTIALS_ENCRYPTION_KEY) {
+      throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+    }
+
+    return this.env.CREDENTIALS_ENCRYPTION_KEY;
+  }
+}
+
+/**
+ * Access token do Google a partir do refresh token (cache em memória até expirar)
+ * invalid_grant = refresh token revogado: marca a conexão OAuth do cliente e gera alerta
+ * skipCache: sempre consulta o Google (verificação diária de revogação)
+ */
+export async function getGoogleAccessToken(env, { clientId, clientSecret, refreshToken }, { skipCache = false } = {}) {
+  const cacheKey = await sha256Hex(`${clientId}:${refreshToken}`);
+  const cached = googleAccessTokens.get(cacheKey);
+
+  if (!skipCache && cached && cached.expiresAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const response = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token'
+    })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok || !data.access_token) {
+    googleAccessTokens.delete(cacheKey);
+
+    const error = new Error(`Google OAuth error: ${data.error_description || data.error || response.status}`);
+    if (data.error === 'invalid_grant') {
+      error.revoked = true;
+      if (env.tenantId) {
+        await new OAuthConnections(env).markRevoked('google', data.error_description || data.error);
+      }
+    }
+    throw error;
+  }
+
+  googleAccessTokens.set(cacheKey, {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000 - ACCESS_TOKEN_MARGIN_MS
+  });
+
+  return data.access_token;
+}
@@ -8,17 +8,61 @@ import { cors } from 'hono/cors';
 import { logger } from 'hono/logger';
 import { AIEngine } from './ai-engine/engine.js';
 import { MetaAdsIntegration } from './integrations/meta-ads.js';
-import { GoogleAdsIntegration } from './integrations/google-ads.js';
+import { GoogleAdsIntegration, validateSearchCampaign } from './integrations/google-ads.js';
 import { GA4Integration } from './integrations/ga4.js';
+import { createAdPlatform, validateAdPlatform, validateDailyBudget } from './integrations/ad-platforms.js';
+import { listOrphanedResources, cleanupOrphanedResource } from './integrations/creation-saga.js';
+import { validateMetaCreatives, planCreativeUploads, storeCreativeUploads, mapCreativeMedia } from './integrations/meta-creatives.js';
 import { PageGenerator } from './ai-engine/page-generator.js';
 import { CampaignMonitor } from './ai-engine/campaign-monitor.js';
 import { KnowledgeUpdater } from './knowledge/updater.js';
+import { LeadCapture, validateLeadBody } from './leads/capture.js';
+import { LeadPipeline, validateStatusChange } from './leads/pipeline.js';
+import { LeadValues, validateLeadValues } from './leads/lead-values.js';
+import { LeadSearch, parseLeadQuery, formatLead } from './leads/lead-search.js';
+import { WebhookIntegration } from './integrations/webhooks.js';
+import { LeadPrivacy } from './leads/privacy.js';
+import { ConversionOutbox } from './leads/conversion-outbox.js';
+import { DecisionEvaluator, EVALUATED_SOURCES } from './ai-engine/decision-evaluator.js';
+import { BudgetOptimizer, validateOptimizerSettings } from './ai-engine/budget-optimizer.js';
+import { DecisionGuardrails, validateGuardrailSettings } from './ai-engine/guardrails.js';
+import { DecisionQueue, AUTOPILOT_LEVELS } from './ai-engine/decision-queue.js';
+import { KpiTargets, DEFAULT_KPI_TARGETS, validateKpiTargets } from './ai-engine/kpi-targets.js';
+import { ApiKeys, validateApiKey } from './auth/api-keys.js';
+import { authenticate, requireScope, requireAgencyKey, requireLandingOrigin, corsOrigin } from './auth/middleware.js';
+import { OAuthConnections } from './auth/oauth.js';
+import { Tenants, createTenantContext, validateTenant, validateAdAccount, validateLandingOrigins, DEFAULT_TENANT_ID } from './tenants/tenants.js';
+import { sha256Hex, escapeHtml } from './utils/helpers.js';
 
 const app = new Hono();
 
 // Middleware
 app.use('*', logger());
-app.use('*', cors());
+app.use('*', cors({
+  origin: corsOrigin,
+  allowHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-Id'],
+  maxAge: 600
+}));
+
+// /api exige chave (exceto rotas públicas das landing pages, travadas por origem)
+app.use('/api/*', authenticate);
+app.use('/api/lead', requireLandingOrigin);
+
+/**
+ * Escopo de rotas com ações de risco diferente: a ação informada gasta verba, as demais só alteram
+ */
+function spendingAction(action) {
+  return (c) => (c.req.param('action') === action ? 'campaign-spend' : 'write');
+}
+
+/**
+ * Buscar campanha do cliente da requisição
+ */
+async function findCampaign(c, campaignId) {
+  return await c.env.DB.prepare(`
+    SELECT * FROM campaigns WHERE id = ? AND tenant_id = ?
+  `).bind(campaignId, c.get('tenant').tenantId).first();
+}
 
 // Health check
 app.get('/health', (c) => {
@@ -30,24 +74,172 @@ app.get('/health', (c) => {
   });
 });
 
+// Landing Pages
+
+// Content-Type e Cache-Control de cada asset das páginas geradas
+const PAGE_ASSET_HEADERS = {
+  html: {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'public, max-age=0, must-revalidate'
+  },
+  css: {
+    'Content-Type': 'text/css; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600'
+  },
+  js: {
+    'Content-Type': 'application/javascript; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600'
+  }
+};
+
+/**
+ * Verificar se o ETag bate com o header If-None-Match
+ */
+function matchesETag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+
+  return ifNoneMatch
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+/**
+ * Servir asset de uma landing page gerada (KV com fallback no D1)
+ */
+async function servePageAsset(c, asset) {
+  const pageId = c.req.param('id');
+  const pageGenerator = new PageGenerator(c.env);
+  const content = await pageGenerator.getAsset(pageId, asset);
+
+  if (content === null) {
+    return c.text('Not Found', 404);
+  }
+
+  const etag = `"${(await sha256Hex(content)).slice(0, 32)}"`;
+  const headers = { ...PAGE_ASSET_HEADERS[asset], ETag: etag };
+
+  if (matchesETag(c.req.header('If-None-Match'), etag)) {
+    return c.body(null, 304, headers);
+  }
+
+  return c.body(content, 200, headers);
+}
+
+/**
+ * GET /lp/:id
+ * Servir HTML da landing page
+ */
+app.get('/lp/:id', async (c) => {
+  try {
+    return await servePageAsset(c, 'html');
+  } catch (error) {
+    console.error('Error serving page:', error);
+    return c.text('Internal Server Error', 500);
+  }
+});
+
+/**
+ * GET /lp/:id/styles.css
+ * Servir CSS da landing page
+ */
+app.get('/lp/:id/styles.css', async (c) => {
+  try {
+    return await servePageAsset(c, 'css');
+  } catch (error) {
+    console.error('Error serving page CSS:', error);
+    return c.text('Internal Server Error', 500);
+  }
+});
+
+/**
+ * GET /lp/:id/main.js
+ * Servir JavaScript da landing page
+ */
+app.get('/lp/:id/main.js', async (c) => {
+  try {
+    return await servePageAsset(c, 'js');
+  } catch (error) {
+    console.error('Error serving page JS:', error);
+    return c.text('Internal Server Error', 500);
+  }
+});
+
 // API Routes
 
+/**
+ * Corpo do /api/campaign/create: JSON ou multipart (campo data com o JSON + arquivos dos criativos)
+ * Nos criativos, o nome do campo do arquivo é trocado pela chave no R2 onde ele será gravado
+ * Retorna { body, uploads }
+ */
+async function parseCampaignBody(c) {
+  if (!c.req.header('Content-Type')?.startsWith('multipart/form-data')) {
+    return { body: await c.req.json(), uploads: {} };
+  }
+
+  const form = await c.req.parseBody();
+  const body = JSON.parse(form.data || '{}');
+  const files = Object.fromEntries(Object.entries(form).filter(([, value]) => value instanceof File));
+  const uploads = planCreativeUploads(c.get('tenant').tenantId, files);
+
+  if (Array.isArray(body.creatives)) {
+    body.creatives = body.creatives.map(creative =>
+      creative && typeof creative === 'object'
+        ? mapCreativeMedia(creative, ref => uploads[ref]?.key ?? ref)
+        : creative
+    );
+  }
+
+  return { body, uploads };
+}
+
 /**
  * POST /api/campaign/create
  * Criar nova campanha automaticamente
+ * Meta: imagens e vídeos dos criativos por chave no R2 (creatives/{tenantId}/) ou enviados por multipart
  */
-app.post('/api/campaign/create', async (c) => {
+app.post('/api/campaign/create', requireScope('campaign-spend'), async (c) => {
   try {
-    const body = await c.req.json();
-    const { platform, product, budget, region, objective, creatives } = body;
+    const { body, uploads } = await parseCampaignBody(c);
+    const { platform, product, budget, region, objective, creatives, search } = body;
 
     // Validar input
     if (!platform || !product || !budget) {
       return c.json({ error: 'Missing required fields' }, 400);
     }
 
+    const platformError = validateAdPlatform(platform);
+
+    if (platformError) {
+      return c.json({ error: platformError }, 400);
+    }
+
+    if (!c.get('tenant').accounts[platform]) {
+      return c.json({ error: `No ${platform} account configured for this tenant` }, 400);
+    }
+
+    // Pesquisa no Google: URL final obrigatória; textos enviados substituem os gerados
+    const searchError = platform === 'google' ? validateSearchCampaign(search || {}) : null;
+
+    if (searchError) {
+      return c.json({ error: searchError }, 400);
+    }
+
+    // Criativos do Meta: formato, textos e arquivos do próprio cliente
+    const creativesError = platform === 'meta' && creatives ? validateMetaCreatives(creatives, c.get('tenant').tenantId) : null;
+
+    if (creativesError) {
+      return c.json({ error: creativesError }, 400);
+    }
+
+    // Arquivos enviados só são usados pelos criativos do Meta
+    if (platform === 'meta') {
+      await storeCreativeUploads(c.env, uploads);
+    }
+
     // Inicializar AI Engine
-    const aiEngine = new AIEngine(c.env);
+    const aiEngine = new AIEngine(c.get('tenant'));
     
     // Criar campanha
     const result = await aiEngine.createCampaign({
@@ -56,12 +248,63 @@ app.post('/api/campaign/create', async (c) => {
       budget,
       region,
       objective,
-      creatives
+      creatives,
+      search
     });
 
     return c.json(result);
   } catch (error) {
     console.error('Error creating campaign:', error);
+    // rollback: recursos removidos da conta e os que ficaram órfãos (ver /api/orphaned-resources)
+    return c.json({ error: error.message, rollback: error.rollback }, 500);
+  }
+});
+
+/**
+ * GET /api/orphaned-resources
+ * Recursos que ficaram na conta de anúncios após uma criação de campanha com falha (?status=removed lista os já removidos)
+ */
+app.get('/api/orphaned-resources', async (c) => {
+  try {
+    const resources = await listOrphanedResources(c.get('tenant'), {
+      status: c.req.query('status') === 'removed' ? 'removed' : 'orphaned'
+    });
+
+    return c.json({ resources });
+  } catch (error) {
+    console.error('Error fetching orphaned resources:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/orphaned-resources/:id/cleanup
+ * Tentar remover de novo um recurso órfão da conta de anúncios
+ */
+app.post('/api/orphaned-resources/:id{[0-9]+}/cleanup', async (c) => {
+  try {
+    const tenant = c.get('tenant');
+    const resource = await c.env.DB.prepare(`
+      SELECT platform FROM orphaned_resources WHERE id = ? AND tenant_id = ?
+    `).bind(parseInt(c.req.param('id')), tenant.tenantId).first();
+
+    if (!resource) {
+      return c.json({ error: 'Orphaned resource not found' }, 404);
+    }
+
+    if (!tenant.accounts[resource.platform]) {
+      return c.json({ error: `No ${resource.platform} account configured for this tenant` }, 400);
+    }
+
+    const result = await cleanupOrphanedResource(
+      tenant,
+      parseInt(c.req.param('id')),
+      createAdPlatform(resource.platform, tenant)
+    );
+
+    return c.json({ success: result.status === 'removed', resource: result });
+  } catch (error) {
+    console.error('Error cleaning up orphaned resource:', error);
     return c.json({ error: error.message }, 500);
   }
 });
@@ -79,7 +322,11 @@ app.post('/api/page/generate', async (c) => {
       return c.json({ error: 'Product is required' }, 400);
     }
 
-    const pageGenerator = new PageGenerator(c.env);
+    if (campaignId && !(await findCampaign(c, campaignId))) {
+      return c.json({ error: 'Campaign not found' }, 404);
+    }
+
+    const pageGenerator = new PageGenerator(c.get('tenant'));
     const page = await pageGenerator.generate({
       product,
       template: template || 'landing_page',
@@ -99,48 +346,113 @@ app.post('/api/page/generate', async (c) => {
  */
 app.post('/api/lead', async (c) => {
   try {
-    const body = await c.req.json();
-    const { nome, email, telefone, mensagem, produto, campaignId, utm } = body;
+    // JSON inválido, corpo que não é objeto ou campo que não é texto: 400 antes de qualquer verificação
+    const body = await c.req.json().catch(() => null);
+    const bodyError = validateLeadBody(body);
+    if (bodyError) {
+      return c.json({ error: bodyError }, 400);
+    }
 
-    // Validar
-    if (!nome || !email || !telefone) {
-      return c.json({ error: 'Nome, email e telefone são obrigatórios' }, 400);
+    const ip = c.req.header('CF-Connecting-IP');
+
+    // Cliente do lead (landing page que enviou o formulário ou dono da origem)
+    const leadTenant = await new Tenants(c.env).resolveForLead(body, c.req.header('Origin'));
+    if (!leadTenant || leadTenant.status !== 'active') {
+      return c.json({ error: 'Formulário indisponível' }, 404);
+    }
+
+    const tenant = await createTenantContext(c.env, leadTenant);
+    const leadCapture = new LeadCapture(tenant);
+
+    // Rate limit por IP
+    const rateLimit = await leadCapture.checkRateLimit(ip);
+    if (!rateLimit.allowed) {
+      c.header('Retry-After', String(Math.ceil((rateLimit.resetAt - Date.now()) / 1000)));
+      return c.json({ error: 'Muitas tentativas. Aguarde alguns minutos.' }, 429);
+    }
+
+    // Honeypot: responde sucesso para não dar pistas ao bot
+    if (leadCapture.isHoneypotFilled(body)) {
+      return c.json({ success: true });
+    }
+
+    if (!(await leadCapture.verifyTurnstile(body['cf-turnstile-response'], ip))) {
+      return c.json({ error: 'Falha na verificação anti-spam. Recarregue a página.' }, 403);
     }
 
+    // Validar e normalizar
+    const { lead, error } = leadCapture.normalize(body);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    lead.campaignId = await leadCapture.resolveCampaignId(lead);
+
+    // Lead repetido não gera nova conversão
+    const duplicate = await leadCapture.findDuplicate(lead);
+    if (duplicate) {
+      return c.json({ success: true, duplicate: true });
+    }
+
+    // Valor de conversão do produto
+    const { value, currency } = await new LeadValues(tenant).resolve(lead.produto);
+    lead.value = value;
+
     // Salvar no D1
-    await c.env.DB.prepare(`
-      INSERT INTO leads (campaign_id, nome, email, telefone, mensagem, produto, 
-                         utm_source, utm_medium, utm_campaign, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      campaignId || null,
-      nome,
-      email,
-      telefone,
-      mensagem || '',
-      produto || '',
-      utm?.source || null,
-      utm?.medium || null,
-      utm?.campaign || null,
-      Date.now()
-    ).run();
-
-    // Enviar eventos de conversão
-    const metaAds = new MetaAdsIntegration(c.env);
-    await metaAds.sendConversionEvent({
-      eventName: 'Lead',
-      email,
-      phone: telefone,
-      customData: { product: produto, value: 150.00 }
-    });
+    const leadId = await leadCapture.save(lead);
 
-    const ga4 = new GA4Integration(c.env);
-    await ga4.sendEvent({
-      name: 'generate_lead',
-      params: { product: produto, value: 150.00, currency: 'BRL' }
-    });
+    // Eventos de conversão (apenas com consentimento do titular) vão para o outbox e são
+    // enviados em segundo plano: falha no Meta ou no GA4 não impede a captação do lead
+    const metaAds = new MetaAdsIntegration(tenant);
+    const ga4 = new GA4Integration(tenant);
+    const conversionEvents = [];
 
-    return c.json({ success: true });
+    if (lead.consent.tracking && metaAds.pixelId) {
+      conversionEvents.push({
+        platform: 'meta',
+        eventName: 'Lead',
+        payload: {
+          eventName: 'Lead',
+          eventId: lead.tracking.eventId || `lead_${leadId}`,
+          eventTime: lead.createdAt,
+          eventSourceUrl: lead.tracking.pageUrl || c.req.header('Referer'),
+          email: lead.email,
+          phone: lead.telefone,
+          fbp: lead.tracking.fbp,
+          fbc: lead.tracking.fbc,
+          clientIp: ip,
+          userAgent: c.req.header('User-Agent'),
+          customData: { product: lead.produto, value, currency }
+        }
+      });
+    }
+
+    if (lead.consent.tracking && ga4.measurementId) {
+      conversionEvents.push({
+        platform: 'ga4',
+        eventName: 'generate_lead',
+        payload: {
+          name: 'generate_lead',
+          params: { product: lead.produto, value, currency, event_id: lead.tracking.eventId || undefined },
+          clientId: lead.tracking.gaClientId,
+          sessionId: lead.tracking.gaSessionId,
+          userId: await sha256Hex(String(leadId)),
+          timestampMicros: lead.createdAt * 1000
+        }
+      });
+    }
+
+    const conversionOutbox = new ConversionOutbox(tenant);
+    const eventIds = await conversionOutbox.add(leadId, conversionEvents);
+    c.executionCtx.waitUntil(conversionOutbox.dispatch(eventIds));
+
+    // Webhooks (CRM, WhatsApp) em segundo plano, sem atrasar a resposta
+    const savedLead = await new LeadPipeline(tenant).get(leadId);
+    c.executionCtx.waitUntil(
+      new WebhookIntegration(tenant).dispatch('lead.created', { lead: formatLead(savedLead) })
+    );
+
+    return c.json({ success: true, leadId, value, currency });
   } catch (error) {
     console.error('Error capturing lead:', error);
     return c.json({ error: error.message }, 500);
@@ -148,101 +460,1300 @@ app.post('/api/lead', async (c) => {
 });
 
 /**
- * GET /api/campaigns
- * Listar campanhas
+ * GET /api/leads
+ * Listar leads com filtros (campaignId, product, from, to, utmSource, utmMedium,
+ * utmCampaign, status) e paginação por cursor
  */
-app.get('/api/campaigns', async (c) => {
+app.get('/api/leads', async (c) => {
   try {
-    const { results } = await c.env.DB.prepare(`
-      SELECT * FROM campaigns 
-      WHERE status != 'archived'
-      ORDER BY created_at DESC
-      LIMIT 100
-    `).all();
+    const { filters, after, limit, error } = parseLeadQuery(c.req.query());
 
-    return c.json({ campaigns: results });
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const leadSearch = new LeadSearch(c.get('tenant'));
+    return c.json(await leadSearch.search(filters, { after, limit }));
   } catch (error) {
-    console.error('Error fetching campaigns:', error);
+    console.error('Error fetching leads:', error);
     return c.json({ error: error.message }, 500);
   }
 });
 
 /**
- * GET /api/campaign/:id/metrics
- * Obter métricas de uma campanha
+ * GET /api/leads/export.csv
+ * Exportar leads filtrados em CSV (mesmos filtros de /api/leads)
  */
-app.get('/api/campaign/:id/metrics', async (c) => {
+app.get('/api/leads/export.csv', async (c) => {
   try {
-    const campaignId = c.req.param('id');
-    
-    const { results } = await c.env.DB.prepare(`
-      SELECT * FROM performance_metrics
-      WHERE campaign_id = ?
-      ORDER BY date DESC
-      LIMIT 30
-    `).bind(campaignId).all();
+    const { filters, error } = parseLeadQuery(c.req.query());
 
-    return c.json({ metrics: results });
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const leadSearch = new LeadSearch(c.get('tenant'));
+    const csv = await leadSearch.exportCSV(filters);
+
+    return c.body(csv, 200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="leads-${new Date().toISOString().split('T')[0]}.csv"`
+    });
   } catch (error) {
-    console.error('Error fetching metrics:', error);
+    console.error('Error exporting leads:', error);
     return c.json({ error: error.message }, 500);
   }
 });
 
 /**
- * GET /api/alerts
- * Listar alertas não resolvidos
+ * PATCH /api/lead/:id
+ * Atualizar status do lead no funil (new, contacted, qualified, won, lost)
+ * qualified/won enviam conversões offline; won exige saleAmount
  */
-app.get('/api/alerts', async (c) => {
+app.patch('/api/lead/:id', async (c) => {
   try {
-    const { results } = await c.env.DB.prepare(`
-      SELECT a.*, c.name as campaign_name
-      FROM alerts a
-      LEFT JOIN campaigns c ON a.campaign_id = c.id
-      WHERE a.resolved = 0
-      ORDER BY a.severity DESC, a.created_at DESC
-      LIMIT 50
-    `).all();
+    const body = await c.req.json();
+    const validationError = validateStatusChange(body);
 
-    return c.json({ alerts: results });
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const pipeline = new LeadPipeline(c.get('tenant'));
+    const lead = await pipeline.get(c.req.param('id'));
+
+    if (!lead) {
+      return c.json({ error: 'Lead not found' }, 404);
+    }
+
+    const result = await pipeline.updateStatus(lead, body);
+
+    return c.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error fetching alerts:', error);
+    console.error('Error updating lead:', error);
     return c.json({ error: error.message }, 500);
   }
 });
 
 /**
- * Cron Trigger Handler
- * Executado automaticamente em schedule
+ * GET /api/lead-values
+ * Obter valor de conversão dos leads por produto
  */
-export default {
-  async fetch(request, env, ctx) {
-    return app.fetch(request, env, ctx);
-  },
+app.get('/api/lead-values', async (c) => {
+  try {
+    const leadValues = new LeadValues(c.get('tenant'));
+    return c.json(await leadValues.getSettings());
+  } catch (error) {
+    console.error('Error fetching lead values:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
 
-  async scheduled(event, env, ctx) {
-    console.log('Cron triggered:', event.cron);
+/**
+ * PUT /api/lead-values
+ * Alterar valor padrão e valores por produto
+ */
+app.put('/api/lead-values', async (c) => {
+  try {
+    const body = await c.req.json();
+    const validationError = validateLeadValues(body);
 
-    try {
-      // A cada 6 horas: Monitorar campanhas
-      if (event.cron === '0 */6 * * *') {
-        const monitor = new CampaignMonitor(env);
-        await monitor.monitorAll();
-      }
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
 
-      // Diariamente: Atualizar conhecimento
-      if (event.cron === '0 0 * * *') {
-        const updater = new KnowledgeUpdater(env);
-        await updater.checkForUpdates();
-      }
+    const leadValues = new LeadValues(c.get('tenant'));
+    return c.json(await leadValues.updateSettings(body));
+  } catch (error) {
+    console.error('Error updating lead values:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
 
-      // Semanalmente: Relatório
-      if (event.cron === '0 8 * * 1') {
-        const monitor = new CampaignMonitor(env);
-        await monitor.generateWeeklyReport();
-      }
-    } catch (error) {
-      console.error('Cron error:', error);
+/**
+ * GET /api/keys
+ * Listar chaves de API
+ */
+app.get('/api/keys', requireScope('admin'), async (c) => {
+  try {
+    const apiKeys = new ApiKeys(c.get('tenant'));
+    return c.json({ keys: await apiKeys.list(c.get('apiKey').tenantId) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/keys
+ * Criar chave de API (o valor só é mostrado nesta resposta)
+ */
+app.post('/api/keys', requireScope('admin'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const validationError = validateApiKey(body);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    // Admin de um cliente só cria chaves do próprio cliente
+    const keyTenantId = c.get('apiKey').tenantId || body.tenantId || null;
+    if (c.get('apiKey').tenantId && body.tenantId && body.tenantId !== keyTenantId) {
+      return c.json({ error: 'API key is restricted to another tenant' }, 403);
+    }
+
+    if (keyTenantId && !(await new Tenants(c.env).get(keyTenantId))) {
+      return c.json({ error: 'Tenant not found' }, 400);
     }
+
+    const apiKeys = new ApiKeys(c.get('tenant'));
+    return c.json(await apiKeys.create({ ...body, tenantId: keyTenantId }), 201);
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return c.json({ error: error.message }, 500);
   }
-};
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revogar chave de API
+ */
+app.delete('/api/keys/:id', requireScope('admin'), async (c) => {
+  try {
+    const apiKeys = new ApiKeys(c.get('tenant'));
+    const revoked = await apiKeys.revoke(c.req.param('id'), c.get('apiKey').tenantId);
+
+    if (!revoked) {
+      return c.json({ error: 'API key not found' }, 404);
+    }
+
+    return c.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/tenants
+ * Listar clientes da agência
+ */
+app.get('/api/tenants', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const tenants = new Tenants(c.env);
+    return c.json({ tenants: await tenants.list() });
+  } catch (error) {
+    console.error('Error fetching tenants:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/tenants
+ * Cadastrar cliente
+ */
+app.post('/api/tenants', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const body = await c.req.json();
+    const validationError = validateTenant(body, { creating: true });
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const tenants = new Tenants(c.env);
+    const tenant = await tenants.create({ id: body.id, name: body.name.trim() });
+
+    if (!tenant) {
+      return c.json({ error: 'Tenant already exists' }, 409);
+    }
+
+    return c.json(tenant, 201);
+  } catch (error) {
+    console.error('Error creating tenant:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PATCH /api/tenants/:id
+ * Renomear ou desativar cliente (desativado: fora do cron, da API e sem receber leads)
+ */
+app.patch('/api/tenants/:id', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const body = await c.req.json();
+    const validationError = validateTenant(body);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    if (c.req.param('id') === DEFAULT_TENANT_ID && body.status === 'disabled') {
+      return c.json({ error: 'The default tenant cannot be disabled' }, 400);
+    }
+
+    const tenants = new Tenants(c.env);
+    const tenant = await tenants.update(c.req.param('id'), { name: body.name?.trim(), status: body.status });
+
+    if (!tenant) {
+      return c.json({ error: 'Tenant not found' }, 404);
+    }
+
+    return c.json(tenant);
+  } catch (error) {
+    console.error('Error updating tenant:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/tenants/:id/landing-origins
+ * Origens dos formulários externos do cliente
+ */
+app.get('/api/tenants/:id/landing-origins', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const tenants = new Tenants(c.env);
+
+    if (!(await tenants.get(c.req.param('id')))) {
+      return c.json({ error: 'Tenant not found' }, 404);
+    }
+
+    return c.json({ origins: await tenants.listLandingOrigins(c.req.param('id')) });
+  } catch (error) {
+    console.error('Error fetching landing origins:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/tenants/:id/landing-origins
+ * Substituir as origens dos formulários externos (leads sem pageId dessas origens vão para o cliente)
+ */
+app.put('/api/tenants/:id/landing-origins', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const { origins } = await c.req.json();
+    const validationError = validateLandingOrigins(origins);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const tenants = new Tenants(c.env);
+
+    if (!(await tenants.get(c.req.param('id')))) {
+      return c.json({ error: 'Tenant not found' }, 404);
+    }
+
+    const saved = await tenants.setLandingOrigins(c.req.param('id'), origins);
+
+    if (!saved) {
+      return c.json({ error: 'Origin already belongs to another tenant' }, 409);
+    }
+
+    return c.json({ origins: saved });
+  } catch (error) {
+    console.error('Error saving landing origins:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/tenants/:id/accounts
+ * Contas de anúncios do cliente (sem credenciais)
+ */
+app.get('/api/tenants/:id/accounts', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const tenants = new Tenants(c.env);
+
+    if (!(await tenants.get(c.req.param('id')))) {
+      return c.json({ error: 'Tenant not found' }, 404);
+    }
+
+    return c.json({ accounts: await tenants.listAccounts(c.req.param('id')) });
+  } catch (error) {
+    console.error('Error fetching ad accounts:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/tenants/:id/accounts/:platform
+ * Cadastrar ou substituir a conta de uma plataforma (meta, google, ga4)
+ */
+app.put('/api/tenants/:id/accounts/:platform', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const platform = c.req.param('platform');
+    const body = await c.req.json();
+    const validationError = validateAdAccount(platform, body);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const tenants = new Tenants(c.env);
+
+    if (!(await tenants.get(c.req.param('id')))) {
+      return c.json({ error: 'Tenant not found' }, 404);
+    }
+
+    const account = await tenants.setAccount(c.req.param('id'), platform, {
+      accountId: body.accountId.trim(),
+      name: body.name ?? null,
+      credentials: body.credentials
+    });
+
+    return c.json(account);
+  } catch (error) {
+    console.error('Error saving ad account:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/tenants/:id/accounts/:platform
+ * Remover a conta de uma plataforma
+ */
+app.delete('/api/tenants/:id/accounts/:platform', requireScope('admin'), requireAgencyKey, async (c) => {
+  try {
+    const tenants = new Tenants(c.env);
+    const removed = await tenants.removeAccount(c.req.param('id'), c.req.param('platform'));
+
+    if (!removed) {
+      return c.json({ error: 'Ad account not found' }, 404);
+    }
+
+    return c.json({ success: true });
+  } catch (error) {
+    console.error('Error removing ad account:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /oauth/meta/start
+ * GET /oauth/google/start
+ * URL de autorização para conectar a conta do cliente (abrir no navegador)
+ */
+app.get('/oauth/:provider{meta|google}/start', authenticate, requireScope('admin'), async (c) => {
+  try {
+    const provider = c.req.param('provider');
+    const oauth = new OAuthConnections(c.get('tenant'));
+    const redirectUri = `${new URL(c.req.url).origin}/oauth/${provider}/callback`;
+
+    return c.json(await oauth.authorizationUrl(provider, redirectUri));
+  } catch (error) {
+    console.error('Error starting OAuth:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /oauth/meta/callback
+ * GET /oauth/google/callback
+ * Retorno do provedor: troca o code pelos tokens e salva a conexão do cliente do state
+ */
+app.get('/oauth/:provider{meta|google}/callback', async (c) => {
+  try {
+    const provider = c.req.param('provider');
+    const oauth = new OAuthConnections(c.env);
+    const state = await oauth.consumeState(provider, c.req.query('state'));
+
+    if (!state) {
+      return c.html(oauthResultPage(`Link de autorização inválido ou expirado. Gere um novo em /oauth/${provider}/start.`), 400);
+    }
+
+    if (c.req.query('error') || !c.req.query('code')) {
+      return c.html(oauthResultPage('Autorização cancelada.'), 400);
+    }
+
+    const tenant = await new Tenants(c.env).get(state.tenantId);
+
+    if (!tenant || tenant.status !== 'active') {
+      return c.html(oauthResultPage('Cliente não encontrado ou desativado.'), 404);
+    }
+
+    const connection = new OAuthConnections({ ...c.env, tenantId: tenant.id });
+    await connection.connect(provider, c.req.query('code'), state.redirectUri);
+
+    return c.html(oauthResultPage(`Conta ${provider === 'meta' ? 'Meta' : 'Google'} conectada para ${tenant.name}. Você já pode fechar esta janela.`));
+  } catch (error) {
+    console.error('Error completing OAuth:', error);
+    return c.html(oauthResultPage('Não foi possível concluir a conexão. Tente novamente.'), 500);
+  }
+});
+
+/**
+ * Página de resultado do callback OAuth
+ * A mensagem é escapada (inclui o nome do cliente, cadastrado pela API)
+ */
+function oauthResultPage(message) {
+  return `<!DOCTYPE html><html lang="pt-BR"><head><meta charset="utf-8"><title>Conexão</title></head><body><p>${escapeHtml(message)}</p></body></html>`;
+}
+
+/**
+ * GET /api/oauth/connections
+ * Conexões OAuth do cliente (status, vencimento, último erro)
+ */
+app.get('/api/oauth/connections', requireScope('admin'), async (c) => {
+  try {
+    const oauth = new OAuthConnections(c.get('tenant'));
+    return c.json({ connections: await oauth.list() });
+  } catch (error) {
+    console.error('Error fetching OAuth connections:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/oauth/connections/:provider
+ * Desconectar (volta a usar os tokens da conta cadastrada, se houver)
+ */
+app.delete('/api/oauth/connections/:provider{meta|google}', requireScope('admin'), async (c) => {
+  try {
+    const oauth = new OAuthConnections(c.get('tenant'));
+    const removed = await oauth.disconnect(c.req.param('provider'));
+
+    if (!removed) {
+      return c.json({ error: 'OAuth connection not found' }, 404);
+    }
+
+    return c.json({ success: true });
+  } catch (error) {
+    console.error('Error removing OAuth connection:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/conversions/dead-letters
+ * Eventos de conversão que esgotaram as tentativas de envio (?includeReplayed=true inclui os já reenviados)
+ */
+app.get('/api/conversions/dead-letters', requireScope('admin'), async (c) => {
+  try {
+    const conversionOutbox = new ConversionOutbox(c.get('tenant'));
+    const deadLetters = await conversionOutbox.listDeadLetters({
+      includeReplayed: c.req.query('includeReplayed') === 'true'
+    });
+
+    return c.json({ deadLetters });
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * Reenviar eventos da dead letter (todos do cliente ou só um)
+ */
+async function replayDeadLetters(c, deadLetterId) {
+  try {
+    const conversionOutbox = new ConversionOutbox(c.get('tenant'));
+    const result = await conversionOutbox.replay(deadLetterId);
+
+    if (deadLetterId && result.replayed === 0) {
+      return c.json({ error: 'Dead letter not found or already replayed' }, 404);
+    }
+
+    c.executionCtx.waitUntil(conversionOutbox.dispatch(result.eventIds));
+
+    return c.json(result);
+  } catch (error) {
+    console.error('Error replaying dead letters:', error);
+    return c.json({ error: error.message }, 500);
+  }
+}
+
+/**
+ * POST /api/conversions/dead-letters/replay
+ * Reenviar todos os eventos da dead letter do cliente
+ */
+app.post('/api/conversions/dead-letters/replay', requireScope('admin'), (c) => replayDeadLetters(c, null));
+
+/**
+ * POST /api/conversions/dead-letters/:id/replay
+ * Reenviar um evento da dead letter
+ */
+app.post('/api/conversions/dead-letters/:id{[0-9]+}/replay', requireScope('admin'), (c) =>
+  replayDeadLetters(c, parseInt(c.req.param('id')))
+);
+
+/**
+ * POST /api/privacy/export
+ * POST /api/privacy/delete
+ * Solicitação do titular (LGPD): exportar ou excluir tudo sobre um e-mail/telefone
+ * Dados pessoais vão no corpo (não na URL) para não aparecerem em logs
+ */
+app.post('/api/privacy/:action{export|delete}', requireScope('admin'), async (c) => {
+  try {
+    const { email, phone, requestedBy, reason } = await c.req.json();
+    const privacy = new LeadPrivacy(c.get('tenant'));
+    const subject = privacy.normalizeSubject({ email, phone });
+
+    if (!subject) {
+      return c.json({ error: 'email or phone is required' }, 400);
+    }
+
+    const result = c.req.param('action') === 'export'
+      ? await privacy.export(subject, { requestedBy, reason })
+      : await privacy.erase(subject, { requestedBy, reason });
+
+    return c.json(result);
+  } catch (error) {
+    console.error('Error handling data subject request:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/privacy/requests
+ * Trilha de auditoria das solicitações de titulares
+ */
+app.get('/api/privacy/requests', requireScope('admin'), async (c) => {
+  try {
+    const privacy = new LeadPrivacy(c.get('tenant'));
+    return c.json({ requests: await privacy.listRequests() });
+  } catch (error) {
+    console.error('Error fetching data subject requests:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * Listar webhooks de saída
+ */
+app.get('/api/webhooks', requireScope('admin'), async (c) => {
+  try {
+    const webhooks = new WebhookIntegration(c.get('tenant'));
+    return c.json({ webhooks: await webhooks.list() });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Cadastrar webhook (recebe lead.created); o secret do HMAC só é mostrado aqui
+ */
+app.post('/api/webhooks', requireScope('admin'), async (c) => {
+  try {
+    const { url, description } = await c.req.json();
+
+    if (typeof url !== 'string' || !url.startsWith('https://') || !URL.canParse(url)) {
+      return c.json({ error: 'url must be a valid https URL' }, 400);
+    }
+
+    const webhooks = new WebhookIntegration(c.get('tenant'));
+    return c.json(await webhooks.create({ url, description }), 201);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Desativar webhook
+ */
+app.delete('/api/webhooks/:id', requireScope('admin'), async (c) => {
+  try {
+    const webhooks = new WebhookIntegration(c.get('tenant'));
+    const deactivated = await webhooks.deactivate(c.req.param('id'));
+
+    if (!deactivated) {
+      return c.json({ error: 'Webhook not found' }, 404);
+    }
+
+    return c.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Log de entregas do webhook
+ */
+app.get('/api/webhooks/:id/deliveries', requireScope('admin'), async (c) => {
+  try {
+    const webhooks = new WebhookIntegration(c.get('tenant'));
+    return c.json({ deliveries: await webhooks.deliveries(c.req.param('id')) });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/ga4/validate
+ * Validar evento no Measurement Protocol (debug, não é registrado no GA4)
+ */
+app.post('/api/ga4/validate', async (c) => {
+  try {
+    const { name, params, clientId, sessionId, userId } = await c.req.json();
+
+    if (!name) {
+      return c.json({ error: 'name is required' }, 400);
+    }
+
+    const ga4 = new GA4Integration(c.get('tenant'));
+    const result = await ga4.sendEvent({
+      name,
+      params: params || {},
+      clientId,
+      sessionId,
+      userId,
+      timestampMicros: Date.now() * 1000,
+      validate: true
+    });
+
+    return c.json(result);
+  } catch (error) {
+    console.error('Error validating GA4 event:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/campaigns
+ * Listar campanhas
+ */
+app.get('/api/campaigns', async (c) => {
+  try {
+    const { results } = await c.env.DB.prepare(`
+      SELECT * FROM campaigns 
+      WHERE status != 'archived' AND tenant_id = ?
+      ORDER BY created_at DESC
+      LIMIT 100
+    `).bind(c.get('tenant').tenantId).all();
+
+    return c.json({ campaigns: results });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+// Status aplicado por cada ação de ciclo de vida
+const CAMPAIGN_ACTION_STATUS = {
+  activate: 'active',
+  pause: 'paused',
+  archive: 'archived'
+};
+
+/**
+ * POST /api/campaign/:id/activate|pause|archive
+ * Alterar status da campanha
+ */
+app.post('/api/campaign/:id/:action{activate|pause|archive}', requireScope(spendingAction('activate')), async (c) => {
+  try {
+    const campaignId = c.req.param('id');
+    const status = CAMPAIGN_ACTION_STATUS[c.req.param('action')];
+
+    const campaign = await findCampaign(c, campaignId);
+
+    if (!campaign) {
+      return c.json({ error: 'Campaign not found' }, 404);
+    }
+
+    if (campaign.status === 'archived') {
+      return c.json({ error: 'Archived campaigns cannot be changed' }, 409);
+    }
+
+    const aiEngine = new AIEngine(c.get('tenant'));
+    const result = await aiEngine.setCampaignStatus(campaignId, status);
+
+    return c.json({ success: true, campaignId, status, result });
+  } catch (error) {
+    console.error('Error changing campaign status:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PATCH /api/campaign/:id
+ * Editar nome, orçamento diário e limites de orçamento da campanha
+ */
+app.patch('/api/campaign/:id', requireScope('campaign-spend'), async (c) => {
+  try {
+    const campaignId = c.req.param('id');
+    const { name, budget, minBudget, maxBudget } = await c.req.json();
+
+    if ([name, budget, minBudget, maxBudget].every(value => value === undefined)) {
+      return c.json({ error: 'Nothing to update: send name, budget, minBudget and/or maxBudget' }, 400);
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return c.json({ error: 'Name must be a non-empty string' }, 400);
+    }
+
+    if (budget !== undefined && !(typeof budget === 'number' && budget > 0)) {
+      return c.json({ error: 'Budget must be a positive number' }, 400);
+    }
+
+    for (const [field, value] of Object.entries({ minBudget, maxBudget })) {
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value > 0)) {
+        return c.json({ error: `${field} must be a positive number or null` }, 400);
+      }
+    }
+
+    const campaign = await findCampaign(c, campaignId);
+
+    if (!campaign) {
+      return c.json({ error: 'Campaign not found' }, 404);
+    }
+
+    if (campaign.status === 'archived') {
+      return c.json({ error: 'Archived campaigns cannot be changed' }, 409);
+    }
+
+    const budgetError = budget !== undefined ? validateDailyBudget(campaign.platform, budget) : null;
+
+    if (budgetError) {
+      return c.json({ error: budgetError }, 400);
+    }
+
+    const aiEngine = new AIEngine(c.get('tenant'));
+    const result = await aiEngine.updateCampaign(campaignId, {
+      name: name?.trim(),
+      budget,
+      minBudget,
+      maxBudget
+    });
+
+    return c.json({ success: true, campaignId, result });
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/campaign/:id/metrics
+ * Obter métricas de uma campanha
+ */
+app.get('/api/campaign/:id/metrics', async (c) => {
+  try {
+    const campaignId = c.req.param('id');
+    
+    if (!(await findCampaign(c, campaignId))) {
+      return c.json({ error: 'Campaign not found' }, 404);
+    }
+
+    const { results } = await c.env.DB.prepare(`
+      SELECT * FROM performance_metrics
+      WHERE campaign_id = ?
+      ORDER BY date DESC
+      LIMIT 30
+    `).bind(campaignId).all();
+
+    return c.json({ metrics: results });
+  } catch (error) {
+    console.error('Error fetching metrics:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/alerts
+ * Listar alertas não resolvidos
+ */
+app.get('/api/alerts', async (c) => {
+  try {
+    const { results } = await c.env.DB.prepare(`
+      SELECT a.*, c.name as campaign_name
+      FROM alerts a
+      LEFT JOIN campaigns c ON a.campaign_id = c.id
+      WHERE a.resolved = 0 AND (a.tenant_id = ? OR a.tenant_id IS NULL)
+      ORDER BY a.severity DESC, a.created_at DESC
+      LIMIT 50
+    `).bind(c.get('tenant').tenantId).all();
+
+    return c.json({ alerts: results });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/decisions
+ * Histórico de decisões com resultado (metrics_before, metrics_after, success)
+ */
+app.get('/api/decisions', async (c) => {
+  try {
+    const campaignId = c.req.query('campaignId');
+
+    const { results } = await c.env.DB.prepare(`
+      SELECT d.*, c.name as campaign_name
+      FROM ai_decisions d
+      JOIN campaigns c ON d.campaign_id = c.id
+      WHERE (?1 IS NULL OR d.campaign_id = ?1) AND c.tenant_id = ?2
+      ORDER BY d.created_at DESC
+      LIMIT 100
+    `).bind(campaignId || null, c.get('tenant').tenantId).all();
+
+    const decisions = results.map(decision => ({
+      ...decision,
+      action_taken: JSON.parse(decision.action_taken),
+      metrics_before: decision.metrics_before ? JSON.parse(decision.metrics_before) : null,
+      metrics_after: decision.metrics_after ? JSON.parse(decision.metrics_after) : null,
+      success: decision.success === null ? null : Boolean(decision.success)
+    }));
+
+    // Taxa de acerto das decisões da IA já avaliadas
+    const evaluated = decisions.filter(d => d.success !== null && EVALUATED_SOURCES.includes(d.source));
+    const summary = {
+      evaluated: evaluated.length,
+      successful: evaluated.filter(d => d.success).length,
+      successRate: evaluated.length > 0
+        ? evaluated.filter(d => d.success).length / evaluated.length
+        : null
+    };
+
+    return c.json({ decisions, summary });
+  } catch (error) {
+    console.error('Error fetching decisions:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/decisions/skipped
+ * Decisões bloqueadas pelos guardrails e o motivo
+ */
+app.get('/api/decisions/skipped', async (c) => {
+  try {
+    const campaignId = c.req.query('campaignId');
+
+    const { results } = await c.env.DB.prepare(`
+      SELECT s.*, c.name as campaign_name
+      FROM decision_skips s
+      JOIN campaigns c ON s.campaign_id = c.id
+      WHERE (?1 IS NULL OR s.campaign_id = ?1) AND c.tenant_id = ?2
+      ORDER BY s.created_at DESC
+      LIMIT 100
+    `).bind(campaignId || null, c.get('tenant').tenantId).all();
+
+    const skipped = results.map(skip => ({
+      ...skip,
+      details: skip.details ? JSON.parse(skip.details) : null
+    }));
+
+    return c.json({ skipped });
+  } catch (error) {
+    console.error('Error fetching skipped decisions:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/guardrails
+ * Obter configuração dos guardrails estatísticos
+ */
+app.get('/api/guardrails', async (c) => {
+  try {
+    const guardrails = new DecisionGuardrails(c.get('tenant'));
+    return c.json(await guardrails.getSettings());
+  } catch (error) {
+    console.error('Error fetching guardrail settings:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/guardrails
+ * Alterar amostras mínimas, confiança, janelas e cooldown
+ */
+app.put('/api/guardrails', requireScope('campaign-spend'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const validationError = validateGuardrailSettings(body);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const guardrails = new DecisionGuardrails(c.get('tenant'));
+    return c.json(await guardrails.updateSettings(body));
+  } catch (error) {
+    console.error('Error updating guardrail settings:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/decisions/pending
+ * Listar decisões da IA aguardando aprovação
+ */
+app.get('/api/decisions/pending', async (c) => {
+  try {
+    const decisionQueue = new DecisionQueue(c.get('tenant'));
+    const proposals = await decisionQueue.listPending();
+
+    return c.json({ proposals });
+  } catch (error) {
+    console.error('Error fetching pending decisions:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/decisions/:id/approve|reject
+ * Aprovar (e executar) ou rejeitar proposta de decisão
+ */
+app.post('/api/decisions/:id/:action{approve|reject}', requireScope(spendingAction('approve')), async (c) => {
+  try {
+    const action = c.req.param('action');
+    const { note } = await c.req.json().catch(() => ({}));
+
+    const decisionQueue = new DecisionQueue(c.get('tenant'));
+    const proposal = await decisionQueue.get(c.req.param('id'));
+
+    if (!proposal) {
+      return c.json({ error: 'Proposal not found' }, 404);
+    }
+
+    if (proposal.status !== 'pending') {
+      return c.json({ error: `Proposal is ${proposal.status}` }, 409);
+    }
+
+    // Tomar a proposta antes de agir: aprovar e rejeitar ao mesmo tempo não podem ambos ter sucesso
+    const claimed = await decisionQueue.claim(proposal.id, action === 'reject' ? 'rejected' : 'approving', { note });
+    if (!claimed) {
+      const current = await decisionQueue.get(proposal.id);
+      return c.json({ error: `Proposal is ${current?.status ?? 'no longer pending'}` }, 409);
+    }
+
+    if (action === 'reject') {
+      return c.json({ success: true, proposalId: proposal.id, status: 'rejected' });
+    }
+
+    const aiEngine = new AIEngine(c.get('tenant'));
+    const result = await aiEngine.approveProposal(proposal, note);
+
+    return c.json({ success: true, proposalId: proposal.id, status: 'approved', result });
+  } catch (error) {
+    console.error('Error resolving decision:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/autopilot
+ * Obter configuração global do autopiloto
+ */
+app.get('/api/autopilot', async (c) => {
+  try {
+    const decisionQueue = new DecisionQueue(c.get('tenant'));
+    return c.json(await decisionQueue.getSettings());
+  } catch (error) {
+    console.error('Error fetching autopilot settings:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/autopilot
+ * Alterar nível global do autopiloto e TTL das propostas
+ */
+app.put('/api/autopilot', requireScope('campaign-spend'), async (c) => {
+  try {
+    const { level, proposalTtlHours } = await c.req.json();
+
+    if (level !== undefined && !AUTOPILOT_LEVELS.includes(level)) {
+      return c.json({ error: `Level must be one of: ${AUTOPILOT_LEVELS.join(', ')}` }, 400);
+    }
+
+    if (proposalTtlHours !== undefined && !(typeof proposalTtlHours === 'number' && proposalTtlHours > 0)) {
+      return c.json({ error: 'proposalTtlHours must be a positive number' }, 400);
+    }
+
+    const decisionQueue = new DecisionQueue(c.get('tenant'));
+    const settings = await decisionQueue.updateSettings({ level, proposalTtlHours });
+
+    return c.json(settings);
+  } catch (error) {
+    console.error('Error updating autopilot settings:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/campaign/:id/autopilot
+ * Definir nível de autopiloto da campanha (null = usar o global)
+ */
+app.put('/api/campaign/:id/autopilot', requireScope('campaign-spend'), async (c) => {
+  try {
+    const campaignId = c.req.param('id');
+    const { level } = await c.req.json();
+
+    if (level !== null && !AUTOPILOT_LEVELS.includes(level)) {
+      return c.json({ error: `Level must be null or one of: ${AUTOPILOT_LEVELS.join(', ')}` }, 400);
+    }
+
+    const { meta } = await c.env.DB.prepare(`
+      UPDATE campaigns SET autopilot_level = ?, updated_at = ? WHERE id = ? AND tenant_id = ?
+    `).bind(level, Date.now(), campaignId, c.get('tenant').tenantId).run();
+
+    if (meta.changes === 0) {
+      return c.json({ error: 'Campaign not found' }, 404);
+    }
+
+    return c.json({ success: true, campaignId, level });
+  } catch (error) {
+    console.error('Error updating campaign autopilot:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/kpi-targets
+ * Listar metas de KPI configuradas (e os padrões)
+ */
+app.get('/api/kpi-targets', async (c) => {
+  try {
+    const kpiTargets = new KpiTargets(c.get('tenant'));
+    const targets = await kpiTargets.list();
+
+    return c.json({ defaults: DEFAULT_KPI_TARGETS, targets });
+  } catch (error) {
+    console.error('Error fetching KPI targets:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/kpi-targets/global
+ * PUT /api/kpi-targets/account/:scopeId
+ * PUT /api/kpi-targets/campaign/:scopeId
+ * Definir metas de KPI (merge parcial; null remove a meta do escopo)
+ */
+async function putKpiTargets(c, scope, scopeId) {
+  try {
+    const body = await c.req.json();
+    const validationError = validateKpiTargets(body);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const kpiTargets = new KpiTargets(c.get('tenant'));
+
+    if (!(await kpiTargets.ownsScope(scope, scopeId))) {
+      return c.json({ error: `${scope} not found for this tenant` }, 404);
+    }
+
+    const targets = await kpiTargets.set(scope, scopeId, body);
+
+    return c.json({ scope, scopeId, targets });
+  } catch (error) {
+    console.error('Error updating KPI targets:', error);
+    return c.json({ error: error.message }, 500);
+  }
+}
+
+app.put('/api/kpi-targets/global', requireScope('campaign-spend'), (c) => putKpiTargets(c, 'global', c.get('tenant').tenantId));
+
+app.put('/api/kpi-targets/:scope{account|campaign}/:scopeId', requireScope('campaign-spend'), (c) =>
+  putKpiTargets(c, c.req.param('scope'), c.req.param('scopeId'))
+);
+
+/**
+ * DELETE /api/kpi-targets/:scope/:scopeId
+ * Remover metas de uma conta ou campanha (volta a herdar)
+ */
+app.delete('/api/kpi-targets/:scope{account|campaign}/:scopeId', requireScope('campaign-spend'), async (c) => {
+  try {
+    const kpiTargets = new KpiTargets(c.get('tenant'));
+    const removed = await kpiTargets.ownsScope(c.req.param('scope'), c.req.param('scopeId')) &&
+      await kpiTargets.remove(c.req.param('scope'), c.req.param('scopeId'));
+
+    if (!removed) {
+      return c.json({ error: 'KPI targets not found' }, 404);
+    }
+
+    return c.json({ success: true });
+  } catch (error) {
+    console.error('Error removing KPI targets:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/campaign/:id/kpi-targets
+ * Metas de KPI efetivas da campanha
+ */
+app.get('/api/campaign/:id/kpi-targets', async (c) => {
+  try {
+    const campaign = await findCampaign(c, c.req.param('id'));
+
+    if (!campaign) {
+      return c.json({ error: 'Campaign not found' }, 404);
+    }
+
+    const kpiTargets = new KpiTargets(c.get('tenant'));
+    const targets = await kpiTargets.resolveForCampaign(campaign);
+
+    return c.json({ campaignId: campaign.id, targets });
+  } catch (error) {
+    console.error('Error resolving KPI targets:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/budget-optimizer
+ * Obter configuração do otimizador de orçamento
+ */
+app.get('/api/budget-optimizer', async (c) => {
+  try {
+    const optimizer = new BudgetOptimizer(c.get('tenant'));
+    return c.json(await optimizer.getSettings());
+  } catch (error) {
+    console.error('Error fetching optimizer settings:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * PUT /api/budget-optimizer
+ * Alterar configuração do otimizador (portfólios, limites, janela)
+ */
+app.put('/api/budget-optimizer', requireScope('campaign-spend'), async (c) => {
+  try {
+    const body = await c.req.json();
+    const validationError = validateOptimizerSettings(body);
+
+    if (validationError) {
+      return c.json({ error: validationError }, 400);
+    }
+
+    const optimizer = new BudgetOptimizer(c.get('tenant'));
+    return c.json(await optimizer.updateSettings(body));
+  } catch (error) {
+    console.error('Error updating optimizer settings:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/budget-optimizer/run
+ * Executar o otimizador agora ({ "dryRun": true } apenas simula)
+ * Mudanças reais no máximo uma vez por dia (limite de variação diária das campanhas)
+ */
+app.post('/api/budget-optimizer/run', requireScope('campaign-spend'), async (c) => {
+  try {
+    const { dryRun } = await c.req.json().catch(() => ({}));
+
+    const optimizer = new BudgetOptimizer(c.get('tenant'));
+
+    if (!dryRun && await optimizer.hasRunToday()) {
+      return c.json({ error: 'Budget optimizer already ran today; use dryRun to simulate' }, 409);
+    }
+    const portfolios = await optimizer.optimizeAll({ force: true, dryRun: Boolean(dryRun) });
+
+    return c.json({ portfolios });
+  } catch (error) {
+    console.error('Error running budget optimizer:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * Cron Trigger Handler
+ * Executado automaticamente em schedule
+ */
+export default {
+  async fetch(request, env, ctx) {
+    return app.fetch(request, env, ctx);
+  },
+
+  /**
+   * Consumer da fila de eventos de conversão (CONVERSION_QUEUE)
+   * Falhas voltam para a fila com o backoff do outbox; as definitivas vão para a dead letter
+   */
+  async queue(batch, env, ctx) {
+    const conversionOutbox = new ConversionOutbox(env);
+
+    for (const message of batch.messages) {
+      try {
+        const result = await conversionOutbox.deliver(message.body.eventId);
+
+        if (result.status === 'retry') {
+          message.retry({ delaySeconds: result.retryDelaySeconds });
+        } else {
+          message.ack();
+        }
+      } catch (error) {
+        console.error('Conversion queue error:', error);
+        message.retry();
+      }
+    }
+  },
+
+  async scheduled(event, env, ctx) {
+    console.log('Cron triggered:', event.cron);
+
+    try {
+      // Diariamente: Atualizar conhecimento (compartilhado entre os clientes)
+      if (event.cron === '0 0 * * *') {
+        const updater = new KnowledgeUpdater(env);
+        await updater.checkForUpdates();
+      }
+
+      // A cada 5 minutos: Retomar eventos de conversão pendentes (todos os clientes)
+      // Sem CONVERSION_QUEUE, é este cron que aplica o backoff do outbox
+      if (event.cron === '*/5 * * * *') {
+        const conversionOutbox = new ConversionOutbox(env);
+        await conversionOutbox.processDue();
+        return;
+      }
+
+      // Cada cliente ativo com suas contas, orçamentos e metas de KPI
+      const tenants = await new Tenants(env).list({ status: 'active' });
+
+      for (const tenant of tenants) {
+        try {
+          await runTenantCron(event.cron, await createTenantContext(env, tenant));
+        } catch (error) {
+          console.error(`Cron error (tenant ${tenant.id}):`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Cron error:', error);
+    }
+  }
+};
+
+/**
+ * Tarefas agendadas de um cliente
+ */
+async function runTenantCron(cron, tenant) {
+  // A cada 6 horas: Monitorar campanhas
+  if (cron === '0 */6 * * *') {
+    const monitor = new CampaignMonitor(tenant);
+    await monitor.monitorAll();
+
+    const optimizer = new BudgetOptimizer(tenant);
+    await optimizer.optimizeAll();
+  }
+
+  // Diariamente: Renovar tokens OAuth e avaliar resultado das decisões
+  if (cron === '0 0 * * *') {
+    const oauth = new OAuthConnections(tenant);
+    await oauth.refreshAll();
+
+    const evaluator = new DecisionEvaluator(tenant);
+    await evaluator.evaluatePending();
+  }
+
+  // Semanalmente: Relatório
+  if (cron === '0 8 * * 1') {
+    const monitor = new CampaignMonitor(tenant);
+    await monitor.generateWeeklyReport();
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Ad Platforms
+ * Registro das plataformas de anúncios e contrato comum dos adaptadores
+ *
+ * Todo adaptador é uma classe construída com o contexto do cliente (createTenantContext) e implementa:
+ * - createCampaign({ name, objective, budget, targeting, creatives, keywords, targetCpa, search, saga })
+ *     => { success, accountId, campaignId, name, reviewUrl } (campanha criada pausada)
+ *     Cada plataforma usa só os campos que suporta (ex: keywords e search no Google, creatives no Meta)
+ *     Tudo ou nada: em caso de erro, nada fica na conta (mutate atômico ou CreationSaga)
+ *     Todo recurso criado é registrado em saga (CreationSaga, opcional) assim que existe
+ * - getCampaignMetrics(campaignId, dateRange) => { impressions, clicks, spend, conversions }
+ *     dateRange: 'today', 'yesterday', 'last_7d' ou 'last_30d'; spend em reais
+ * - executeDecision(campaignId, decision) => { success, ... } ({ success: false, message } se o tipo não for suportado)
+ *     applied: false quando o tipo é aceito mas não muda nada na plataforma (fica fora da avaliação das decisões)
+ * - pauseCampaign(campaignId) / activateCampaign(campaignId) => { success, status }
+ * - listCampaigns() => [{ campaignId, name, status: 'active' | 'paused' | 'archived', dailyBudget }]
+ * - getAccountTimezone() => fuso IANA da conta (ex: America/Sao_Paulo)
+ * - deleteResource(resourceType, resourceId) => { success } (remove campanha e demais recursos criados)
+ *
+ * Nova plataforma (ex: TikTok Ads): um módulo em src/integrations com o adaptador e uma entrada em AD_PLATFORMS
+ */
+
+import { MetaAdsIntegration, DAILY_BUDGET_LIMITS as META_DAILY_BUDGET_LIMITS } from './meta-ads.js';
+import { GoogleAdsIntegration, DAILY_BUDGET_LIMITS as GOOGLE_DAILY_BUDGET_LIMITS } from './google-ads.js';
+
+export const AD_PLATFORM_METHODS = [
+  'createCampaign',
+  'getCampaignMetrics',
+  'executeDecision',
+  'pauseCampaign',
+  'activateCampaign',
+  'listCampaigns',
+  'getAccountTimezone',
+  'deleteResource'
+];
+
+// accountFields: campos da conta do cliente (campo => secret do Worker usado pelo cliente padrão)
+// dailyBudgetLimits: orçamento diário aceito pela API (R$/dia)
+const AD_PLATFORMS = {
+  meta: {
+    name: 'Meta Ads',
+    Adapter: MetaAdsIntegration,
+    dailyBudgetLimits: META_DAILY_BUDGET_LIMITS,
+    accountFields: {
+      accountId: 'META_AD_ACCOUNT_ID',
+      accessToken: 'META_ACCESS_TOKEN',
+      pixelId: 'META_PIXEL_ID',
+      pageId: 'META_PAGE_ID'
+    }
+  },
+  google: {
+    name: 'Google Ads',
+    Adapter: GoogleAdsIntegration,
+    dailyBudgetLimits: GOOGLE_DAILY_BUDGET_LIMITS,
+    accountFields: {
+      accountId: 'GOOGLE_ADS_CUSTOMER_ID',
+      developerToken: 'GOOGLE_ADS_DEVELOPER_TOKEN',
+      clientId: 'GOOGLE_ADS_CLIENT_ID',
+      clientSecret: 'GOOGLE_ADS_CLIENT_SECRET',
+      refreshToken: 'GOOGLE_ADS_REFRESH_TOKEN',
+      qualifiedConversionActionId: 'GOOGLE_ADS_QUALIFIED_CONVERSION_ACTION_ID',
+      wonConversionActionId: 'GOOGLE_ADS_WON_CONVERSION_ACTION_ID'
+    }
+  }
+};
+
+export const AD_PLATFORM_IDS = Object.keys(AD_PLATFORMS);
+
+/**
+ * Plataforma de anúncios registrada?
+ */
+export function isAdPlatform(platform) {
+  return Object.hasOwn(AD_PLATFORMS, platform);
+}
+
+/**
+ * Adaptador da plataforma para o contexto do cliente
+ */
+export function createAdPlatform(platform, env) {
+  if (!isAdPlatform(platform)) {
+    throw new Error(`Unsupported ad platform: ${platform}`);
+  }
+
+  return new AD_PLATFORMS[platform].Adapter(env);
+}
+
+/**
+ * Campos de conta de cada plataforma: { meta: { accountId: 'META_AD_ACCOUNT_ID', ... }, ... }
+ */
+export function adPlatformAccountFields() {
+  return Object.fromEntries(
+    Object.entries(AD_PLATFORMS).map(([platform, { accountFields }]) => [platform, accountFields])
+  );
+}
+
+/**
+ * Validar plataforma recebida pela API
+ * Retorna mensagem de erro ou null
+ */
+export function validateAdPlatform(platform) {
+  if (!isAdPlatform(platform)) {
+    return `platform must be one of: ${AD_PLATFORM_IDS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validar orçamento diário enviado manualmente
+ * Fora dos limites da plataforma é recusado (em vez de ajustado em silêncio pelo adaptador)
+ * Retorna mensagem de erro ou null
+ */
+export function validateDailyBudget(platform, budget) {
+  const { min, max } = AD_PLATFORMS[platform].dailyBudgetLimits;
+
+  if (!(typeof budget === 'number' && Number.isFinite(budget) && budget >= min && budget <= max)) {
+    return `Budget must be a number between ${min} and ${max} (R$/day)`;
+  }
+
+  return null;
+}
@@ -0,0 +1,419 @@
+/**
+ * API Client
+ * Camada HTTP das integrações (Meta, Google Ads, GA4): erros tipados, retry, throttling e logs estruturados
+ */
+
+import { retryWithBackoff } from '../utils/helpers.js';
+
+const PLATFORM_NAMES = { meta: 'Meta', google: 'Google Ads', ga4: 'GA4' };
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_INLINE_WAIT_MS = 10000; // Esperas maiores viram erro (a nova tentativa fica com a fila ou o cron)
+const REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_RATE_LIMIT_WAIT_MS = 60000;
+const META_USAGE_WARNING_PERCENT = 90;
+
+// Meta: https://developers.facebook.com/docs/graph-api/overview/rate-limiting e /guides/error-handling
+const META_RATE_LIMIT_CODES = [4, 17, 32, 613, 80000, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014];
+const META_AUTH_CODES = [102, 190, 10];
+const META_TRANSIENT_CODES = [1, 2];
+
+// Google (status gRPC das APIs REST)
+const GOOGLE_AUTH_STATUSES = ['UNAUTHENTICATED', 'PERMISSION_DENIED'];
+const GOOGLE_TRANSIENT_STATUSES = ['UNAVAILABLE', 'INTERNAL', 'DEADLINE_EXCEEDED', 'ABORTED'];
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Parâmetros com credenciais que não podem aparecer nos logs
+const REDACTED_PARAMS = ['access_token', 'api_secret', 'client_secret'];
+
+// Plataforma + conta em throttling (memória do isolate): não chama a API até liberar
+const throttledUntil = new Map();
+
+/**
+ * Erro de API de plataforma
+ * retryable: a mesma requisição pode dar certo mais tarde (retryAfterMs, quando a plataforma informa)
+ */
+export class ApiError extends Error {
+  constructor(message, { platform, status = null, code = null, subcode = null, retryable = false, retryAfterMs = null, details = [], requestId = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.platform = platform;
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Limite de chamadas da plataforma (Meta throttling, Google RESOURCE_EXHAUSTED)
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: true });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * Token inválido, expirado ou sem permissão (reconectar a conta)
+ */
+export class AuthenticationError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Requisição recusada pela plataforma (parâmetro inválido, objeto inexistente)
+ */
+export class InvalidRequestError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'InvalidRequestError';
+  }
+}
+
+/**
+ * Falha temporária (erro interno da plataforma, timeout, rede)
+ */
+export class TransientApiError extends ApiError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: true });
+    this.name = 'TransientApiError';
+  }
+}
+
+export class ApiClient {
+  /**
+   * platform: 'meta', 'google' ou 'ga4' (formato de erro e nome nos logs)
+   * throttleKey: conta cujo throttling bloqueia as próximas chamadas (ex: ad account)
+   * onAuthenticationError: chamado com o AuthenticationError antes de lançá-lo (ex: marcar conexão OAuth revogada)
+   */
+  constructor(platform, env, { throttleKey = 'default', onAuthenticationError = null } = {}) {
+    this.platform = platform;
+    this.env = env;
+    this.name = PLATFORM_NAMES[platform];
+    this.throttleKey = `${platform}:${throttleKey}`;
+    this.onAuthenticationError = onAuthenticationError;
+  }
+
+  /**
+   * Requisição JSON com retry
+   * Erros temporários só são repetidos em chamadas idempotentes (GET por padrão);
+   * limite de chamadas é repetido sempre, pois a plataforma recusou antes de executar
+   * Retorna o corpo (Google: partialFailures com as operações que falharam, se houver)
+   */
+  async request(url, { method = 'GET', headers = {}, body, operation, idempotent = method === 'GET' } = {}) {
+    let attempt = 0;
+
+    return await retryWithBackoff(
+      () => this.send(url, { method, headers, body, operation, attempt: ++attempt }),
+      MAX_ATTEMPTS,
+      RETRY_BASE_DELAY_MS,
+      { shouldRetry: (error) => shouldRetry(error, idempotent) }
+    );
+  }
+
+  /**
+   * Uma tentativa da requisição
+   */
+  async send(url, { method, headers, body, operation, attempt }) {
+    const logFields = { operation, method, url: redactUrl(url), attempt };
+
+    const waitMs = (throttledUntil.get(this.throttleKey) || 0) - Date.now();
+    if (waitMs > 0) {
+      const error = new RateLimitError(`${this.name} API Error: throttled, retry in ${Math.ceil(waitMs / 1000)}s`, {
+        platform: this.platform,
+        retryAfterMs: waitMs
+      });
+      this.log('warn', 'api_throttled', { ...logFields, retryAfterMs: waitMs });
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    let response;
+
+    try {
+      response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (fetchError) {
+      const error = new TransientApiError(`${this.name} API Error: ${fetchError.message}`, { platform: this.platform });
+      this.log('warn', 'api_request_failed', { ...logFields, durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+
+    const data = await parseBody(response);
+    const durationMs = Date.now() - startedAt;
+
+    if (this.platform === 'meta') {
+      this.trackMetaUsage(response.headers, logFields);
+    }
+
+    const error = this.platform === 'meta'
+      ? this.metaError(response, data)
+      : this.googleError(response, data);
+
+    if (error) {
+      if (error instanceof RateLimitError) {
+        throttledUntil.set(this.throttleKey, Date.now() + error.retryAfterMs);
+      }
+
+      this.log(error.retryable ? 'warn' : 'error', 'api_request_failed', {
+        ...logFields,
+        status: response.status,
+        durationMs,
+        errorType: error.name,
+        code: error.code,
+        subcode: error.subcode,
+        requestId: error.requestId,
+        error: error.message
+      });
+
+      if (error instanceof AuthenticationError && this.onAuthenticationError) {
+        await this.notifyAuthenticationError(error);
+      }
+      throw error;
+    }
+
+    // Google Ads com partialFailure: operações válidas foram aplicadas, as demais vêm no erro parcial
+    if (data.partialFailureError) {
+      data.partialFailures = parseGoogleAdsFailure(data.partialFailureError.details);
+      this.log('warn', 'api_partial_failure', { ...logFields, status: response.status, durationMs, failures: data.partialFailures });
+    } else {
+      this.log('debug', 'api_request', { ...logFields, status: response.status, durationMs });
+    }
+
+    return data;
+  }
+
+  /**
+   * Avisar o dono do token; falha no aviso não substitui o erro da requisição
+   */
+  async notifyAuthenticationError(error) {
+    try {
+      await this.onAuthenticationError(error);
+    } catch (hookError) {
+      this.log('error', 'api_auth_hook_failed', { error: hookError.message });
+    }
+  }
+
+  /**
+   * Erro no formato da Graph API ({ error: { message, code, error_subcode, fbtrace_id, is_transient } })
+   */
+  metaError(response, data) {
+    if (response.ok && !data.error) {
+      return null;
+    }
+
+    const error = data.error || {};
+    const options = {
+      platform: 'meta',
+      status: response.status,
+      code: error.code ?? null,
+      subcode: error.error_subcode ?? null,
+      requestId: error.fbtrace_id ?? null
+    };
+    const message = `${this.name} API Error: ${error.error_user_msg || error.message || `HTTP ${response.status}`}`;
+
+    if (META_RATE_LIMIT_CODES.includes(error.code) || response.status === 429) {
+      return new RateLimitError(message, { ...options, retryAfterMs: this.metaRegainAccessMs(response.headers) ?? DEFAULT_RATE_LIMIT_WAIT_MS });
+    }
+    if (META_AUTH_CODES.includes(error.code) || (error.code >= 200 && error.code < 300)) {
+      return new AuthenticationError(message, options);
+    }
+    if (error.is_transient || META_TRANSIENT_CODES.includes(error.code) || response.status >= 500) {
+      return new TransientApiError(message, options);
+    }
+    return new InvalidRequestError(message, options);
+  }
+
+  /**
+   * Erro no formato das APIs do Google ({ error: { code, status, message, details: [GoogleAdsFailure] } })
+   */
+  googleError(response, data) {
+    if (response.ok && !data.error) {
+      return null;
+    }
+
+    const error = data.error || {};
+    const failures = parseGoogleAdsFailure(error.details);
+    const options = {
+      platform: this.platform,
+      status: response.status,
+      code: error.status ?? null,
+      details: failures,
+      requestId: findGoogleRequestId(error.details) ?? response.headers.get('request-id')
+    };
+    const message = `${this.name} API Error: ${failures[0]?.message || error.message || `HTTP ${response.status}`}`;
+
+    if (error.status === 'RESOURCE_EXHAUSTED' || response.status === 429) {
+      const retryDelay = failures.find(failure => failure.retryDelay)?.retryDelay;
+      return new RateLimitError(message, { ...options, retryAfterMs: parseDuration(retryDelay) ?? DEFAULT_RATE_LIMIT_WAIT_MS });
+    }
+    if (GOOGLE_AUTH_STATUSES.includes(error.status) || [401, 403].includes(response.status)) {
+      return new AuthenticationError(message, options);
+    }
+    if (GOOGLE_TRANSIENT_STATUSES.includes(error.status) || response.status >= 500) {
+      return new TransientApiError(message, options);
+    }
+    return new InvalidRequestError(message, options);
+  }
+
+  /**
+   * Uso da cota do Meta (x-business-use-case-usage)
+   * Perto do limite: log de aviso; bloqueado: throttling até estimated_time_to_regain_access
+   */
+  trackMetaUsage(headers, logFields) {
+    const usage = parseMetaUsage(headers);
+    if (!usage) {
+      return;
+    }
+
+    if (usage.regainAccessMs > 0) {
+      throttledUntil.set(this.throttleKey, Date.now() + usage.regainAccessMs);
+    }
+
+    if (usage.maxPercent >= META_USAGE_WARNING_PERCENT || usage.regainAccessMs > 0) {
+      this.log('warn', 'api_usage_high', { ...logFields, usagePercent: usage.maxPercent, regainAccessMs: usage.regainAccessMs });
+    }
+  }
+
+  /**
+   * Tempo até o Meta liberar a conta, pelo header de uso (null se não informado)
+   */
+  metaRegainAccessMs(headers) {
+    const usage = parseMetaUsage(headers);
+    return usage?.regainAccessMs > 0 ? usage.regainAccessMs : null;
+  }
+
+  /**
+   * Log estruturado (JSON), filtrado por LOG_LEVEL
+   */
+  log(level, event, fields) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.env.LOG_LEVEL || 'info']) {
+      return;
+    }
+
+    const line = JSON.stringify({ level, event, platform: this.platform, ...fields });
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * Repetir a requisição?
+ */
+function shouldRetry(error, idempotent) {
+  if (!(error instanceof ApiError) || !error.retryable) {
+    return false;
+  }
+
+  if (error.retryAfterMs > MAX_INLINE_WAIT_MS) {
+    return false;
+  }
+
+  return error instanceof RateLimitError || idempotent;
+}
+
+/**
+ * Corpo da resposta (vazio vira {}, texto não JSON vira { raw })
+ */
+async function parseBody(response) {
+  const text = await response.text();
+
+  if (!text) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text.slice(0, 500) };
+  }
+}
+
+/**
+ * Erros de um GoogleAdsFailure: [{ message, errorCode, field, operationIndex, retryDelay }]
+ */
+export function parseGoogleAdsFailure(details = []) {
+  const failure = details.find(detail => detail['@type']?.endsWith('GoogleAdsFailure'));
+
+  return (failure?.errors || []).map(error => {
+    const path = error.location?.fieldPathElements || [];
+    const [category, code] = Object.entries(error.errorCode || {})[0] || [];
+
+    return {
+      message: error.message,
+      errorCode: category ? `${category}.${code}` : null,
+      field: path.map(element => element.fieldName).join('.') || null,
+      operationIndex: path[0]?.fieldName === 'operations' ? path[0].index ?? 0 : null,
+      retryDelay: error.details?.quotaErrorDetails?.retryDelay ?? null
+    };
+  });
+}
+
+/**
+ * request ID do Google Ads dentro dos detalhes do erro
+ */
+function findGoogleRequestId(details = []) {
+  return details.find(detail => detail.requestId)?.requestId ?? null;
+}
+
+/**
+ * Duração do Google ("30s", "1.5s") em ms
+ */
+function parseDuration(duration) {
+  const seconds = parseFloat(duration);
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * Header x-business-use-case-usage do Meta: { maxPercent, regainAccessMs }
+ * Formato: { "<business id>": [{ type, call_count, total_cputime, total_time, estimated_time_to_regain_access }] }
+ */
+function parseMetaUsage(headers) {
+  const header = headers.get('x-business-use-case-usage');
+  if (!header) {
+    return null;
+  }
+
+  let usage;
+  try {
+    usage = JSON.parse(header);
+  } catch {
+    return null;
+  }
+
+  const entries = Object.values(usage).flat();
+
+  return {
+    maxPercent: Math.max(0, ...entries.map(entry => Math.max(entry.call_count || 0, entry.total_cputime || 0, entry.total_time || 0))),
+    regainAccessMs: Math.max(0, ...entries.map(entry => entry.estimated_time_to_regain_access || 0)) * 60 * 1000
+  };
+}
+
+/**
+ * URL sem credenciais para os logs
+ */
+function redactUrl(url) {
+  const parsed = new URL(url);
+
+  for (const param of REDACTED_PARAMS) {
+    if (parsed.searchParams.has(param)) {
+      parsed.searchParams.set(param, 'REDACTED');
+    }
+  }
+
+  return parsed.toString();
+}
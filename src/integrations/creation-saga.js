@@ -0,0 +1,150 @@
+/**
+ * Creation Saga
+ * Criação de campanha em vários passos na plataforma: cada recurso criado é registrado e,
+ * se um passo falhar, os anteriores são removidos em ordem inversa
+ * O que não puder ser removido fica em orphaned_resources, com alerta crítico
+ */
+
+export class CreationSaga {
+  /**
+   * adapter: integração da plataforma, com deleteResource(resourceType, resourceId)
+   */
+  constructor(env, { platform, accountId, campaignName, adapter }) {
+    this.env = env;
+    this.platform = platform;
+    this.accountId = accountId;
+    this.campaignName = campaignName;
+    this.adapter = adapter;
+    this.resources = [];
+  }
+
+  /**
+   * Registrar recurso criado
+   */
+  record(resourceType, resourceId) {
+    this.resources.push({ resourceType, resourceId });
+    return resourceId;
+  }
+
+  /**
+   * Executar os passos da criação (step recebe a saga para registrar os recursos)
+   * Em caso de falha, desfaz e relança o erro com error.rollback = { removed, orphaned }
+   */
+  async run(step) {
+    try {
+      return await step(this);
+    } catch (error) {
+      error.rollback = await this.rollback(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remover os recursos criados, do último para o primeiro
+   */
+  async rollback(error) {
+    const removed = [];
+    const orphaned = [];
+
+    for (const resource of [...this.resources].reverse()) {
+      try {
+        await this.adapter.deleteResource(resource.resourceType, resource.resourceId);
+        removed.push(resource);
+      } catch (cleanupError) {
+        console.error(`Rollback error (${this.platform} ${resource.resourceType} ${resource.resourceId}):`, cleanupError);
+        orphaned.push({ ...resource, cleanupError: cleanupError.message });
+      }
+    }
+
+    if (orphaned.length > 0) {
+      await this.saveOrphans(orphaned, error);
+    }
+
+    return { removed, orphaned };
+  }
+
+  /**
+   * Salvar recursos que não puderam ser removidos e alertar
+   */
+  async saveOrphans(orphaned, error) {
+    const now = Date.now();
+
+    try {
+      await this.env.DB.batch([
+        ...orphaned.map(resource => this.env.DB.prepare(`
+          INSERT INTO orphaned_resources
+            (tenant_id, platform, account_id, resource_type, resource_id, campaign_name, error, cleanup_error, status, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'orphaned', ?, ?)
+        `).bind(
+          this.env.tenantId,
+          this.platform,
+          this.accountId,
+          resource.resourceType,
+          resource.resourceId,
+          this.campaignName,
+          error.message,
+          resource.cleanupError,
+          now,
+          now
+        )),
+        this.env.DB.prepare(`
+          INSERT INTO alerts (tenant_id, campaign_id, alert_type, severity, message, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(
+          this.env.tenantId,
+          null,
+          'orphaned_resources',
+          'critical',
+          `Criação da campanha "${this.campaignName}" falhou e ${orphaned.length} recurso(s) ficaram na conta ${this.accountId}: ` +
+            `${orphaned.map(resource => `${resource.resourceType} ${resource.resourceId}`).join(', ')}. ` +
+            'Veja /api/orphaned-resources',
+          now
+        )
+      ]);
+    } catch (saveError) {
+      // Último registro possível: os IDs ficam no log do Worker
+      console.error('Error saving orphaned resources:', saveError, JSON.stringify(orphaned));
+    }
+  }
+}
+
+/**
+ * Recursos órfãos do cliente (status: 'orphaned' ou 'removed')
+ */
+export async function listOrphanedResources(env, { status = 'orphaned', limit = 100 } = {}) {
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM orphaned_resources
+    WHERE tenant_id = ? AND status = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).bind(env.tenantId, status, limit).all();
+
+  return results;
+}
+
+/**
+ * Tentar remover de novo um recurso órfão
+ * Retorna o registro atualizado (null se não existir)
+ */
+export async function cleanupOrphanedResource(env, id, adapter) {
+  const resource = await env.DB.prepare(`
+    SELECT * FROM orphaned_resources WHERE id = ? AND tenant_id = ?
+  `).bind(id, env.tenantId).first();
+
+  if (!resource || resource.status !== 'orphaned') {
+    return resource;
+  }
+
+  let cleanupError = null;
+  try {
+    await adapter.deleteResource(resource.resource_type, resource.resource_id);
+  } catch (error) {
+    cleanupError = error.message;
+  }
+
+  await env.DB.prepare(`
+    UPDATE orphaned_resources SET status = ?, cleanup_error = ?, updated_at = ? WHERE id = ?
+  `).bind(cleanupError ? 'orphaned' : 'removed', cleanupError, Date.now(), id).run();
+
+  return { ...resource, status: cleanupError ? 'orphaned' : 'removed', cleanup_error: cleanupError };
+}
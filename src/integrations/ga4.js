@@ -3,78 +3,93 @@
  * Integração com Google Analytics 4 Data API e Measurement Protocol
  */
 
+import { getGoogleAccessToken } from '../auth/oauth.js';
+import { ApiClient } from './api-client.js';
+
 export class GA4Integration {
+  /**
+   * env: contexto do cliente (createTenantContext), com a propriedade do GA4 em accounts.ga4
+   */
   constructor(env) {
+    const account = env.accounts?.ga4 || {};
+
     this.env = env;
-    this.measurementId = env.GA4_MEASUREMENT_ID;
-    this.apiSecret = env.GA4_API_SECRET;
-    this.propertyId = env.GA4_PROPERTY_ID;
+    this.measurementId = account.accountId;
+    this.apiSecret = account.apiSecret;
+    this.propertyId = account.propertyId;
+    this.clientId = account.clientId;
+    this.clientSecret = account.clientSecret;
+    this.refreshToken = account.refreshToken;
+    this.api = new ApiClient('ga4', env, { throttleKey: this.propertyId || this.measurementId });
   }
 
   /**
    * Enviar evento via Measurement Protocol (server-side)
+   * clientId/sessionId devem vir do navegador para manter usuário e sessão do GA4
+   * validate: envia para /debug/mp/collect e retorna as mensagens de validação
    */
-  async sendEvent({ name, params, clientId }) {
-    try {
-      const response = await fetch(
-        `https://www.google-analytics.com/mp/collect?measurement_id=${this.measurementId}&api_secret=${this.apiSecret}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            client_id: clientId || this.generateClientId(),
-            events: [{
-              name,
-              params: {
-                ...params,
-                engagement_time_msec: '100'
-              }
-            }]
-          })
-        }
-      );
+  async sendEvent({ name, params, clientId, sessionId, userId, timestampMicros, validate = false }) {
+    const endpoint = validate ? 'debug/mp/collect' : 'mp/collect';
+
+    const result = await this.api.request(
+      `https://www.google-analytics.com/${endpoint}?measurement_id=${this.measurementId}&api_secret=${this.apiSecret}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          client_id: clientId || this.generateClientId(),
+          user_id: userId || undefined,
+          timestamp_micros: timestampMicros || undefined,
+          events: [{
+            name,
+            params: {
+              ...params,
+              session_id: sessionId || undefined,
+              engagement_time_msec: '100'
+            }
+          }]
+        }),
+        operation: validate ? 'events.validate' : 'events.send',
+        idempotent: validate // Reenviar para /mp/collect duplicaria o evento
+      }
+    );
 
-      return { success: response.ok };
-    } catch (error) {
-      console.error('GA4 Measurement Protocol Error:', error);
-      throw error;
+    if (validate) {
+      const validationMessages = result.validationMessages || [];
+      return { success: validationMessages.length === 0, validationMessages };
     }
+
+    return { success: true };
   }
 
   /**
    * Obter métricas via Data API
    */
   async getMetrics({ startDate, endDate, dimensions, metrics }) {
-    try {
-      // Precisa de OAuth access token
-      const accessToken = await this.getAccessToken();
-
-      const response = await fetch(
-        `https://analyticsdata.googleapis.com/v1beta/properties/${this.propertyId}:runReport`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            dateRanges: [{ startDate, endDate }],
-            dimensions: dimensions || [{ name: 'date' }],
-            metrics: metrics || [
-              { name: 'sessions' },
-              { name: 'totalUsers' },
-              { name: 'conversions' }
-            ]
-          })
-        }
-      );
+    // Precisa de OAuth access token
+    const accessToken = await this.getAccessToken();
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('GA4 Data API Error:', error);
-      throw error;
-    }
+    return await this.api.request(
+      `https://analyticsdata.googleapis.com/v1beta/properties/${this.propertyId}:runReport`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          dateRanges: [{ startDate, endDate }],
+          dimensions: dimensions || [{ name: 'date' }],
+          metrics: metrics || [
+            { name: 'sessions' },
+            { name: 'totalUsers' },
+            { name: 'conversions' }
+          ]
+        }),
+        operation: 'reports.run',
+        idempotent: true
+      }
+    );
   }
 
   /**
@@ -85,21 +100,13 @@ export class GA4Integration {
   }
 
   /**
-   * Obter access token (OAuth)
+   * Obter access token (OAuth, cache até expirar)
    */
   async getAccessToken() {
-    const response = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        client_id: this.env.GOOGLE_CLIENT_ID,
-        client_secret: this.env.GOOGLE_CLIENT_SECRET,
-        refresh_token: this.env.GOOGLE_REFRESH_TOKEN,
-        grant_type: 'refresh_token'
-      })
+    return await getGoogleAccessToken(this.env, {
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      refreshToken: this.refreshToken
     });
-
-    const data = await response.json();
-    return data.access_token;
   }
 }
@@ -3,289 +3,840 @@
  * Integração com Google Ads API v22
  */
 
+import { clamp, isHttpUrl } from '../utils/helpers.js';
+import { getGoogleAccessToken } from '../auth/oauth.js';
+import { ApiClient, InvalidRequestError } from './api-client.js';
+
+// Limites de segurança para ajustes automáticos
+const MAX_ADJUSTMENT_PERCENT = 50; // Variação máxima por decisão
+const CPC_BID_LIMITS = { min: 0.10, max: 100 }; // R$
+const TARGET_CPA_LIMITS = { min: 1, max: 5000 }; // R$
+export const DAILY_BUDGET_LIMITS = { min: 1, max: 10000 }; // R$/dia
+
+// Períodos do contrato dos adaptadores => DURING do GAQL
+const DATE_RANGES = {
+  today: 'TODAY',
+  yesterday: 'YESTERDAY',
+  last_7d: 'LAST_7_DAYS',
+  last_30d: 'LAST_30_DAYS'
+};
+
+// Status do Google Ads => status do contrato dos adaptadores
+const CAMPAIGN_STATUSES = {
+  ENABLED: 'active',
+  PAUSED: 'paused'
+};
+
+// Responsive Search Ad: quantidade e tamanho (caracteres) dos textos
+export const RESPONSIVE_SEARCH_AD_LIMITS = {
+  headlines: { min: 3, max: 15, maxLength: 30 },
+  descriptions: { min: 2, max: 4, maxLength: 90 }
+};
+const SITELINK_LIMITS = { linkText: 25, description: 35 };
+const CALLOUT_MAX_LENGTH = 25;
+const KEYWORD_LIMITS = { maxLength: 80, maxWords: 10 };
+
+// Lista de negativas compartilhada por todas as campanhas da conta (criada na primeira campanha)
+const SHARED_NEGATIVE_LIST_NAME = 'Negativas padrão';
+const DEFAULT_NEGATIVE_KEYWORDS = ['grátis', 'gratis', 'curso', 'emprego', 'vaga', 'apostila', '"como fazer"'];
+
+// País (ISO) => geo target constant
+const COUNTRY_GEO_TARGETS = { BR: 2076, PT: 2620, US: 2840 };
+
+// Idioma => language constant
+const LANGUAGE_CONSTANTS = { pt: 1014, en: 1000, es: 1003 };
+
+// Tipos de recurso do contrato => recurso da API (remoção)
+const REMOVABLE_RESOURCES = {
+  campaign: 'campaigns',
+  adGroup: 'adGroups',
+  campaignBudget: 'campaignBudgets'
+};
+
+// Valores em micros precisam ser múltiplos da menor unidade da moeda (R$ 0,01)
+const MICROS_UNIT = 10000;
+
 export class GoogleAdsIntegration {
+  /**
+   * env: contexto do cliente (createTenantContext), com a conta do Google Ads em accounts.google
+   */
   constructor(env) {
+    const account = env.accounts?.google || {};
+
     this.env = env;
-    this.customerId = env.GOOGLE_ADS_CUSTOMER_ID;
-    this.developerToken = env.GOOGLE_ADS_DEVELOPER_TOKEN;
-    this.refreshToken = env.GOOGLE_ADS_REFRESH_TOKEN;
-    this.clientId = env.GOOGLE_ADS_CLIENT_ID;
-    this.clientSecret = env.GOOGLE_ADS_CLIENT_SECRET;
+    this.customerId = account.accountId;
+    this.developerToken = account.developerToken;
+    this.refreshToken = account.refreshToken;
+    this.clientId = account.clientId;
+    this.clientSecret = account.clientSecret;
     this.apiVersion = 'v22';
     this.baseUrl = `https://googleads.googleapis.com/${this.apiVersion}`;
+    this.api = new ApiClient('google', env, { throttleKey: this.customerId });
   }
 
   /**
-   * Obter access token via OAuth refresh token
+   * Obter access token via OAuth refresh token (cache até expirar)
    */
   async getAccessToken() {
-    const response = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
-        refresh_token: this.refreshToken,
-        grant_type: 'refresh_token'
-      })
+    return await getGoogleAccessToken(this.env, {
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      refreshToken: this.refreshToken
     });
-
-    const data = await response.json();
-    return data.access_token;
   }
 
   /**
-   * Criar campanha no Google Ads
+   * Criar campanha de Pesquisa no Google Ads
+   * Orçamento, campanha, segmentação, negativas, ad group, keywords, anúncios e assets num único
+   * googleAds:mutate atômico: se uma operação falhar, nada é criado
+   * search: { finalUrl, headlines, descriptions, negativeKeywords, sitelinks, callouts }
+   * keywords na notação do Google Ads: [exata], "frase" ou ampla; -keyword vira negativa da campanha
    */
-  async createCampaign({ name, type, budget, targeting, keywords }) {
-    try {
-      const accessToken = await this.getAccessToken();
+  async createCampaign({ name, budget, targeting = {}, keywords = [], targetCpa, search = {}, saga = null }) {
+    const validationError = validateSearchCampaign({ headlines: [], descriptions: [], ...search }, keywords);
+    if (validationError) {
+      throw new Error(`Invalid Google Ads campaign: ${validationError}`);
+    }
 
-      // 1. Criar Campaign
-      const campaignOperation = {
-        operations: [{
+    const accessToken = await this.getAccessToken();
+    const geoTargets = await this.resolveGeoTargets(targeting.geoLocations, accessToken);
+    const languages = resolveLanguages(targeting.languages);
+    const sharedNegativeList = await this.findSharedNegativeList(accessToken);
+    const negativeKeywords = [
+      ...(search.negativeKeywords || []),
+      ...keywords.filter(keyword => parseKeyword(keyword).negative)
+    ];
+
+    // Resource names temporários (IDs negativos) ligam as operações do mesmo mutate
+    let nextTempId = -1;
+    const newResourceName = (resource) => this.tempResourceName(resource, nextTempId--);
+
+    const budgetResourceName = newResourceName('campaignBudgets');
+    const campaignResourceName = newResourceName('campaigns');
+    const adGroupResourceName = newResourceName('adGroups');
+    const negativeListResourceName = sharedNegativeList || newResourceName('sharedSets');
+
+    const mutateOperations = [
+      // 1. Orçamento (exclusivo da campanha)
+      {
+        campaignBudgetOperation: {
           create: {
+            resourceName: budgetResourceName,
+            name: `${name} - Budget ${Date.now()}`,
+            amountMicros: toMicros(budget),
+            deliveryMethod: 'STANDARD',
+            explicitlyShared: false
+          }
+        }
+      },
+      // 2. Campanha de Pesquisa (Maximizar conversões com CPA desejado)
+      {
+        campaignOperation: {
+          create: {
+            resourceName: campaignResourceName,
             name,
             status: 'PAUSED',
-            advertisingChannelType: type || 'SEARCH',
-            biddingStrategyType: 'TARGET_CPA',
-            targetCpa: {
-              targetCpaMicros: 50000000 // R$ 50
+            advertisingChannelType: 'SEARCH',
+            campaignBudget: budgetResourceName,
+            maximizeConversions: targetCpa ? { targetCpaMicros: toMicros(targetCpa) } : {},
+            networkSettings: {
+              targetGoogleSearch: true,
+              targetSearchNetwork: true,
+              targetContentNetwork: false
             },
-            campaignBudget: await this.createBudget(budget, accessToken)
+            geoTargetTypeSetting: { positiveGeoTargetType: 'PRESENCE' }, // Quem está na região
+            containsEuPoliticalAdvertising: 'DOES_NOT_CONTAIN_EU_POLITICAL_ADVERTISING'
           }
-        }]
-      };
+        }
+      },
+      // 3. Localização e idioma
+      ...geoTargets.map(geoTargetConstant => ({
+        campaignCriterionOperation: {
+          create: { campaign: campaignResourceName, location: { geoTargetConstant } }
+        }
+      })),
+      ...languages.map(languageConstant => ({
+        campaignCriterionOperation: {
+          create: { campaign: campaignResourceName, language: { languageConstant } }
+        }
+      })),
+      // 4. Negativas: lista compartilhada da conta (criada na primeira campanha) + negativas da campanha
+      ...(sharedNegativeList ? [] : this.sharedNegativeListOperations(negativeListResourceName)),
+      {
+        campaignSharedSetOperation: {
+          create: { campaign: campaignResourceName, sharedSet: negativeListResourceName }
+        }
+      },
+      ...negativeKeywords.map(keyword => ({
+        campaignCriterionOperation: {
+          create: { campaign: campaignResourceName, negative: true, keyword: keywordInfo(keyword) }
+        }
+      })),
+      // 5. Ad Group
+      {
+        adGroupOperation: {
+          create: {
+            resourceName: adGroupResourceName,
+            name: `${name} - Ad Group 1`,
+            campaign: campaignResourceName,
+            status: 'ENABLED',
+            type: 'SEARCH_STANDARD',
+            cpcBidMicros: 5000000 // R$ 5 CPC máximo
+          }
+        }
+      },
+      // 6. Keywords
+      ...keywords.filter(keyword => !parseKeyword(keyword).negative).map(keyword => ({
+        adGroupCriterionOperation: {
+          create: { adGroup: adGroupResourceName, status: 'ENABLED', keyword: keywordInfo(keyword) }
+        }
+      })),
+      // 7. Responsive Search Ad
+      {
+        adGroupAdOperation: {
+          create: {
+            adGroup: adGroupResourceName,
+            status: 'ENABLED',
+            ad: {
+              finalUrls: [search.finalUrl],
+              responsiveSearchAd: {
+                headlines: search.headlines.map(text => ({ text })),
+                descriptions: search.descriptions.map(text => ({ text }))
+              }
+            }
+          }
+        }
+      },
+      // 8. Sitelinks e callouts
+      ...(search.sitelinks || []).flatMap(sitelink => this.campaignAssetOperations(campaignResourceName, newResourceName('assets'), 'SITELINK', {
+        finalUrls: [sitelink.url],
+        sitelinkAsset: {
+          linkText: sitelink.text,
+          description1: sitelink.description1,
+          description2: sitelink.description2
+        }
+      })),
+      ...(search.callouts || []).flatMap(calloutText => this.campaignAssetOperations(campaignResourceName, newResourceName('assets'), 'CALLOUT', {
+        calloutAsset: { calloutText }
+      }))
+    ];
+
+    const { mutateOperationResponses } = await this.mutateAll(mutateOperations, accessToken, 'campaign.build');
+
+    // Orçamento não é removido junto com a campanha: os dois entram na saga da criação
+    const budgetId = mutateOperationResponses.find(response => response.campaignBudgetResult).campaignBudgetResult.resourceName.split('/').pop();
+    const campaignId = mutateOperationResponses.find(response => response.campaignResult).campaignResult.resourceName.split('/').pop();
+    saga?.record('campaignBudget', budgetId);
+    saga?.record('campaign', campaignId);
+    const adGroupId = mutateOperationResponses.find(response => response.adGroupResult).adGroupResult.resourceName;
+
+    return {
+      success: true,
+      campaignId,
+      adGroupId,
+      name,
+      accountId: this.customerId,
+      reviewUrl: `https://ads.google.com/aw/campaigns?campaignId=${campaignId}`
+    };
+  }
 
-      const campaignResponse = await fetch(
-        `${this.baseUrl}/customers/${this.customerId}/campaigns:mutate`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'developer-token': this.developerToken,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(campaignOperation)
+  /**
+   * Geo target constants da segmentação (cidades pelo nome, senão países)
+   */
+  async resolveGeoTargets(geoLocations = {}, accessToken) {
+    const countries = geoLocations.countries?.length ? geoLocations.countries : ['BR'];
+
+    if (!geoLocations.cities?.length) {
+      return countries.map(country => {
+        if (!COUNTRY_GEO_TARGETS[country]) {
+          throw new Error(`Unsupported Google Ads country: ${country}`);
         }
-      );
+        return `geoTargetConstants/${COUNTRY_GEO_TARGETS[country]}`;
+      });
+    }
 
-      const campaignResult = await campaignResponse.json();
+    const result = await this.api.request(`${this.baseUrl}/geoTargetConstants:suggest`, {
+      method: 'POST',
+      headers: this.headers(accessToken),
+      body: JSON.stringify({
+        locale: 'pt',
+        countryCode: countries[0],
+        locationNames: { names: geoLocations.cities.map(city => city.name) }
+      }),
+      operation: 'geoTargetConstants.suggest',
+      idempotent: true
+    });
+    const suggestions = result.geoTargetConstantSuggestions || [];
+
+    return geoLocations.cities.map(city => {
+      const matches = suggestions
+        .filter(suggestion => suggestion.searchTerm === city.name)
+        .map(suggestion => suggestion.geoTargetConstant)
+        .filter(constant => constant.countryCode === countries[0] && constant.status === 'ENABLED');
+      const match = matches.find(constant => constant.targetType === 'City') || matches[0];
 
-      if (campaignResult.error) {
-        throw new Error(`Google Ads API Error: ${campaignResult.error.message}`);
+      if (!match) {
+        throw new Error(`Google Ads location not found: ${city.name}`);
       }
+      return match.resourceName;
+    });
+  }
 
-      const campaignResourceName = campaignResult.results[0].resourceName;
-      const campaignId = campaignResourceName.split('/').pop();
+  /**
+   * Lista compartilhada de negativas da conta (null se ainda não existe)
+   */
+  async findSharedNegativeList(accessToken) {
+    const [row] = await this.search(`
+      SELECT shared_set.resource_name
+      FROM shared_set
+      WHERE shared_set.type = 'NEGATIVE_KEYWORDS'
+        AND shared_set.status = 'ENABLED'
+        AND shared_set.name = '${SHARED_NEGATIVE_LIST_NAME}'
+    `, accessToken);
+
+    return row?.sharedSet.resourceName || null;
+  }
 
-      // 2. Criar Ad Group
-      const adGroupId = await this.createAdGroup(campaignResourceName, name, accessToken);
+  /**
+   * Operações para criar a lista compartilhada de negativas com as palavras padrão
+   */
+  sharedNegativeListOperations(sharedSetResourceName) {
+    return [
+      {
+        sharedSetOperation: {
+          create: { resourceName: sharedSetResourceName, name: SHARED_NEGATIVE_LIST_NAME, type: 'NEGATIVE_KEYWORDS' }
+        }
+      },
+      ...DEFAULT_NEGATIVE_KEYWORDS.map(keyword => ({
+        sharedCriterionOperation: {
+          create: { sharedSet: sharedSetResourceName, keyword: keywordInfo(keyword) }
+        }
+      }))
+    ];
+  }
 
-      // 3. Adicionar Keywords
-      if (keywords && keywords.length > 0) {
-        await this.addKeywords(adGroupId, keywords, accessToken);
+  /**
+   * Operações para criar um asset e ligá-lo à campanha (sitelink, callout)
+   */
+  campaignAssetOperations(campaignResourceName, assetResourceName, fieldType, asset) {
+    return [
+      { assetOperation: { create: { resourceName: assetResourceName, ...asset } } },
+      {
+        campaignAssetOperation: {
+          create: { campaign: campaignResourceName, asset: assetResourceName, fieldType }
+        }
       }
+    ];
+  }
+
+  /**
+   * Obter métricas de campanha
+   * dateRange: today, yesterday, last_7d ou last_30d
+   */
+  async getCampaignMetrics(campaignId, dateRange = 'last_7d') {
+    if (!DATE_RANGES[dateRange]) {
+      throw new Error(`Unsupported date range: ${dateRange}`);
+    }
+
+    const accessToken = await this.getAccessToken();
+
+    const query = `
+      SELECT
+        campaign.id,
+        campaign.name,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions,
+        metrics.ctr,
+        metrics.average_cpc,
+        metrics.cost_per_conversion
+      FROM campaign
+      WHERE campaign.id = ${campaignId}
+        AND segments.date DURING ${DATE_RANGES[dateRange]}
+    `;
+
+    const [row] = await this.search(query, accessToken);
+
+    if (!row) {
+      return {};
+    }
+
+    // Mesmo formato do Meta Ads (spend em reais)
+    return {
+      impressions: row.metrics.impressions,
+      clicks: row.metrics.clicks,
+      spend: fromMicros(parseInt(row.metrics.costMicros) || 0),
+      conversions: row.metrics.conversions
+    };
+  }
+
+  /**
+   * Executar decisão de otimização
+   */
+  async executeDecision(campaignId, decision) {
+    const accessToken = await this.getAccessToken();
+
+    switch (decision.type) {
+      case 'bid_adjustment':
+        return await this.adjustBids(campaignId, decision, accessToken);
+
+      case 'budget_reallocation':
+        return await this.updateBudget(campaignId, decision, accessToken);
+
+      case 'pause_campaign':
+        return await this.setCampaignStatus(campaignId, 'PAUSED', accessToken);
+
+      case 'activate_campaign':
+        return await this.setCampaignStatus(campaignId, 'ENABLED', accessToken);
+
+      case 'archive_campaign':
+        // Google Ads não tem "arquivar" e remover é irreversível: a campanha só é pausada
+        // (fica arquivada no D1, que bloqueia novas alterações pela API)
+        return await this.setCampaignStatus(campaignId, 'PAUSED', accessToken);
+
+      case 'rename_campaign':
+        await this.mutate('campaigns', [{
+          update: {
+            resourceName: this.campaignResourceName(campaignId),
+            name: decision.name
+          },
+          updateMask: 'name'
+        }], accessToken);
+        return { success: true, name: decision.name };
+
+      default:
+        return { success: false, message: 'Decision type not implemented' };
+    }
+  }
+
+  /**
+   * Pausar campanha
+   */
+  async pauseCampaign(campaignId) {
+    return await this.setCampaignStatus(campaignId, 'PAUSED', await this.getAccessToken());
+  }
+
+  /**
+   * Ativar campanha
+   */
+  async activateCampaign(campaignId) {
+    return await this.setCampaignStatus(campaignId, 'ENABLED', await this.getAccessToken());
+  }
+
+  /**
+   * Listar campanhas da conta (removidas ficam de fora)
+   */
+  async listCampaigns() {
+    const accessToken = await this.getAccessToken();
+
+    const rows = await this.search(`
+      SELECT
+        campaign.id,
+        campaign.name,
+        campaign.status,
+        campaign_budget.amount_micros
+      FROM campaign
+      WHERE campaign.status != 'REMOVED'
+    `, accessToken);
+
+    return rows.map(row => ({
+      campaignId: row.campaign.id,
+      name: row.campaign.name,
+      status: CAMPAIGN_STATUSES[row.campaign.status] || 'archived',
+      dailyBudget: row.campaignBudget?.amountMicros ? fromMicros(parseInt(row.campaignBudget.amountMicros)) : null
+    }));
+  }
+
+  /**
+   * Alterar status da campanha
+   */
+  async setCampaignStatus(campaignId, status, accessToken) {
+    await this.mutate('campaigns', [{
+      update: {
+        resourceName: this.campaignResourceName(campaignId),
+        status
+      },
+      updateMask: 'status'
+    }], accessToken);
+
+    return { success: true, status };
+  }
+
+  /**
+   * Ajustar lances em percentual
+   * Campanhas com CPA desejado: altera o target CPA; demais: o CPC máximo dos ad groups
+   */
+  async adjustBids(campaignId, decision, accessToken) {
+    const factor = 1 + clampAdjustment(decision.adjustment) / 100;
+
+    const [campaign] = await this.search(`
+      SELECT
+        campaign.bidding_strategy_type,
+        campaign.target_cpa.target_cpa_micros,
+        campaign.maximize_conversions.target_cpa_micros
+      FROM campaign
+      WHERE campaign.id = ${campaignId}
+    `, accessToken);
+
+    if (!campaign) {
+      return { success: false, message: 'Campaign not found in Google Ads' };
+    }
+
+    const { biddingStrategyType, targetCpa, maximizeConversions } = campaign.campaign;
+    const currentTargetCpaMicros = parseInt(targetCpa?.targetCpaMicros || maximizeConversions?.targetCpaMicros) || 0;
+
+    if (currentTargetCpaMicros > 0) {
+      const field = biddingStrategyType === 'TARGET_CPA' ? 'targetCpa' : 'maximizeConversions';
+      const newTargetCpaMicros = toMicros(clamp(
+        fromMicros(currentTargetCpaMicros) * factor,
+        TARGET_CPA_LIMITS
+      ));
+
+      await this.mutate('campaigns', [{
+        update: {
+          resourceName: this.campaignResourceName(campaignId),
+          [field]: { targetCpaMicros: newTargetCpaMicros }
+        },
+        updateMask: `${field === 'targetCpa' ? 'target_cpa' : 'maximize_conversions'}.target_cpa_micros`
+      }], accessToken);
 
       return {
         success: true,
-        campaignId,
-        adGroupId,
-        name,
-        accountId: this.customerId,
-        reviewUrl: `https://ads.google.com/aw/campaigns?campaignId=${campaignId}`
+        target: 'target_cpa',
+        before: fromMicros(currentTargetCpaMicros),
+        after: fromMicros(newTargetCpaMicros)
       };
+    }
+
+    // Lances manuais: ajustar o CPC máximo de cada ad group
+    const adGroups = await this.search(`
+      SELECT ad_group.resource_name, ad_group.cpc_bid_micros
+      FROM ad_group
+      WHERE campaign.id = ${campaignId}
+        AND ad_group.status != 'REMOVED'
+    `, accessToken);
+
+    const changes = adGroups
+      .filter(row => parseInt(row.adGroup.cpcBidMicros) > 0)
+      .map(row => {
+        const before = parseInt(row.adGroup.cpcBidMicros);
+        return {
+          resourceName: row.adGroup.resourceName,
+          before,
+          after: toMicros(clamp(fromMicros(before) * factor, CPC_BID_LIMITS))
+        };
+      });
 
-    } catch (error) {
-      console.error('Google Ads API Error:', error);
-      throw error;
+    if (changes.length === 0) {
+      return { success: false, message: `No adjustable bids for strategy ${biddingStrategyType}` };
     }
+
+    await this.mutate('adGroups', changes.map(change => ({
+      update: {
+        resourceName: change.resourceName,
+        cpcBidMicros: change.after
+      },
+      updateMask: 'cpc_bid_micros'
+    })), accessToken);
+
+    return {
+      success: true,
+      target: 'ad_group_cpc',
+      adGroups: changes.map(change => ({
+        resourceName: change.resourceName,
+        before: fromMicros(change.before),
+        after: fromMicros(change.after)
+      }))
+    };
   }
 
   /**
-   * Criar orçamento
+   * Atualizar orçamento diário (valor absoluto em newBudget ou percentual em adjustment)
    */
-  async createBudget(dailyBudget, accessToken) {
-    const budgetOperation = {
-      operations: [{
-        create: {
-          name: `Budget ${Date.now()}`,
-          amountMicros: dailyBudget * 1000000, // Converter para micros
-          deliveryMethod: 'STANDARD'
-        }
-      }]
+  async updateBudget(campaignId, decision, accessToken) {
+    const [row] = await this.search(`
+      SELECT campaign.campaign_budget, campaign_budget.amount_micros
+      FROM campaign
+      WHERE campaign.id = ${campaignId}
+    `, accessToken);
+
+    if (!row) {
+      return { success: false, message: 'Campaign not found in Google Ads' };
+    }
+
+    const previousBudget = fromMicros(parseInt(row.campaignBudget.amountMicros) || 0);
+    const requested = decision.newBudget ?? previousBudget * (1 + clampAdjustment(decision.adjustment) / 100);
+    const limits = {
+      min: decision.minBudget ?? DAILY_BUDGET_LIMITS.min,
+      max: decision.maxBudget ?? DAILY_BUDGET_LIMITS.max
+    };
+    const amountMicros = toMicros(clamp(requested, limits));
+
+    await this.mutate('campaignBudgets', [{
+      update: {
+        resourceName: row.campaign.campaignBudget,
+        amountMicros
+      },
+      updateMask: 'amount_micros'
+    }], accessToken);
+
+    return {
+      success: true,
+      previousBudget,
+      newBudget: fromMicros(amountMicros)
     };
+  }
 
-    const response = await fetch(
-      `${this.baseUrl}/customers/${this.customerId}/campaignBudgets:mutate`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'developer-token': this.developerToken,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(budgetOperation)
-      }
-    );
+  /**
+   * Enviar conversão offline de clique (gclid) para uma conversion action
+   * orderId evita conversão duplicada se o envio for repetido
+   */
+  async uploadClickConversion({ gclid, conversionActionId, conversionTime, value, currency, orderId }) {
+    const accessToken = await this.getAccessToken();
+
+    const result = await this.api.request(`${this.baseUrl}/customers/${this.customerId}:uploadClickConversions`, {
+      method: 'POST',
+      headers: this.headers(accessToken),
+      body: JSON.stringify({
+        conversions: [{
+          gclid,
+          conversionAction: `customers/${this.customerId}/conversionActions/${conversionActionId}`,
+          conversionDateTime: formatConversionDateTime(conversionTime),
+          conversionValue: value,
+          currencyCode: currency,
+          orderId
+        }],
+        partialFailure: true
+      }),
+      operation: 'clickConversions.upload',
+      idempotent: true // orderId deduplica o reenvio
+    });
+
+    // Com partialFailure, erros da conversão voltam em partialFailureError
+    if (result.partialFailures) {
+      throw new InvalidRequestError(`Google Ads API Error: ${result.partialFailures[0]?.message || result.partialFailureError.message}`, {
+        platform: 'google',
+        details: result.partialFailures
+      });
+    }
 
-    const result = await response.json();
-    return result.results[0].resourceName;
+    return result.results?.[0];
   }
 
   /**
-   * Criar Ad Group
+   * Fuso horário da conta (IANA, ex: America/Sao_Paulo)
    */
-  async createAdGroup(campaignResourceName, name, accessToken) {
-    const adGroupOperation = {
-      operations: [{
-        create: {
-          name: `${name} - Ad Group 1`,
-          campaign: campaignResourceName,
-          status: 'ENABLED',
-          type: 'SEARCH_STANDARD',
-          cpcBidMicros: 5000000 // R$ 5 CPC máximo
-        }
-      }]
-    };
+  async getAccountTimezone() {
+    const accessToken = await this.getAccessToken();
+    const [row] = await this.search('SELECT customer.time_zone FROM customer', accessToken);
+    return row?.customer.timeZone;
+  }
 
-    const response = await fetch(
-      `${this.baseUrl}/customers/${this.customerId}/adGroups:mutate`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'developer-token': this.developerToken,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(adGroupOperation)
-      }
-    );
+  /**
+   * Consultar via GAQL (googleAds:search)
+   */
+  async search(query, accessToken) {
+    const result = await this.api.request(`${this.baseUrl}/customers/${this.customerId}/googleAds:search`, {
+      method: 'POST',
+      headers: this.headers(accessToken),
+      body: JSON.stringify({ query }),
+      operation: 'googleAds.search',
+      idempotent: true
+    });
 
-    const result = await response.json();
-    return result.results[0].resourceName;
+    return result.results || [];
   }
 
   /**
-   * Adicionar keywords
+   * Executar operações em {resource}:mutate (campaigns, adGroups, campaignBudgets...)
    */
-  async addKeywords(adGroupResourceName, keywords, accessToken) {
-    const operations = keywords.map(keyword => ({
-      create: {
-        adGroup: adGroupResourceName,
-        status: 'ENABLED',
-        keywordMatchType: 'BROAD',
-        text: keyword
-      }
-    }));
+  async mutate(resource, operations, accessToken) {
+    return await this.api.request(`${this.baseUrl}/customers/${this.customerId}/${resource}:mutate`, {
+      method: 'POST',
+      headers: this.headers(accessToken),
+      body: JSON.stringify({ operations }),
+      operation: `${resource}.mutate`
+    });
+  }
 
-    const response = await fetch(
-      `${this.baseUrl}/customers/${this.customerId}/adGroupCriteria:mutate`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'developer-token': this.developerToken,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ operations })
-      }
-    );
+  /**
+   * Operações de vários recursos num único googleAds:mutate (atômico: todas ou nenhuma)
+   * mutateOperations: [{ campaignBudgetOperation }, { campaignOperation }, ...]
+   */
+  async mutateAll(mutateOperations, accessToken, operation = 'googleAds.mutate') {
+    return await this.api.request(`${this.baseUrl}/customers/${this.customerId}/googleAds:mutate`, {
+      method: 'POST',
+      headers: this.headers(accessToken),
+      body: JSON.stringify({ mutateOperations }),
+      operation
+    });
+  }
+
+  /**
+   * Remover recurso (campaign, adGroup ou campaignBudget)
+   */
+  async deleteResource(resourceType, resourceId) {
+    const resource = REMOVABLE_RESOURCES[resourceType];
+    if (!resource) {
+      throw new Error(`Unsupported resource type: ${resourceType}`);
+    }
+
+    const accessToken = await this.getAccessToken();
+    await this.mutate(resource, [{
+      remove: `customers/${this.customerId}/${resource}/${resourceId}`
+    }], accessToken);
 
-    return await response.json();
+    return { success: true, resourceType, resourceId };
   }
 
   /**
-   * Obter métricas de campanha
+   * Resource name temporário (ID negativo) para referenciar um recurso criado no mesmo mutate
    */
-  async getCampaignMetrics(campaignId, dateRange = 'LAST_7_DAYS') {
-    try {
-      const accessToken = await this.getAccessToken();
-
-      const query = `
-        SELECT
-          campaign.id,
-          campaign.name,
-          metrics.impressions,
-          metrics.clicks,
-          metrics.cost_micros,
-          metrics.conversions,
-          metrics.ctr,
-          metrics.average_cpc,
-          metrics.cost_per_conversion
-        FROM campaign
-        WHERE campaign.id = ${campaignId}
-          AND segments.date DURING ${dateRange}
-      `;
-
-      const response = await fetch(
-        `${this.baseUrl}/customers/${this.customerId}/googleAds:search`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'developer-token': this.developerToken,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ query })
-        }
-      );
+  tempResourceName(resource, tempId) {
+    return `customers/${this.customerId}/${resource}/${tempId}`;
+  }
 
-      const result = await response.json();
-      return result.results?.[0] || {};
-    } catch (error) {
-      console.error('Error fetching metrics:', error);
-      throw error;
-    }
+  /**
+   * Headers das chamadas à API
+   */
+  headers(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'developer-token': this.developerToken,
+      'Content-Type': 'application/json'
+    };
   }
 
   /**
-   * Executar decisão de otimização
+   * Resource name da campanha
    */
-  async executeDecision(campaignId, decision) {
-    const accessToken = await this.getAccessToken();
+  campaignResourceName(campaignId) {
+    return `customers/${this.customerId}/campaigns/${campaignId}`;
+  }
+}
 
-    switch (decision.type) {
-      case 'bid_adjustment':
-        // Ajustar CPC bid
-        // Implementar ajuste de bid no ad group
-        return { success: true, message: 'Bid adjustment applied' };
+/**
+ * Keyword na notação do Google Ads: [exata], "frase" ou ampla (sem marcação)
+ * O prefixo - marca a keyword como negativa (ex: -"forro pvc")
+ */
+export function parseKeyword(keyword) {
+  const negative = keyword.trim().startsWith('-');
+  const text = negative ? keyword.trim().slice(1).trim() : keyword.trim();
 
-      case 'budget_reallocation':
-        // Ajustar orçamento
-        const newBudget = decision.newBudget || (decision.currentBudget * (1 + decision.adjustment / 100));
-        // Implementar atualização de budget
-        return { success: true, newBudget };
+  if (/^\[.+\]$/.test(text)) {
+    return { text: text.slice(1, -1).trim(), matchType: 'EXACT', negative };
+  }
+  if (/^".+"$/.test(text)) {
+    return { text: text.slice(1, -1).trim(), matchType: 'PHRASE', negative };
+  }
+  return { text, matchType: 'BROAD', negative };
+}
 
-      case 'pause_campaign':
-        // Pausar campanha
-        const pauseOperation = {
-          operations: [{
-            update: {
-              resourceName: `customers/${this.customerId}/campaigns/${campaignId}`,
-              status: 'PAUSED'
-            },
-            updateMask: 'status'
-          }]
-        };
+/**
+ * KeywordInfo da API (texto e correspondência)
+ */
+function keywordInfo(keyword) {
+  const { text, matchType } = parseKeyword(keyword);
+  return { text, matchType };
+}
 
-        await fetch(
-          `${this.baseUrl}/customers/${this.customerId}/campaigns:mutate`,
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'developer-token': this.developerToken,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(pauseOperation)
-          }
-        );
+/**
+ * Validar campos de uma campanha de Pesquisa (search do createCampaign e keywords)
+ * headlines/descriptions ausentes não são validados (a IA gera)
+ */
+export function validateSearchCampaign(search = {}, keywords = []) {
+  if (!isHttpUrl(search.finalUrl)) {
+    return 'search.finalUrl must be an http(s) URL';
+  }
 
-        return { success: true, status: 'PAUSED' };
+  for (const field of ['negativeKeywords', 'sitelinks', 'callouts']) {
+    if (search[field] !== undefined && !Array.isArray(search[field])) {
+      return `search.${field} must be a list`;
+    }
+  }
 
-      default:
-        return { success: false, message: 'Decision type not implemented' };
+  for (const field of ['headlines', 'descriptions']) {
+    const texts = search[field];
+    const { min, max, maxLength } = RESPONSIVE_SEARCH_AD_LIMITS[field];
+
+    if (texts === undefined) {
+      continue;
+    }
+    if (!Array.isArray(texts) || texts.length < min || texts.length > max) {
+      return `search.${field} must have ${min} to ${max} items`;
+    }
+    const invalid = texts.find(text => typeof text !== 'string' || !text.trim() || text.length > maxLength);
+    if (invalid !== undefined) {
+      return `search.${field} must be non-empty texts up to ${maxLength} characters: ${invalid}`;
+    }
+    if (new Set(texts).size !== texts.length) {
+      return `search.${field} must not repeat texts`;
+    }
+  }
+
+  for (const sitelink of search.sitelinks || []) {
+    if (!sitelink.text || sitelink.text.length > SITELINK_LIMITS.linkText || !isHttpUrl(sitelink.url)) {
+      return `search.sitelinks need text (up to ${SITELINK_LIMITS.linkText} characters) and an http(s) url`;
+    }
+    if (!sitelink.description1 !== !sitelink.description2) {
+      return 'search.sitelinks need both description1 and description2, or neither';
+    }
+    if ([sitelink.description1, sitelink.description2].some(text => text?.length > SITELINK_LIMITS.description)) {
+      return `search.sitelinks descriptions must have up to ${SITELINK_LIMITS.description} characters`;
+    }
+  }
+
+  if ((search.callouts || []).some(text => typeof text !== 'string' || !text.trim() || text.length > CALLOUT_MAX_LENGTH)) {
+    return `search.callouts must be texts up to ${CALLOUT_MAX_LENGTH} characters`;
+  }
+
+  for (const keyword of [...keywords, ...(search.negativeKeywords || [])]) {
+    const { text } = typeof keyword === 'string' ? parseKeyword(keyword) : {};
+    if (!text || text.length > KEYWORD_LIMITS.maxLength || text.split(/\s+/).length > KEYWORD_LIMITS.maxWords) {
+      return `keywords must have up to ${KEYWORD_LIMITS.maxLength} characters and ${KEYWORD_LIMITS.maxWords} words: ${keyword}`;
     }
   }
+
+  return null;
+}
+
+/**
+ * Language constants dos idiomas da segmentação (padrão: português)
+ */
+function resolveLanguages(languages) {
+  return (languages?.length ? languages : ['pt']).map(language => {
+    if (!LANGUAGE_CONSTANTS[language]) {
+      throw new Error(`Unsupported Google Ads language: ${language}`);
+    }
+    return `languageConstants/${LANGUAGE_CONSTANTS[language]}`;
+  });
+}
+
+/**
+ * Limitar variação percentual de uma decisão
+ */
+function clampAdjustment(adjustment) {
+  return clamp(adjustment || 0, { min: -MAX_ADJUSTMENT_PERCENT, max: MAX_ADJUSTMENT_PERCENT });
+}
+
+/**
+ * Reais para micros (arredondado para centavos)
+ */
+function toMicros(value) {
+  return Math.round((value * 1000000) / MICROS_UNIT) * MICROS_UNIT;
+}
+
+/**
+ * Micros para reais
+ */
+function fromMicros(micros) {
+  return micros / 1000000;
+}
+
+/**
+ * Data/hora no formato de conversões (yyyy-mm-dd hh:mm:ss+00:00, UTC)
+ */
+function formatConversionDateTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19) + '+00:00';
 }
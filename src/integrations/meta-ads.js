@@ -3,77 +3,110 @@
  * Integração completa com Meta Marketing API e Conversions API
  */
 
+import { clamp, normalizePhoneBR, sleep } from '../utils/helpers.js';
+import { ApiClient, InvalidRequestError } from './api-client.js';
+import { OAuthConnections } from '../auth/oauth.js';
+import { CreationSaga } from './creation-saga.js';
+import { buildCreativeSpec, creativeFormat, creativeMediaKeys, loadCreativeFile } from './meta-creatives.js';
+
+// Limites de segurança para ajustes automáticos
+const MAX_ADJUSTMENT_PERCENT = 50; // Variação máxima por decisão
+export const DAILY_BUDGET_LIMITS = { min: 1, max: 10000 }; // R$/dia
+const MIN_ADSET_BUDGET_CENTS = 100; // Mínimo do Meta por ad set (R$ 1/dia)
+
+// Status do Meta => status do contrato dos adaptadores
+const CAMPAIGN_STATUSES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused'
+};
+
+// Processamento de vídeo enviado ao /advideos
+const VIDEO_POLL_INTERVAL_MS = 5000;
+const VIDEO_PROCESSING_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Erro 100 com este subcode: objeto não existe (ou já foi excluído)
+const OBJECT_NOT_FOUND_SUBCODE = 33;
+
+// Token inválido, expirado ou revogado pelo usuário
+const INVALID_TOKEN_CODE = 190;
+
 export class MetaAdsIntegration {
+  /**
+   * env: contexto do cliente (createTenantContext), com a conta do Meta em accounts.meta
+   */
   constructor(env) {
+    const account = env.accounts?.meta || {};
+
     this.env = env;
-    this.accessToken = env.META_ACCESS_TOKEN;
-    this.pixelId = env.META_PIXEL_ID;
+    this.accountId = account.accountId;
+    this.accessToken = account.accessToken;
+    this.pixelId = account.pixelId;
+    this.pageId = account.pageId;
     this.apiVersion = 'v22.0';
     this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.api = new ApiClient('meta', env, {
+      throttleKey: this.accountId,
+      // Token da conexão OAuth recusado: marca a conexão como revogada e alerta (sem esperar o cron de renovação)
+      onAuthenticationError: account.oauth ? (error) => this.handleInvalidToken(error) : null
+    });
+  }
+
+  /**
+   * Conexão OAuth revogada entre as renovações (code 190 em qualquer chamada)
+   */
+  async handleInvalidToken(error) {
+    if (error.code === INVALID_TOKEN_CODE) {
+      await new OAuthConnections(this.env).markRevoked('meta', error.message);
+    }
   }
 
   /**
    * Criar campanha no Meta Ads
+   * Cada objeto criado entra na saga: se um passo falhar, os anteriores são removidos
+   * saga: a da criação completa (AI Engine), que também desfaz tudo se o registro no D1 falhar
    */
-  async createCampaign({ name, objective, budget, targeting, creatives }) {
-    const accountId = this.env.META_AD_ACCOUNT_ID;
+  async createCampaign({ name, objective, budget, targeting, creatives, saga = null }) {
+    const accountId = this.accountId;
+    saga ??= new CreationSaga(this.env, { platform: 'meta', accountId, campaignName: name, adapter: this });
 
-    try {
+    return await saga.run(async () => {
       // 1. Criar Campaign
-      const campaignResponse = await fetch(`${this.baseUrl}/act_${accountId}/campaigns`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          name,
-          objective: objective || 'OUTCOME_SALES',
-          status: 'PAUSED', // Inicia pausado
-          special_ad_categories: [],
-          access_token: this.accessToken
-        })
-      });
-
-      const campaign = await campaignResponse.json();
-
-      if (campaign.error) {
-        throw new Error(`Meta API Error: ${campaign.error.message}`);
-      }
+      const campaign = await this.createObject(`act_${accountId}/campaigns`, {
+        name,
+        objective: objective || 'OUTCOME_SALES',
+        status: 'PAUSED', // Inicia pausado
+        special_ad_categories: []
+      }, 'campaigns.create');
+      saga.record('campaign', campaign.id);
 
       // 2. Criar Ad Set
-      const adSetResponse = await fetch(`${this.baseUrl}/act_${accountId}/adsets`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          name: `${name} - Ad Set 1`,
-          campaign_id: campaign.id,
-          targeting: this.formatTargeting(targeting),
-          optimization_goal: 'OFFSITE_CONVERSIONS',
-          billing_event: 'IMPRESSIONS',
-          bid_strategy: 'LOWEST_COST_WITHOUT_CAP',
-          daily_budget: Math.round(budget * 100), // Centavos
-          status: 'PAUSED',
-          access_token: this.accessToken
-        })
-      });
-
-      const adSet = await adSetResponse.json();
-
-      if (adSet.error) {
-        throw new Error(`Meta API Error: ${adSet.error.message}`);
-      }
+      const adSet = await this.createObject(`act_${accountId}/adsets`, {
+        name: `${name} - Ad Set 1`,
+        campaign_id: campaign.id,
+        targeting: this.formatTargeting(targeting),
+        optimization_goal: 'OFFSITE_CONVERSIONS',
+        billing_event: 'IMPRESSIONS',
+        bid_strategy: 'LOWEST_COST_WITHOUT_CAP',
+        daily_budget: Math.round(budget * 100), // Centavos
+        status: 'PAUSED',
+        // Criativo dinâmico (asset_feed_spec) exige ad set de criativo dinâmico
+        ...(creatives?.some(creative => creativeFormat(creative) === 'dynamic') && { is_dynamic_creative: true })
+      }, 'adsets.create');
+      saga.record('adset', adSet.id);
 
-      // 3. Criar Ads (se criativos fornecidos)
+      // 3. Criar Ads (se criativos fornecidos), enviando imagens e vídeos uma vez por campanha
       const ads = [];
+      const media = new Map();
       if (creatives && creatives.length > 0) {
         for (const creative of creatives) {
-          const adResponse = await this.createAd(accountId, adSet.id, creative);
+          const adResponse = await this.createAd(accountId, adSet.id, creative, saga, media);
           ads.push(adResponse);
         }
       }
 
+      // Ad set e anúncios criados pausados: retomados na primeira ativação da campanha
+      await this.recordPausedChildren(campaign.id, [adSet.id, ...ads.map(ad => ad.id)]);
+
       return {
         success: true,
         accountId,
@@ -83,64 +116,122 @@ export class MetaAdsIntegration {
         name,
         reviewUrl: `https://business.facebook.com/adsmanager/manage/campaigns?act=${accountId}&selected_campaign_ids=${campaign.id}`
       };
+    });
+  }
 
-    } catch (error) {
-      console.error('Meta Ads API Error:', error);
-      throw error;
+  /**
+   * Criar anúncio (criativo + ad, registrados na saga da criação da campanha)
+   * media: arquivos já enviados ao Meta (chave do R2 => hash da imagem / vídeo)
+   */
+  async createAd(accountId, adSetId, creative, saga, media = new Map()) {
+    await this.uploadCreativeMedia(creative, saga, media);
+
+    const adCreative = await this.createObject(`act_${accountId}/adcreatives`, {
+      name: creative.name || 'Creative 1',
+      ...buildCreativeSpec(creative, media, { pageId: this.pageId })
+    }, 'adcreatives.create');
+    saga?.record('adcreative', adCreative.id);
+
+    // Criar Ad
+    const ad = await this.createObject(`act_${accountId}/ads`, {
+      name: creative.name || 'Ad 1',
+      adset_id: adSetId,
+      creative: { creative_id: adCreative.id },
+      status: 'PAUSED'
+    }, 'ads.create');
+    saga?.record('ad', ad.id);
+
+    return ad;
+  }
+
+  /**
+   * Enviar ao Meta as imagens e vídeos do criativo que ainda não estão em media
+   */
+  async uploadCreativeMedia(creative, saga, media) {
+    const { images, videos } = creativeMediaKeys(creative);
+
+    for (const key of images.filter(key => !media.has(key))) {
+      const imageHash = await this.uploadImage(key);
+      saga?.record('adimage', imageHash);
+      media.set(key, { imageHash });
+    }
+
+    for (const key of videos.filter(key => !media.has(key))) {
+      const videoId = await this.uploadVideo(key);
+      saga?.record('advideo', videoId);
+      media.set(key, await this.waitForVideo(videoId));
     }
   }
 
   /**
-   * Criar anúncio
+   * Enviar imagem do R2 para a biblioteca da conta (/adimages)
+   * Retorna o hash (o mesmo arquivo tem sempre o mesmo hash)
    */
-  async createAd(accountId, adSetId, creative) {
-    const adCreativeResponse = await fetch(`${this.baseUrl}/act_${accountId}/adcreatives`, {
+  async uploadImage(key) {
+    const file = await loadCreativeFile(this.env, key, 'image');
+    const form = new FormData();
+    form.append('filename', new Blob([file.bytes], { type: file.contentType }), file.name);
+    form.append('access_token', this.accessToken);
+
+    // Reenviar a mesma imagem retorna o mesmo hash
+    const result = await this.api.request(`${this.baseUrl}/act_${this.accountId}/adimages`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name: creative.name || 'Creative 1',
-        object_story_spec: {
-          page_id: this.env.META_PAGE_ID,
-          link_data: {
-            image_hash: creative.imageHash, // Precisa fazer upload antes
-            link: creative.link,
-            message: creative.primaryText,
-            name: creative.headline,
-            description: creative.description,
-            call_to_action: {
-              type: creative.cta || 'LEARN_MORE'
-            }
-          }
-        },
-        access_token: this.accessToken
-      })
+      body: form,
+      operation: 'adimages.create',
+      idempotent: true
     });
 
-    const adCreative = await adCreativeResponse.json();
-
-    if (adCreative.error) {
-      throw new Error(`Meta API Error: ${adCreative.error.message}`);
+    const image = Object.values(result.images || {})[0];
+    if (!image?.hash) {
+      throw new Error(`Meta image upload returned no hash: ${key}`);
     }
 
-    // Criar Ad
-    const adResponse = await fetch(`${this.baseUrl}/act_${accountId}/ads`, {
+    return image.hash;
+  }
+
+  /**
+   * Enviar vídeo do R2 para a conta (/advideos)
+   * Retorna o ID do vídeo (ainda em processamento)
+   */
+  async uploadVideo(key) {
+    const file = await loadCreativeFile(this.env, key, 'video');
+    const form = new FormData();
+    form.append('source', new Blob([file.bytes], { type: file.contentType }), file.name);
+    form.append('name', file.name);
+    form.append('access_token', this.accessToken);
+
+    const video = await this.api.request(`${this.baseUrl}/act_${this.accountId}/advideos`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name: creative.name || 'Ad 1',
-        adset_id: adSetId,
-        creative: { creative_id: adCreative.id },
-        status: 'PAUSED',
-        access_token: this.accessToken
-      })
+      body: form,
+      operation: 'advideos.create'
     });
 
-    const ad = await adResponse.json();
-    return ad;
+    return video.id;
+  }
+
+  /**
+   * Aguardar o processamento do vídeo (anúncio só pode usar vídeo pronto)
+   * Retorna { videoId, thumbnailUrl } (thumbnail gerada pelo Meta)
+   */
+  async waitForVideo(videoId) {
+    const deadline = Date.now() + VIDEO_PROCESSING_TIMEOUT_MS;
+
+    while (true) {
+      const video = await this.getObject(videoId, 'status,picture', 'advideos.get');
+      const status = video.status?.video_status;
+
+      if (status === 'ready') {
+        return { videoId, thumbnailUrl: video.picture };
+      }
+      if (status === 'error') {
+        throw new Error(`Meta video processing failed: ${videoId}`);
+      }
+      if (Date.now() + VIDEO_POLL_INTERVAL_MS > deadline) {
+        throw new Error(`Meta video processing timed out: ${videoId}`);
+      }
+
+      await sleep(VIDEO_POLL_INTERVAL_MS);
+    }
   }
 
   /**
@@ -166,108 +257,334 @@ export class MetaAdsIntegration {
 
   /**
    * Enviar evento de conversão (Conversions API)
+   * eventId deve ser o mesmo enviado pelo pixel para o Meta deduplicar
+   * Conversões offline (CRM) usam actionSource 'system_generated'
    */
-  async sendConversionEvent({ eventName, email, phone, customData }) {
-    try {
-      const eventTime = Math.floor(Date.now() / 1000);
-      const eventId = `${eventTime}_${Math.random().toString(36).substr(2, 9)}`;
-
-      const response = await fetch(`${this.baseUrl}/${this.pixelId}/events`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          data: [{
-            event_name: eventName,
-            event_time: eventTime,
-            event_id: eventId,
-            action_source: 'website',
-            user_data: {
-              em: email ? await this.hashSHA256(email) : undefined,
-              ph: phone ? await this.hashSHA256(phone) : undefined
-            },
-            custom_data: customData || {}
-          }],
-          access_token: this.accessToken
-        })
-      });
-
-      const result = await response.json();
-
-      if (result.error) {
-        throw new Error(`Conversions API Error: ${result.error.message}`);
-      }
-
-      return result;
-    } catch (error) {
-      console.error('Conversions API Error:', error);
-      throw error;
-    }
+  async sendConversionEvent({
+    eventName, eventId, eventSourceUrl, email, phone, fbp, fbc, clientIp, userAgent, customData,
+    actionSource = 'website', eventTime: eventTimeMs
+  }) {
+    const eventTime = Math.floor((eventTimeMs || Date.now()) / 1000);
+
+    // Eventos com o mesmo event_id são deduplicados pelo Meta: repetir o envio é seguro
+    return await this.api.request(`${this.baseUrl}/${this.pixelId}/events`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        data: [{
+          event_name: eventName,
+          event_time: eventTime,
+          event_id: eventId || crypto.randomUUID(),
+          event_source_url: eventSourceUrl || undefined,
+          action_source: actionSource,
+          user_data: {
+            em: email ? await this.hashSHA256(email) : undefined,
+            ph: phone ? await this.hashSHA256(normalizePhoneForMeta(phone)) : undefined,
+            // fbp, fbc, IP e user agent não são hasheados
+            fbp: fbp || undefined,
+            fbc: fbc || undefined,
+            client_ip_address: clientIp || undefined,
+            client_user_agent: userAgent || undefined
+          },
+          custom_data: customData || {}
+        }],
+        access_token: this.accessToken
+      }),
+      operation: 'events.send',
+      idempotent: true
+    });
   }
 
   /**
    * Obter métricas de campanha
+   * dateRange: date_preset do Meta (today, yesterday, last_7d, last_30d)
    */
   async getCampaignMetrics(campaignId, dateRange = 'last_7d') {
-    try {
-      const response = await fetch(
-        `${this.baseUrl}/${campaignId}/insights?` +
-        `fields=impressions,clicks,spend,conversions,ctr,cpc,cpm,cpp&` +
-        `date_preset=${dateRange}&` +
-        `access_token=${this.accessToken}`
-      );
-
-      const result = await response.json();
-      return result.data?.[0] || {};
-    } catch (error) {
-      console.error('Error fetching metrics:', error);
-      throw error;
-    }
+    const result = await this.api.request(
+      `${this.baseUrl}/${campaignId}/insights?` +
+      `fields=impressions,clicks,spend,conversions,ctr,cpc,cpm,cpp&` +
+      `date_preset=${dateRange}&` +
+      `access_token=${this.accessToken}`,
+      { operation: 'insights.get' }
+    );
+
+    return result.data?.[0] || {};
   }
 
   /**
    * Executar decisão de otimização
    */
   async executeDecision(campaignId, decision) {
-    const accountId = this.env.META_AD_ACCOUNT_ID;
+    const accountId = this.accountId;
 
     switch (decision.type) {
       case 'bid_adjustment':
         // Ajustar bid do ad set
-        // Meta Ads usa budget, não bid direto
-        return { success: true, message: 'Bid adjustment não aplicável no Meta Ads' };
+        // Meta Ads usa budget, não bid direto (applied: false = nada mudou na plataforma)
+        return { success: true, applied: false, message: 'Bid adjustment não aplicável no Meta Ads' };
 
       case 'budget_reallocation':
-        // Ajustar orçamento
-        const newBudget = decision.newBudget || (decision.currentBudget * (1 + decision.adjustment / 100));
-        await fetch(`${this.baseUrl}/${campaignId}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            daily_budget: Math.round(newBudget * 100),
-            access_token: this.accessToken
-          })
-        });
-        return { success: true, newBudget };
+        return await this.updateBudget(campaignId, decision);
 
       case 'pause_campaign':
-        // Pausar campanha
-        await fetch(`${this.baseUrl}/${campaignId}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            status: 'PAUSED',
-            access_token: this.accessToken
-          })
-        });
-        return { success: true, status: 'PAUSED' };
+        return await this.setCampaignStatus(campaignId, 'PAUSED');
+
+      case 'activate_campaign':
+        return await this.setCampaignStatus(campaignId, 'ACTIVE');
+
+      case 'archive_campaign':
+        return await this.setCampaignStatus(campaignId, 'ARCHIVED');
+
+      case 'rename_campaign':
+        await this.updateObject(campaignId, { name: decision.name });
+        return { success: true, name: decision.name };
 
       default:
         return { success: false, message: 'Decision type not implemented' };
     }
   }
 
+  /**
+   * Pausar campanha
+   */
+  async pauseCampaign(campaignId) {
+    return await this.setCampaignStatus(campaignId, 'PAUSED');
+  }
+
+  /**
+   * Ativar campanha (com ad sets e anúncios)
+   */
+  async activateCampaign(campaignId) {
+    return await this.setCampaignStatus(campaignId, 'ACTIVE');
+  }
+
+  /**
+   * Listar campanhas da conta (arquivadas e excluídas como archived)
+   */
+  async listCampaigns() {
+    const campaigns = await this.getEdge(`act_${this.accountId}`, 'campaigns', 'id,name,status,daily_budget');
+
+    return campaigns.map(campaign => ({
+      campaignId: campaign.id,
+      name: campaign.name,
+      status: CAMPAIGN_STATUSES[campaign.status] || 'archived',
+      dailyBudget: parseInt(campaign.daily_budget) > 0 ? parseInt(campaign.daily_budget) / 100 : null
+    }));
+  }
+
+  /**
+   * Alterar status da campanha
+   * Pausar só pausa a campanha (ad sets e anúncios mantêm o próprio status); ao ativar, retoma apenas
+   * os ad sets e anúncios pausados pela integração, nunca os pausados pelo usuário
+   */
+  async setCampaignStatus(campaignId, status) {
+    await this.updateObject(campaignId, { status });
+
+    if (status === 'ACTIVE') {
+      await this.resumePausedChildren(campaignId);
+    }
+
+    return { success: true, status };
+  }
+
+  /**
+   * Registrar ad sets e anúncios pausados pela integração (ex: criados pausados)
+   */
+  async recordPausedChildren(campaignId, childIds) {
+    const key = pausedChildrenKey(campaignId);
+    const recorded = JSON.parse(await this.env.CONFIG.get(key) || '[]');
+
+    await this.env.CONFIG.put(key, JSON.stringify([...new Set([...recorded, ...childIds])]));
+  }
+
+  /**
+   * Ativar os ad sets e anúncios registrados que continuam pausados
+   */
+  async resumePausedChildren(campaignId) {
+    const key = pausedChildrenKey(campaignId);
+    const childIds = JSON.parse(await this.env.CONFIG.get(key) || '[]');
+
+    for (const childId of childIds) {
+      const child = await this.getObject(childId, 'status', 'status.get');
+
+      if (child.status === 'PAUSED') {
+        await this.updateObject(childId, { status: 'ACTIVE' });
+      }
+    }
+
+    await this.env.CONFIG.delete(key);
+  }
+
+  /**
+   * Atualizar orçamento diário (valor absoluto em newBudget ou percentual em adjustment)
+   * Com CBO o orçamento fica na campanha; sem CBO, é distribuído entre os ad sets (mínimo de R$ 1 cada,
+   * recusando a alteração se os mínimos somados passarem do limite da campanha)
+   */
+  async updateBudget(campaignId, decision) {
+    const limits = {
+      min: decision.minBudget ?? DAILY_BUDGET_LIMITS.min,
+      max: decision.maxBudget ?? DAILY_BUDGET_LIMITS.max
+    };
+    const adjustment = clamp(decision.adjustment || 0, {
+      min: -MAX_ADJUSTMENT_PERCENT,
+      max: MAX_ADJUSTMENT_PERCENT
+    });
+    const targetBudget = (previousBudget) =>
+      clamp(decision.newBudget ?? previousBudget * (1 + adjustment / 100), limits);
+
+    const campaign = await this.getObject(campaignId, 'daily_budget,lifetime_budget');
+
+    // Orçamento da campanha (CBO / Advantage campaign budget)
+    if (parseInt(campaign.daily_budget) > 0) {
+      const previousBudget = parseInt(campaign.daily_budget) / 100;
+      const newBudgetCents = Math.round(targetBudget(previousBudget) * 100);
+
+      await this.updateObject(campaignId, { daily_budget: newBudgetCents });
+
+      return {
+        success: true,
+        level: 'campaign',
+        previousBudget,
+        newBudget: newBudgetCents / 100
+      };
+    }
+
+    if (parseInt(campaign.lifetime_budget) > 0) {
+      return { success: false, message: 'Campaign uses a lifetime budget; daily budget changes not supported' };
+    }
+
+    // Orçamento nos ad sets: aplicar a mesma proporção a cada um
+    const adSets = (await this.getEdge(campaignId, 'adsets', 'id,daily_budget,status'))
+      .filter(adSet => parseInt(adSet.daily_budget) > 0 && !['ARCHIVED', 'DELETED'].includes(adSet.status));
+
+    if (adSets.length === 0) {
+      return { success: false, message: 'No ad set with a daily budget found' };
+    }
+
+    const budgets = adSets.map(adSet => parseInt(adSet.daily_budget));
+    const previousCents = budgets.reduce((sum, cents) => sum + cents, 0);
+
+    // Com o mínimo por ad set, o total não pode ficar abaixo de R$ 1 × ad sets
+    const minimumCents = adSets.length * MIN_ADSET_BUDGET_CENTS;
+    if (minimumCents > Math.round(limits.max * 100)) {
+      return {
+        success: false,
+        message: `Minimum budget of ${adSets.length} ad sets (R$ ${minimumCents / 100}) exceeds the daily limit (R$ ${limits.max})`
+      };
+    }
+
+    const totalCents = Math.max(Math.round(targetBudget(previousCents / 100) * 100), minimumCents);
+    const allocation = distributeBudget(budgets, totalCents);
+
+    const changes = [];
+    for (const [index, adSet] of adSets.entries()) {
+      await this.updateObject(adSet.id, { daily_budget: allocation[index] });
+      changes.push({ adSetId: adSet.id, before: budgets[index] / 100, after: allocation[index] / 100 });
+    }
+
+    return {
+      success: true,
+      level: 'adset',
+      previousBudget: previousCents / 100,
+      newBudget: changes.reduce((sum, change) => sum + change.after * 100, 0) / 100,
+      adSets: changes
+    };
+  }
+
+  /**
+   * Fuso horário da conta de anúncios (IANA, ex: America/Sao_Paulo)
+   */
+  async getAccountTimezone(accountId = this.accountId) {
+    const account = await this.getObject(`act_${accountId}`, 'timezone_name');
+    return account.timezone_name;
+  }
+
+  /**
+   * Ler campos de um objeto
+   */
+  async getObject(objectId, fields, operation = 'object.get') {
+    return await this.api.request(
+      `${this.baseUrl}/${objectId}?` +
+      `fields=${fields}&` +
+      `access_token=${this.accessToken}`,
+      { operation }
+    );
+  }
+
+  /**
+   * Listar objetos de uma edge (ex: adsets, ads de uma campanha), seguindo a paginação
+   */
+  async getEdge(objectId, edge, fields) {
+    let result = await this.getObject(`${objectId}/${edge}`, fields, `${edge}.get`);
+    const items = [...(result.data || [])];
+
+    while (result.paging?.next) {
+      result = await this.api.request(result.paging.next, { operation: `${edge}.get` });
+      items.push(...(result.data || []));
+    }
+
+    return items;
+  }
+
+  /**
+   * Criar objeto em uma edge (ex: act_{id}/campaigns)
+   * Não é repetido em falha temporária para não duplicar o objeto
+   */
+  async createObject(edgePath, fields, operation) {
+    return await this.api.request(`${this.baseUrl}/${edgePath}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...fields,
+        access_token: this.accessToken
+      }),
+      operation
+    });
+  }
+
+  /**
+   * Excluir objeto (campanha, ad set, criativo, anúncio, vídeo ou imagem)
+   * Objeto que já não existe conta como removido
+   * Imagem é excluída pelo hash na biblioteca da conta (o Meta recusa se ainda estiver em outro anúncio)
+   */
+  async deleteResource(resourceType, resourceId) {
+    const url = resourceType === 'adimage'
+      ? `${this.baseUrl}/act_${this.accountId}/adimages?hash=${encodeURIComponent(resourceId)}&access_token=${this.accessToken}`
+      : `${this.baseUrl}/${resourceId}?access_token=${this.accessToken}`;
+
+    try {
+      await this.api.request(url, {
+        method: 'DELETE',
+        operation: `${resourceType}.delete`,
+        idempotent: true
+      });
+    } catch (error) {
+      if (!(error instanceof InvalidRequestError && error.code === 100 && error.subcode === OBJECT_NOT_FOUND_SUBCODE)) {
+        throw error;
+      }
+    }
+
+    return { success: true, resourceType, resourceId };
+  }
+
+  /**
+   * Atualizar campos de um objeto (campanha, ad set, anúncio)
+   */
+  async updateObject(objectId, fields) {
+    return await this.api.request(`${this.baseUrl}/${objectId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...fields,
+        access_token: this.accessToken
+      }),
+      operation: 'object.update',
+      idempotent: true
+    });
+  }
+
   /**
    * Hash SHA256 para Advanced Matching
    */
@@ -280,3 +597,52 @@ export class MetaAdsIntegration {
       .join('');
   }
 }
+
+/**
+ * Telefone no formato exigido pelo Meta: E.164 só com dígitos (5531998765432)
+ */
+function normalizePhoneForMeta(phone) {
+  const e164 = normalizePhoneBR(phone);
+  return (e164 || phone).replace(/\D/g, '');
+}
+
+/**
+ * Distribuir o total (centavos) entre os ad sets na proporção do orçamento atual, com mínimo de R$ 1 cada
+ * Ad sets que ficariam abaixo do mínimo ficam nele e o restante é redistribuído entre os demais;
+ * os centavos do arredondamento vão para o maior, e a soma fica exatamente igual ao total
+ */
+function distributeBudget(budgets, totalCents) {
+  const allocation = budgets.map(() => MIN_ADSET_BUDGET_CENTS);
+  let open = budgets.map((_, index) => index);
+  let remaining = totalCents;
+
+  for (;;) {
+    const weight = open.reduce((sum, index) => sum + budgets[index], 0);
+    const belowMinimum = open.filter(index => remaining * budgets[index] / weight < MIN_ADSET_BUDGET_CENTS);
+
+    if (belowMinimum.length === 0) break;
+
+    remaining -= belowMinimum.length * MIN_ADSET_BUDGET_CENTS;
+    open = open.filter(index => !belowMinimum.includes(index));
+  }
+
+  if (open.length === 0) return allocation;
+
+  const weight = open.reduce((sum, index) => sum + budgets[index], 0);
+  for (const index of open) {
+    allocation[index] = Math.floor(remaining * budgets[index] / weight);
+  }
+
+  const largest = open.reduce((a, b) => (budgets[b] > budgets[a] ? b : a));
+  allocation[largest] += totalCents - allocation.reduce((sum, cents) => sum + cents, 0);
+
+  return allocation;
+}
+
+/**
+ * Chave (CONFIG) dos ad sets e anúncios da campanha pausados pela integração
+ * IDs de campanha do Meta são únicos entre contas: a chave não precisa do cliente
+ */
+function pausedChildrenKey(campaignId) {
+  return `meta_paused_children:${campaignId}`;
+}
@@ -0,0 +1,324 @@
+/**
+ * Meta Creatives
+ * Criativos dos anúncios do Meta: formatos, validação, arquivos no R2 e spec do /adcreatives
+ *
+ * Criativo (creatives do /api/campaign/create):
+ * - image: { image, primaryText, headline, description, link, cta } (ou imageHash já enviado ao Meta)
+ * - video: { video, thumbnail?, primaryText, headline, description, link, cta }
+ * - carousel: { cards: [{ image | video, headline, description, link? }], primaryText, link, cta }
+ * - dynamic: { images, videos, primaryTexts, headlines, descriptions, link, cta } (asset_feed_spec)
+ * Arquivos são chaves do R2 em creatives/{tenantId}/ (ou arquivos enviados por multipart)
+ */
+
+import { generateId, isHttpUrl } from '../utils/helpers.js';
+
+export const CREATIVE_FORMATS = ['image', 'video', 'carousel', 'dynamic'];
+
+const CREATIVE_STORAGE_PREFIX = 'creatives';
+
+const CAROUSEL_CARDS = { min: 2, max: 10 };
+
+// Máximo de cada item no asset_feed_spec do criativo dinâmico
+const DYNAMIC_LIMITS = { images: 10, videos: 10, primaryTexts: 5, headlines: 5, descriptions: 5 };
+
+// Vídeo inteiro fica na memória do Worker (128 MB) durante o envio
+const MEDIA_LIMITS = {
+  image: { maxBytes: 30 * 1024 * 1024, contentTypes: ['image/jpeg', 'image/png'] },
+  video: { maxBytes: 50 * 1024 * 1024, contentTypes: ['video/mp4', 'video/quicktime'] }
+};
+
+const CONTENT_TYPES_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime'
+};
+
+/**
+ * Formato do criativo (informado ou deduzido dos campos)
+ */
+export function creativeFormat(creative) {
+  if (creative.format) {
+    return creative.format;
+  }
+  if (creative.cards) {
+    return 'carousel';
+  }
+  if (creative.images || creative.videos || creative.headlines || creative.primaryTexts) {
+    return 'dynamic';
+  }
+  return creative.video ? 'video' : 'image';
+}
+
+/**
+ * Arquivos do criativo: { images: [chaves], videos: [chaves] } (thumbnails contam como imagens)
+ */
+export function creativeMediaKeys(creative) {
+  const items = [creative, ...(creative.cards || [])];
+
+  return {
+    images: [
+      ...items.flatMap(item => [item.image, item.thumbnail]),
+      ...(creative.images || [])
+    ].filter(Boolean),
+    videos: [
+      ...items.map(item => item.video),
+      ...(creative.videos || [])
+    ].filter(Boolean)
+  };
+}
+
+/**
+ * Trocar as referências de arquivo do criativo (ex: nome do campo multipart => chave do R2)
+ */
+export function mapCreativeMedia(creative, mapKey) {
+  const mapItem = (item) => ({
+    ...item,
+    ...(item.image && { image: mapKey(item.image) }),
+    ...(item.video && { video: mapKey(item.video) }),
+    ...(item.thumbnail && { thumbnail: mapKey(item.thumbnail) })
+  });
+
+  return {
+    ...mapItem(creative),
+    ...(creative.cards && { cards: creative.cards.map(mapItem) }),
+    ...(creative.images && { images: creative.images.map(mapKey) }),
+    ...(creative.videos && { videos: creative.videos.map(mapKey) })
+  };
+}
+
+/**
+ * Validar criativos do Meta (arquivos precisam estar no prefixo do cliente)
+ * Retorna mensagem de erro ou null
+ */
+export function validateMetaCreatives(creatives, tenantId) {
+  if (!Array.isArray(creatives)) {
+    return 'creatives must be a list';
+  }
+
+  const formats = creatives.map(creative => creative && typeof creative === 'object' ? creativeFormat(creative) : null);
+
+  if (formats.includes('dynamic') && creatives.length > 1) {
+    return 'a dynamic creative must be the only creative of the campaign';
+  }
+
+  for (const [index, creative] of creatives.entries()) {
+    const error = validateCreative(creative, formats[index], tenantId);
+    if (error) {
+      return `creatives[${index}]: ${error}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validar um criativo
+ */
+function validateCreative(creative, format, tenantId) {
+  if (!format) {
+    return 'must be an object';
+  }
+  if (!CREATIVE_FORMATS.includes(format)) {
+    return `format must be one of: ${CREATIVE_FORMATS.join(', ')}`;
+  }
+  if (!isHttpUrl(creative.link)) {
+    return 'link must be an http(s) URL';
+  }
+
+  if (format === 'image' && !creative.image && !creative.imageHash) {
+    return 'image (or imageHash) is required';
+  }
+
+  if (format === 'video' && !creative.video) {
+    return 'video is required';
+  }
+
+  if (format === 'carousel') {
+    const cards = creative.cards;
+    if (!Array.isArray(cards) || cards.length < CAROUSEL_CARDS.min || cards.length > CAROUSEL_CARDS.max) {
+      return `cards must have ${CAROUSEL_CARDS.min} to ${CAROUSEL_CARDS.max} items`;
+    }
+    if (cards.some(card => !card || (!card.image && !card.video) || (card.link && !isHttpUrl(card.link)))) {
+      return 'each card needs an image or video (and an http(s) link, if informed)';
+    }
+  }
+
+  if (format === 'dynamic') {
+    for (const [field, max] of Object.entries(DYNAMIC_LIMITS)) {
+      const values = creative[field] || [];
+      if (!Array.isArray(values) || values.length > max || values.some(value => typeof value !== 'string' || !value.trim())) {
+        return `${field} must be a list of up to ${max} non-empty strings`;
+      }
+    }
+    if (!creative.images?.length && !creative.videos?.length) {
+      return 'images or videos are required';
+    }
+    if (!creative.primaryTexts?.length || !creative.headlines?.length) {
+      return 'primaryTexts and headlines are required';
+    }
+  }
+
+  const { images, videos } = creativeMediaKeys(creative);
+  const prefix = creativeStoragePrefix(tenantId);
+  const outside = [...images, ...videos].find(key => typeof key !== 'string' || !key.startsWith(prefix));
+
+  if (outside !== undefined) {
+    return `files must be storage keys under ${prefix} or uploaded files: ${outside}`;
+  }
+
+  return null;
+}
+
+/**
+ * Prefixo dos arquivos de criativos do cliente no R2
+ */
+export function creativeStoragePrefix(tenantId) {
+  return `${CREATIVE_STORAGE_PREFIX}/${tenantId}/`;
+}
+
+/**
+ * Chaves no R2 para arquivos enviados por multipart: { campo: { key, file } }
+ */
+export function planCreativeUploads(tenantId, files) {
+  const uploads = {};
+
+  for (const [field, file] of Object.entries(files)) {
+    const name = file.name.replace(/[^\w.-]+/g, '-') || 'file';
+    uploads[field] = { key: `${creativeStoragePrefix(tenantId)}${generateId()}/${name}`, file };
+  }
+
+  return uploads;
+}
+
+/**
+ * Gravar no R2 os arquivos enviados por multipart
+ */
+export async function storeCreativeUploads(env, uploads) {
+  for (const { key, file } of Object.values(uploads)) {
+    await env.STORAGE.put(key, await file.arrayBuffer(), {
+      httpMetadata: { contentType: file.type || contentTypeFromKey(key) }
+    });
+  }
+}
+
+/**
+ * Ler arquivo do criativo no R2 (kind: 'image' ou 'video')
+ * Retorna { bytes, contentType, name }
+ */
+export async function loadCreativeFile(env, key, kind) {
+  const object = await env.STORAGE.get(key);
+
+  if (!object) {
+    throw new Error(`Creative file not found in storage: ${key}`);
+  }
+
+  const contentType = object.httpMetadata?.contentType || contentTypeFromKey(key);
+  const { contentTypes, maxBytes } = MEDIA_LIMITS[kind];
+
+  if (!contentTypes.includes(contentType)) {
+    throw new Error(`Unsupported ${kind} type (${contentType}): ${key}`);
+  }
+  if (object.size > maxBytes) {
+    throw new Error(`${kind} larger than ${maxBytes / 1024 / 1024} MB: ${key}`);
+  }
+
+  return { bytes: await object.arrayBuffer(), contentType, name: key.split('/').pop() };
+}
+
+/**
+ * Campos do /adcreatives para o criativo
+ * media: chave do R2 => { imageHash } ou { videoId, thumbnailUrl }
+ */
+export function buildCreativeSpec(creative, media, { pageId }) {
+  const cta = creative.cta || 'LEARN_MORE';
+  const imageHash = (key) => media.get(key).imageHash;
+
+  // Vídeo: thumbnail enviada (hashField) ou a gerada pelo Meta (urlField)
+  const videoFields = (item, { hashField, urlField }) => ({
+    video_id: media.get(item.video).videoId,
+    ...(item.thumbnail
+      ? { [hashField]: imageHash(item.thumbnail) }
+      : { [urlField]: media.get(item.video).thumbnailUrl })
+  });
+
+  switch (creativeFormat(creative)) {
+    case 'video':
+      return {
+        object_story_spec: {
+          page_id: pageId,
+          video_data: {
+            ...videoFields(creative, { hashField: 'image_hash', urlField: 'image_url' }),
+            message: creative.primaryText,
+            title: creative.headline,
+            link_description: creative.description,
+            call_to_action: { type: cta, value: { link: creative.link } }
+          }
+        }
+      };
+
+    case 'carousel':
+      return {
+        object_story_spec: {
+          page_id: pageId,
+          link_data: {
+            link: creative.link,
+            message: creative.primaryText,
+            multi_share_optimized: true, // Meta ordena os cards pelo desempenho
+            child_attachments: creative.cards.map(card => ({
+              link: card.link || creative.link,
+              name: card.headline,
+              description: card.description,
+              ...(card.video
+                ? videoFields(card, { hashField: 'image_hash', urlField: 'picture' })
+                : { image_hash: imageHash(card.image) }),
+              call_to_action: { type: cta, value: { link: card.link || creative.link } }
+            })),
+            call_to_action: { type: cta }
+          }
+        }
+      };
+
+    case 'dynamic': {
+      const images = creative.images || [];
+      const videos = creative.videos || [];
+
+      return {
+        object_story_spec: { page_id: pageId },
+        asset_feed_spec: {
+          images: images.map(key => ({ hash: imageHash(key) })),
+          videos: videos.map(key => ({ video_id: media.get(key).videoId, thumbnail_url: media.get(key).thumbnailUrl })),
+          bodies: creative.primaryTexts.map(text => ({ text })),
+          titles: creative.headlines.map(text => ({ text })),
+          descriptions: (creative.descriptions || []).map(text => ({ text })),
+          link_urls: [{ website_url: creative.link }],
+          call_to_action_types: [cta],
+          ad_formats: [images.length && videos.length ? 'AUTOMATIC_FORMAT' : images.length ? 'SINGLE_IMAGE' : 'SINGLE_VIDEO']
+        }
+      };
+    }
+
+    default:
+      return {
+        object_story_spec: {
+          page_id: pageId,
+          link_data: {
+            image_hash: creative.imageHash || imageHash(creative.image),
+            link: creative.link,
+            message: creative.primaryText,
+            name: creative.headline,
+            description: creative.description,
+            call_to_action: { type: cta }
+          }
+        }
+      };
+  }
+}
+
+/**
+ * Content type pela extensão do arquivo
+ */
+function contentTypeFromKey(key) {
+  return CONTENT_TYPES_BY_EXTENSION[key.split('.').pop().toLowerCase()] || 'application/octet-stream';
+}
@@ -0,0 +1,49 @@
+/**
+ * Cloudflare Turnstile Integration
+ * Verificação anti-bot dos formulários
+ */
+
+export class TurnstileIntegration {
+  constructor(env) {
+    this.env = env;
+    this.secretKey = env.TURNSTILE_SECRET_KEY;
+  }
+
+  /**
+   * Turnstile está configurado?
+   */
+  isEnabled() {
+    return Boolean(this.secretKey);
+  }
+
+  /**
+   * Verificar token enviado pelo widget
+   */
+  async verify(token, remoteIp) {
+    if (!token) {
+      return { success: false, errorCodes: ['missing-input-response'] };
+    }
+
+    try {
+      const response = await fetch('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          secret: this.secretKey,
+          response: token,
+          ...(remoteIp ? { remoteip: remoteIp } : {})
+        })
+      });
+
+      const result = await response.json();
+
+      return {
+        success: Boolean(result.success),
+        errorCodes: result['error-codes'] || []
+      };
+    } catch (error) {
+      console.error('Turnstile verification error:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Webhooks Integration
+ * Webhooks de saída assinados com HMAC (CRM, WhatsApp etc.)
+ */
+
+import { hmacSha256Hex, retryWithBackoff } from '../utils/helpers.js';
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class WebhookIntegration {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Listar webhooks (sem o secret)
+   */
+  async list() {
+    const { results } = await this.env.DB.prepare(`
+      SELECT id, url, description, active, created_at, updated_at
+      FROM webhooks
+      WHERE tenant_id = ?
+      ORDER BY created_at DESC
+    `).bind(this.env.tenantId).all();
+
+    return results.map(webhook => ({ ...webhook, active: Boolean(webhook.active) }));
+  }
+
+  /**
+   * Cadastrar webhook
+   * O secret só é retornado aqui; guarde-o para validar as assinaturas
+   */
+  async create({ url, description }) {
+    const secret = Array.from(crypto.getRandomValues(new Uint8Array(32)))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+
+    const { meta } = await this.env.DB.prepare(`
+      INSERT INTO webhooks (tenant_id, url, secret, description, active, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 1, ?, ?)
+    `).bind(this.env.tenantId, url, secret, description || null, Date.now(), Date.now()).run();
+
+    return { id: meta.last_row_id, url, description: description || null, active: true, secret };
+  }
+
+  /**
+   * Desativar webhook (o log de entregas é mantido)
+   */
+  async deactivate(webhookId) {
+    const { meta } = await this.env.DB.prepare(`
+      UPDATE webhooks SET active = 0, updated_at = ?
+      WHERE id = ? AND tenant_id = ? AND active = 1
+    `).bind(Date.now(), webhookId, this.env.tenantId).run();
+
+    return meta.changes > 0;
+  }
+
+  /**
+   * Log de entregas de um webhook
+   */
+  async deliveries(webhookId, limit = 100) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT d.* FROM webhook_deliveries d
+      JOIN webhooks w ON d.webhook_id = w.id
+      WHERE d.webhook_id = ? AND w.tenant_id = ?
+      ORDER BY d.created_at DESC
+      LIMIT ?
+    `).bind(webhookId, this.env.tenantId, limit).all();
+
+    return results.map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) }));
+  }
+
+  /**
+   * Enviar evento para todos os webhooks ativos do cliente
+   */
+  async dispatch(event, data) {
+    const { results: webhooks } = await this.env.DB.prepare(`
+      SELECT * FROM webhooks WHERE active = 1 AND tenant_id = ?
+    `).bind(this.env.tenantId).all();
+
+    const payload = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+
+    return await Promise.all(webhooks.map(webhook => this.deliver(webhook, event, payload)));
+  }
+
+  /**
+   * Entregar payload com retry e registrar no log
+   */
+  async deliver(webhook, event, payload) {
+    let attempts = 0;
+    let responseStatus = null;
+    let status = 'delivered';
+    let error = null;
+
+    try {
+      await retryWithBackoff(async () => {
+        attempts++;
+
+        // Assinatura: HMAC-SHA256 de "{timestamp}.{payload}"
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = await hmacSha256Hex(webhook.secret, `${timestamp}.${payload}`);
+
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signature}`
+          },
+          body: payload,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        responseStatus = response.status;
+
+        if (!response.ok) {
+          throw new Error(`Webhook responded with HTTP ${response.status}`);
+        }
+      }, MAX_ATTEMPTS, RETRY_BASE_DELAY_MS);
+    } catch (deliveryError) {
+      console.error(`Webhook ${webhook.id} delivery failed:`, deliveryError);
+      status = 'failed';
+      error = deliveryError.message;
+    }
+
+    await this.env.DB.prepare(`
+      INSERT INTO webhook_deliveries
+        (webhook_id, event, payload, status, attempts, response_status, error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(webhook.id, event, payload, status, attempts, responseStatus, error, Date.now()).run();
+
+    return { webhookId: webhook.id, status, attempts, responseStatus, error };
+  }
+}
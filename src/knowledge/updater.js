@@ -166,9 +166,10 @@ export class KnowledgeUpdater {
    */
   async createBreakingChangeAlert(platform, breakingChanges) {
     await this.env.DB.prepare(`
-      INSERT INTO alerts (campaign_id, alert_type, severity, message, created_at)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO alerts (tenant_id, campaign_id, alert_type, severity, message, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
     `).bind(
+      null, // Alerta do sistema, visto por todos os clientes
       null,
       'breaking_change_detected',
       'critical',
@@ -0,0 +1,273 @@
+/**
+ * Lead Capture
+ * Validação, anti-spam e deduplicação dos leads recebidos
+ */
+
+import { TurnstileIntegration } from '../integrations/turnstile.js';
+import { getUserConfig } from '../utils/config.js';
+import { checkRateLimit } from '../utils/rate-limit.js';
+import { isValidEmail, isValidPhone, normalizePhoneBR } from '../utils/helpers.js';
+
+// Campo escondido no formulário: humanos deixam vazio, bots preenchem
+export const HONEYPOT_FIELD = 'website';
+
+// Checkboxes LGPD do formulário
+export const PRIVACY_FIELD = 'aceite_privacidade'; // Obrigatório: ciência da Política de Privacidade
+export const TRACKING_CONSENT_FIELD = 'consentimento_anuncios'; // Opcional: envio às plataformas de anúncios
+
+// Campos de atribuição aceitos do navegador (coluna em leads => tamanho máximo)
+const ATTRIBUTION_FIELDS = {
+  utm_source: 255,
+  utm_medium: 255,
+  utm_campaign: 255,
+  utm_term: 255,
+  utm_content: 255,
+  gclid: 255,
+  gbraid: 255,
+  wbraid: 255,
+  fbclid: 500,
+  landing_url: 2000,
+  referrer: 2000
+};
+
+export const DEFAULT_LEAD_CAPTURE_SETTINGS = {
+  dedupWindowHours: 24,
+  rateLimit: 5, // Envios por IP na janela
+  rateLimitWindowSeconds: 600
+};
+
+// Campos de texto do formulário (quando enviados, precisam ser strings)
+const TEXT_FIELDS = ['nome', 'email', 'telefone', 'mensagem', 'produto', 'campaignId', 'pageId', HONEYPOT_FIELD, 'cf-turnstile-response'];
+
+/**
+ * Validar o formato do corpo do /api/lead (antes do honeypot e do Turnstile)
+ * Retorna mensagem de erro ou null
+ */
+export function validateLeadBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Dados do formulário inválidos';
+  }
+
+  const invalid = TEXT_FIELDS.find(field => body[field] != null && typeof body[field] !== 'string');
+  if (invalid) {
+    return `Campo inválido: ${invalid}`;
+  }
+
+  return null;
+}
+
+export class LeadCapture {
+  constructor(env) {
+    this.env = env;
+    this.turnstile = new TurnstileIntegration(env);
+  }
+
+  /**
+   * Configuração da captura de leads
+   */
+  async getSettings() {
+    const settings = await getUserConfig(this.env, 'lead_capture', {});
+    return { ...DEFAULT_LEAD_CAPTURE_SETTINGS, ...settings };
+  }
+
+  /**
+   * Rate limit por IP
+   */
+  async checkRateLimit(ip) {
+    const { rateLimit, rateLimitWindowSeconds } = await this.getSettings();
+
+    return await checkRateLimit(this.env.CACHE, `lead:${ip || 'unknown'}`, {
+      limit: rateLimit,
+      windowSeconds: rateLimitWindowSeconds
+    });
+  }
+
+  /**
+   * Honeypot preenchido = bot
+   */
+  isHoneypotFilled(body) {
+    return Boolean(body[HONEYPOT_FIELD]);
+  }
+
+  /**
+   * Verificar Turnstile (ignorado se TURNSTILE_SECRET_KEY não estiver configurado)
+   */
+  async verifyTurnstile(token, ip) {
+    if (!this.turnstile.isEnabled()) {
+      return true;
+    }
+
+    const result = await this.turnstile.verify(token, ip);
+    return result.success;
+  }
+
+  /**
+   * Validar e normalizar os campos do lead
+   * Retorna { lead } ou { error }
+   */
+  normalize(body) {
+    const { nome, email, telefone, mensagem, produto, campaignId, utm, attribution, tracking } = body;
+
+    if (!nome || !email || !telefone) {
+      return { error: 'Nome, email e telefone são obrigatórios' };
+    }
+
+    if (typeof nome !== 'string' || nome.trim().length < 2 || nome.length > 200) {
+      return { error: 'Nome inválido' };
+    }
+
+    if (typeof email !== 'string' || !isValidEmail(email.trim()) || email.length > 254) {
+      return { error: 'E-mail inválido' };
+    }
+
+    if (typeof telefone !== 'string' || !isValidPhone(telefone)) {
+      return { error: 'Telefone inválido. Informe DDD + número' };
+    }
+
+    if (!isChecked(body[PRIVACY_FIELD])) {
+      return { error: 'É necessário aceitar a Política de Privacidade' };
+    }
+
+    const trackingConsent = isChecked(body[TRACKING_CONSENT_FIELD]);
+
+    return {
+      lead: {
+        nome: nome.trim(),
+        email: email.trim().toLowerCase(),
+        telefone: normalizePhoneBR(telefone),
+        mensagem: typeof mensagem === 'string' ? mensagem.trim().slice(0, 5000) : '',
+        produto: typeof produto === 'string' ? produto.trim() : '',
+        campaignId: typeof campaignId === 'string' ? campaignId : null,
+        attribution: normalizeAttribution(attribution, utm),
+        createdAt: Date.now(),
+        consent: {
+          legalBasis: 'pre_contract',
+          policyVersion: this.env.PRIVACY_POLICY_VERSION || null,
+          tracking: trackingConsent
+        },
+        // Identificadores do navegador para deduplicar pixel x Conversions API (só com consentimento)
+        tracking: !trackingConsent ? {} : {
+          eventId: optionalString(tracking?.eventId, 100),
+          fbp: optionalString(tracking?.fbp, 255),
+          fbc: optionalString(tracking?.fbc, 500),
+          pageUrl: optionalString(tracking?.pageUrl, 2000),
+          gaClientId: matchString(tracking?.gaClientId, /^\d+\.\d+$/),
+          gaSessionId: matchString(tracking?.gaSessionId, /^\d+$/)
+        }
+      }
+    };
+  }
+
+  /**
+   * Buscar lead com mesmo e-mail ou telefone dentro da janela de deduplicação
+   */
+  async findDuplicate(lead) {
+    const { dedupWindowHours } = await this.getSettings();
+
+    return await this.env.DB.prepare(`
+      SELECT id FROM leads
+      WHERE tenant_id = ? AND (email = ? OR telefone = ?) AND created_at > ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).bind(
+      this.env.tenantId,
+      lead.email,
+      lead.telefone,
+      Date.now() - dedupWindowHours * 60 * 60 * 1000
+    ).first();
+  }
+
+  /**
+   * Resolver campanha do lead pelo campaignId do formulário ou pelo utm_campaign
+   * Aceita o ID interno, o ID da campanha na plataforma ou o nome
+   */
+  async resolveCampaignId(lead) {
+    const candidates = [lead.campaignId, lead.attribution.utm_campaign].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const campaign = await this.env.DB.prepare(`
+        SELECT id FROM campaigns
+        WHERE tenant_id = ?2 AND (id = ?1 OR campaign_id = ?1 OR name = ?1)
+        ORDER BY id = ?1 DESC, created_at DESC
+        LIMIT 1
+      `).bind(candidate, this.env.tenantId).first();
+
+      if (campaign) {
+        return campaign.id;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Salvar lead no D1
+   * Os identificadores de navegador ficam em metadata para as conversões offline
+   */
+  async save(lead) {
+    const columns = Object.keys(ATTRIBUTION_FIELDS);
+
+    const { meta } = await this.env.DB.prepare(`
+      INSERT INTO leads (tenant_id, campaign_id, nome, email, telefone, mensagem, produto,
+                         ${columns.join(', ')}, value, metadata,
+                         legal_basis, privacy_policy_version, consent_at, consent_tracking, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ${columns.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      this.env.tenantId,
+      lead.campaignId,
+      lead.nome,
+      lead.email,
+      lead.telefone,
+      lead.mensagem,
+      lead.produto,
+      ...columns.map(column => lead.attribution[column]),
+      lead.value ?? null,
+      JSON.stringify({ tracking: lead.tracking }),
+      lead.consent.legalBasis,
+      lead.consent.policyVersion,
+      lead.createdAt,
+      lead.consent.tracking ? 1 : 0,
+      lead.createdAt
+    ).run();
+
+    return meta.last_row_id;
+  }
+}
+
+/**
+ * Normalizar atribuição enviada pela landing page
+ * utm ({ source, medium, campaign }) é o formato antigo e continua aceito
+ */
+function normalizeAttribution(attribution, utm) {
+  const source = {
+    utm_source: utm?.source,
+    utm_medium: utm?.medium,
+    utm_campaign: utm?.campaign,
+    ...attribution
+  };
+
+  return Object.fromEntries(
+    Object.entries(ATTRIBUTION_FIELDS).map(([field, maxLength]) => [field, optionalString(source[field], maxLength)])
+  );
+}
+
+/**
+ * Checkbox marcado (FormData envia 'on'; clientes JSON podem enviar true)
+ */
+function isChecked(value) {
+  return value === true || value === 'on' || value === 'true';
+}
+
+/**
+ * String opcional enviada pelo navegador (descarta outros tipos e limita o tamanho)
+ */
+function optionalString(value, maxLength) {
+  return typeof value === 'string' && value ? value.slice(0, maxLength) : null;
+}
+
+/**
+ * String opcional que precisa seguir um formato (ex. client_id do GA4)
+ */
+function matchString(value, pattern) {
+  return typeof value === 'string' && value.length <= 100 && pattern.test(value) ? value : null;
+}
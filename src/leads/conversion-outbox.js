@@ -0,0 +1,245 @@
+/**
+ * Conversion Outbox
+ * Eventos de conversão dos leads (Meta CAPI, GA4) gravados no D1 e enviados fora da requisição
+ * Envio pela fila CONVERSION_QUEUE quando configurada (senão waitUntil), com backoff e dead letter
+ */
+
+import { MetaAdsIntegration } from '../integrations/meta-ads.js';
+import { GA4Integration } from '../integrations/ga4.js';
+import { ApiError } from '../integrations/api-client.js';
+import { Tenants, createTenantContext } from '../tenants/tenants.js';
+
+// Depois disso o evento vai para conversion_dead_letters (max_retries da fila no wrangler.toml precisa ser maior)
+const MAX_ATTEMPTS = 6;
+// 1, 2, 4, 8 e 16 minutos entre as tentativas (sem fila, arredondados para cima pelo cron de 5 minutos)
+const BASE_RETRY_SECONDS = 60;
+const LOCK_MS = 5 * 60 * 1000; // Tempo máximo de um envio em andamento
+const CLOCK_SKEW_MS = 5000; // Tolerância para mensagens da fila que chegam antes de next_attempt_at
+const SWEEP_BATCH_SIZE = 100;
+const SENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // Eventos enviados ficam 30 dias para consulta
+
+// Envio de cada plataforma com o contexto do cliente (erros lançados contam como tentativa falha)
+const SENDERS = {
+  meta: async (tenant, payload) => {
+    await new MetaAdsIntegration(tenant).sendConversionEvent(payload);
+  },
+  ga4: async (tenant, payload) => {
+    await new GA4Integration(tenant).sendEvent(payload);
+  }
+};
+
+export class ConversionOutbox {
+  constructor(env) {
+    this.env = env;
+    this.tenantContexts = new Map();
+  }
+
+  /**
+   * Gravar eventos do lead no outbox
+   * events: [{ platform, eventName, payload }]
+   * Retorna os IDs dos eventos
+   */
+  async add(leadId, events) {
+    const now = Date.now();
+    const eventIds = [];
+
+    for (const { platform, eventName, payload } of events) {
+      const { meta } = await this.env.DB.prepare(`
+        INSERT INTO conversion_events
+          (tenant_id, lead_id, platform, event_name, payload, status, attempts, next_attempt_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+      `).bind(this.env.tenantId, leadId, platform, eventName, JSON.stringify(payload), now, now, now).run();
+
+      eventIds.push(meta.last_row_id);
+    }
+
+    return eventIds;
+  }
+
+  /**
+   * Enviar eventos em segundo plano
+   * Com fila, o consumer envia e reagenda; sem fila, envia direto e o cron refaz as tentativas
+   */
+  async dispatch(eventIds) {
+    if (eventIds.length === 0) {
+      return;
+    }
+
+    try {
+      if (this.env.CONVERSION_QUEUE) {
+        await this.env.CONVERSION_QUEUE.sendBatch(eventIds.map(eventId => ({ body: { eventId } })));
+        return;
+      }
+
+      for (const eventId of eventIds) {
+        await this.deliver(eventId);
+      }
+    } catch (error) {
+      // Eventos continuam pendentes no D1 e são retomados pelo cron
+      console.error('Error dispatching conversion events:', error);
+    }
+  }
+
+  /**
+   * Enviar um evento (uma tentativa)
+   * Retorna { status: 'sent' | 'retry' | 'dead' | 'skipped', retryDelaySeconds?, error? }
+   */
+  async deliver(eventId) {
+    const now = Date.now();
+
+    // Reservar o evento: já enviado, em envio, fora do horário ou excluído (LGPD) é ignorado
+    const { meta } = await this.env.DB.prepare(`
+      UPDATE conversion_events SET locked_until = ?
+      WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?
+        AND (locked_until IS NULL OR locked_until < ?)
+    `).bind(now + LOCK_MS, eventId, now + CLOCK_SKEW_MS, now).run();
+
+    if (meta.changes === 0) {
+      return { status: 'skipped' };
+    }
+
+    const event = await this.env.DB.prepare(`
+      SELECT * FROM conversion_events WHERE id = ?
+    `).bind(eventId).first();
+
+    try {
+      const send = SENDERS[event.platform];
+      if (!send) {
+        throw new Error(`Unsupported conversion platform: ${event.platform}`);
+      }
+
+      await send(await this.tenantContext(event.tenant_id), JSON.parse(event.payload));
+    } catch (error) {
+      console.error(`Conversion event error (${event.platform}, lead ${event.lead_id}):`, error);
+      // Erro definitivo da plataforma (requisição inválida, token revogado) não é repetido
+      const fatal = error instanceof ApiError && !error.retryable;
+      return await this.recordFailure(event, error.message, { fatal });
+    }
+
+    await this.env.DB.prepare(`
+      UPDATE conversion_events
+      SET status = 'sent', attempts = attempts + 1, sent_at = ?, locked_until = NULL, last_error = NULL, updated_at = ?
+      WHERE id = ?
+    `).bind(Date.now(), Date.now(), eventId).run();
+
+    return { status: 'sent' };
+  }
+
+  /**
+   * Registrar tentativa falha: reagendar com backoff ou mover para a dead letter
+   * fatal: vai direto para a dead letter (reenvio manual depois de corrigir a causa)
+   */
+  async recordFailure(event, error, { fatal = false } = {}) {
+    const attempts = event.attempts + 1;
+    const now = Date.now();
+
+    if (fatal || attempts >= MAX_ATTEMPTS) {
+      await this.env.DB.batch([
+        this.env.DB.prepare(`
+          INSERT INTO conversion_dead_letters
+            (tenant_id, lead_id, platform, event_name, payload, attempts, last_error, failed_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(event.tenant_id, event.lead_id, event.platform, event.event_name, event.payload, attempts, error, now),
+        this.env.DB.prepare(`
+          DELETE FROM conversion_events WHERE id = ?
+        `).bind(event.id)
+      ]);
+
+      return { status: 'dead', error };
+    }
+
+    const retryDelaySeconds = BASE_RETRY_SECONDS * 2 ** (attempts - 1);
+
+    await this.env.DB.prepare(`
+      UPDATE conversion_events
+      SET attempts = ?, next_attempt_at = ?, locked_until = NULL, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).bind(attempts, now + retryDelaySeconds * 1000, error, now, event.id).run();
+
+    return { status: 'retry', retryDelaySeconds, error };
+  }
+
+  /**
+   * Retomar eventos pendentes vencidos (cron) e limpar os enviados antigos
+   * Cobre mensagens perdidas da fila e as novas tentativas quando não há fila
+   */
+  async processDue() {
+    const now = Date.now();
+
+    const { results } = await this.env.DB.prepare(`
+      SELECT id FROM conversion_events
+      WHERE status = 'pending' AND next_attempt_at <= ? AND (locked_until IS NULL OR locked_until < ?)
+      ORDER BY next_attempt_at
+      LIMIT ?
+    `).bind(now, now, SWEEP_BATCH_SIZE).all();
+
+    await this.dispatch(results.map(event => event.id));
+
+    await this.env.DB.prepare(`
+      DELETE FROM conversion_events WHERE status = 'sent' AND sent_at < ?
+    `).bind(now - SENT_RETENTION_MS).run();
+
+    return { dispatched: results.length };
+  }
+
+  /**
+   * Eventos na dead letter do cliente (sem o payload, que tem dados pessoais)
+   */
+  async listDeadLetters({ includeReplayed = false, limit = 100 } = {}) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT id, lead_id, platform, event_name, attempts, last_error, failed_at, replayed_at
+      FROM conversion_dead_letters
+      WHERE tenant_id = ? AND (? OR replayed_at IS NULL)
+      ORDER BY failed_at DESC
+      LIMIT ?
+    `).bind(this.env.tenantId, includeReplayed ? 1 : 0, limit).all();
+
+    return results;
+  }
+
+  /**
+   * Reenviar eventos da dead letter (todos os não reenviados, ou só deadLetterId)
+   * Cada um volta ao outbox como evento novo, com as tentativas zeradas
+   */
+  async replay(deadLetterId = null) {
+    const { results: deadLetters } = await this.env.DB.prepare(`
+      SELECT * FROM conversion_dead_letters
+      WHERE tenant_id = ?1 AND replayed_at IS NULL AND (?2 IS NULL OR id = ?2)
+      ORDER BY failed_at
+    `).bind(this.env.tenantId, deadLetterId).all();
+
+    const eventIds = [];
+    for (const deadLetter of deadLetters) {
+      const [eventId] = await this.add(deadLetter.lead_id, [{
+        platform: deadLetter.platform,
+        eventName: deadLetter.event_name,
+        payload: JSON.parse(deadLetter.payload)
+      }]);
+
+      await this.env.DB.prepare(`
+        UPDATE conversion_dead_letters SET replayed_at = ? WHERE id = ?
+      `).bind(Date.now(), deadLetter.id).run();
+
+      eventIds.push(eventId);
+    }
+
+    return { replayed: eventIds.length, eventIds };
+  }
+
+  /**
+   * Contexto do cliente do evento (um por cliente em cada lote)
+   */
+  async tenantContext(tenantId) {
+    if (!this.tenantContexts.has(tenantId)) {
+      const tenant = await new Tenants(this.env).get(tenantId);
+
+      if (!tenant || tenant.status !== 'active') {
+        throw new Error(`Tenant ${tenantId} not found or disabled`);
+      }
+
+      this.tenantContexts.set(tenantId, await createTenantContext(this.env, tenant));
+    }
+
+    return this.tenantContexts.get(tenantId);
+  }
+}
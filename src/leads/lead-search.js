@@ -0,0 +1,200 @@
+/**
+ * Lead Search
+ * Consulta de leads com filtros, paginação por cursor e exportação CSV
+ */
+
+import { LEAD_STATUSES } from './pipeline.js';
+import { DAY_MS } from '../ai-engine/performance.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+const EXPORT_BATCH_SIZE = 500;
+const MAX_EXPORT_ROWS = 20000;
+
+// Colunas do CSV (cabeçalho => campo do lead)
+const CSV_COLUMNS = {
+  id: 'id',
+  data: 'created_at',
+  nome: 'nome',
+  email: 'email',
+  telefone: 'telefone',
+  produto: 'produto',
+  mensagem: 'mensagem',
+  status: 'status',
+  valor: 'value',
+  valor_venda: 'sale_amount',
+  campanha: 'campaign_name',
+  utm_source: 'utm_source',
+  utm_medium: 'utm_medium',
+  utm_campaign: 'utm_campaign',
+  utm_term: 'utm_term',
+  utm_content: 'utm_content',
+  gclid: 'gclid',
+  fbclid: 'fbclid',
+  landing_url: 'landing_url',
+  referrer: 'referrer'
+};
+
+export class LeadSearch {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Buscar uma página de leads (mais recentes primeiro)
+   * Retorna { leads, nextCursor }
+   */
+  async search(filters, { after = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT l.*, c.name as campaign_name
+      FROM leads l
+      LEFT JOIN campaigns c ON l.campaign_id = c.id
+      WHERE (?1 IS NULL OR l.campaign_id = ?1)
+        AND (?2 IS NULL OR l.produto = ?2)
+        AND (?3 IS NULL OR l.created_at >= ?3)
+        AND (?4 IS NULL OR l.created_at < ?4)
+        AND (?5 IS NULL OR l.utm_source = ?5)
+        AND (?6 IS NULL OR l.utm_medium = ?6)
+        AND (?7 IS NULL OR l.utm_campaign = ?7)
+        AND (?8 IS NULL OR l.status = ?8)
+        AND (?9 IS NULL OR l.created_at < ?9 OR (l.created_at = ?9 AND l.id < ?10))
+        AND l.tenant_id = ?12
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ?11
+    `).bind(
+      filters.campaignId,
+      filters.product,
+      filters.from,
+      filters.to,
+      filters.utmSource,
+      filters.utmMedium,
+      filters.utmCampaign,
+      filters.status,
+      after?.createdAt ?? null,
+      after?.id ?? null,
+      limit + 1,
+      this.env.tenantId
+    ).all();
+
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      leads: page.map(formatLead),
+      nextCursor: results.length > limit ? encodeCursor(last) : null
+    };
+  }
+
+  /**
+   * Exportar leads filtrados em CSV (separador ';' e BOM para abrir no Excel)
+   */
+  async exportCSV(filters) {
+    const lines = [Object.keys(CSV_COLUMNS).join(';')];
+    let after = null;
+
+    do {
+      const page = await this.search(filters, { after, limit: EXPORT_BATCH_SIZE });
+
+      for (const lead of page.leads) {
+        lines.push(Object.values(CSV_COLUMNS).map(field => csvCell(
+          field === 'created_at' ? new Date(lead.created_at).toISOString() : lead[field]
+        )).join(';'));
+      }
+
+      after = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+    } while (after && lines.length <= MAX_EXPORT_ROWS);
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+}
+
+/**
+ * Lead no formato da API e dos webhooks
+ */
+export function formatLead(lead) {
+  return {
+    ...lead,
+    metadata: lead.metadata ? JSON.parse(lead.metadata) : null
+  };
+}
+
+/**
+ * Ler filtros e paginação da query string
+ * Retorna { filters, after, limit } ou { error }
+ */
+export function parseLeadQuery(query) {
+  const filters = {
+    campaignId: query.campaignId || null,
+    product: query.product || null,
+    from: null,
+    to: null,
+    utmSource: query.utmSource || null,
+    utmMedium: query.utmMedium || null,
+    utmCampaign: query.utmCampaign || null,
+    status: query.status || null
+  };
+
+  if (filters.status && !LEAD_STATUSES.includes(filters.status)) {
+    return { error: `status must be one of: ${LEAD_STATUSES.join(', ')}` };
+  }
+
+  // Datas YYYY-MM-DD (UTC), ambas inclusivas
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(query[key]) ? Date.parse(`${query[key]}T00:00:00Z`) : NaN;
+    if (Number.isNaN(time)) {
+      return { error: `${key} must be a date (YYYY-MM-DD)` };
+    }
+
+    filters[key] = key === 'to' ? time + DAY_MS : time;
+  }
+
+  const limit = query.limit ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const after = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !after) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { filters, after, limit };
+}
+
+/**
+ * Cursor opaco com a posição do último lead da página
+ */
+function encodeCursor(lead) {
+  return btoa(`${lead.created_at}:${lead.id}`);
+}
+
+/**
+ * Posição do cursor ou null se inválido
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = atob(cursor).split(':').map(Number);
+    return Number.isInteger(createdAt) && Number.isInteger(id) ? { createdAt, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Célula CSV com aspas quando necessário
+ * Texto iniciado por = + - @ tab ou CR ganha ' na frente para não virar fórmula na planilha
+ * (inclusive telefones +55...: o Excel também avalia +5511... e -1+2 como fórmula)
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,88 @@
+/**
+ * Lead Values
+ * Valor de conversão de cada lead, configurado por produto
+ */
+
+import { getUserConfig, setUserConfig } from '../utils/config.js';
+
+export const DEFAULT_LEAD_VALUES = {
+  defaultValue: 150, // R$ por lead quando o produto não tem valor próprio
+  currency: 'BRL',
+  products: {} // { 'Forro de Gesso': 200 }
+};
+
+export class LeadValues {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Configuração de valores
+   */
+  async getSettings() {
+    const settings = await getUserConfig(this.env, 'lead_values', {});
+    return { ...DEFAULT_LEAD_VALUES, ...settings };
+  }
+
+  /**
+   * Atualizar valores (merge parcial; em products, null remove o produto)
+   */
+  async updateSettings(changes) {
+    const settings = await this.getSettings();
+    const products = { ...settings.products, ...changes.products };
+
+    for (const [product, value] of Object.entries(products)) {
+      if (value === null) delete products[product];
+    }
+
+    return await setUserConfig(this.env, 'lead_values', { ...settings, ...changes, products });
+  }
+
+  /**
+   * Valor do lead para um produto (comparação sem diferenciar maiúsculas)
+   */
+  async resolve(product) {
+    const settings = await this.getSettings();
+    const key = Object.keys(settings.products)
+      .find(name => name.toLowerCase() === (product || '').trim().toLowerCase());
+
+    return {
+      value: key ? settings.products[key] : settings.defaultValue,
+      currency: settings.currency
+    };
+  }
+}
+
+/**
+ * Validar alterações nos valores de lead
+ * Retorna mensagem de erro ou null
+ */
+export function validateLeadValues(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_LEAD_VALUES)) {
+      return `Unknown setting: ${key}`;
+    }
+    if (key === 'defaultValue' && !(typeof value === 'number' && value >= 0)) {
+      return 'defaultValue must be a non-negative number';
+    }
+    if (key === 'currency' && !(typeof value === 'string' && /^[A-Z]{3}$/.test(value))) {
+      return 'currency must be an ISO 4217 code (e.g. BRL)';
+    }
+    if (key === 'products') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'products must be an object';
+      }
+      for (const [product, productValue] of Object.entries(value)) {
+        if (productValue !== null && !(typeof productValue === 'number' && productValue >= 0)) {
+          return `Value for ${product} must be a non-negative number or null`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
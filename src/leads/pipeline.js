@@ -0,0 +1,189 @@
+/**
+ * Lead Pipeline
+ * Funil comercial dos leads e envio de conversões offline
+ */
+
+import { MetaAdsIntegration } from '../integrations/meta-ads.js';
+import { GoogleAdsIntegration } from '../integrations/google-ads.js';
+import { LeadValues } from './lead-values.js';
+import { refreshRevenue } from '../ai-engine/performance.js';
+
+export const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+
+// Evento do Meta e campo da conta do Google Ads com a conversion action de cada etapa que gera conversão
+const OFFLINE_CONVERSIONS = {
+  qualified: { metaEvent: 'QualifiedLead', googleActionField: 'qualifiedConversionActionId' },
+  won: { metaEvent: 'Purchase', googleActionField: 'wonConversionActionId' }
+};
+
+export class LeadPipeline {
+  constructor(env) {
+    this.env = env;
+    this.metaAds = new MetaAdsIntegration(env);
+    this.googleAds = new GoogleAdsIntegration(env);
+    this.leadValues = new LeadValues(env);
+  }
+
+  /**
+   * Buscar lead
+   */
+  async get(leadId) {
+    return await this.env.DB.prepare(`
+      SELECT * FROM leads WHERE id = ? AND tenant_id = ?
+    `).bind(leadId, this.env.tenantId).first();
+  }
+
+  /**
+   * Mudar status do lead
+   * qualified/won enviam conversões offline; won registra a venda na receita da campanha
+   */
+  async updateStatus(lead, { status, saleAmount }) {
+    const now = Date.now();
+
+    await this.env.DB.prepare(`
+      UPDATE leads SET status = ?, sale_amount = ?, status_updated_at = ?
+      WHERE id = ?
+    `).bind(
+      status,
+      status === 'won' ? saleAmount : null,
+      now,
+      lead.id
+    ).run();
+
+    const updated = { ...lead, status, sale_amount: status === 'won' ? saleAmount : null, status_updated_at: now };
+
+    // Receita é atribuída ao dia em que o lead foi captado (mesmo dia do gasto que o gerou)
+    if (lead.campaign_id && (status === 'won' || lead.status === 'won')) {
+      await refreshRevenue(this.env, lead.campaign_id, lead.created_at);
+    }
+
+    // Conversões offline só para leads que consentiram com o envio às plataformas (LGPD)
+    const conversions = OFFLINE_CONVERSIONS[status] && lead.consent_tracking
+      ? await this.uploadOfflineConversions(updated)
+      : [];
+
+    return { lead: updated, conversions };
+  }
+
+  /**
+   * Enviar conversões offline da etapa atual (uma vez por lead, plataforma e etapa)
+   */
+  async uploadOfflineConversions(lead) {
+    const config = OFFLINE_CONVERSIONS[lead.status];
+    const value = lead.status === 'won'
+      ? lead.sale_amount
+      : lead.value ?? (await this.leadValues.resolve(lead.produto)).value;
+    const { currency } = await this.leadValues.getSettings();
+
+    const conversions = [];
+
+    // Meta Conversions API
+    if (this.metaAds.pixelId) {
+      conversions.push(await this.recordConversion(lead, 'meta', config.metaEvent, value, async () => {
+        const { tracking = {} } = JSON.parse(lead.metadata || '{}');
+
+        await this.metaAds.sendConversionEvent({
+          eventName: config.metaEvent,
+          eventId: `lead_${lead.id}_${lead.status}`,
+          actionSource: 'system_generated',
+          email: lead.email,
+          phone: lead.telefone,
+          fbp: tracking.fbp,
+          fbc: tracking.fbc,
+          customData: { product: lead.produto, value, currency }
+        });
+      }));
+    }
+
+    // Google Ads (conversão de clique pelo gclid)
+    const conversionActionId = this.env.accounts.google?.[config.googleActionField];
+    if (conversionActionId) {
+      conversions.push(await this.recordConversion(lead, 'google', conversionActionId, value, async () => {
+        if (!lead.gclid) {
+          return 'Lead has no gclid';
+        }
+
+        await this.googleAds.uploadClickConversion({
+          gclid: lead.gclid,
+          conversionActionId,
+          conversionTime: lead.status_updated_at,
+          value,
+          currency,
+          orderId: `lead_${lead.id}_${lead.status}`
+        });
+      }));
+    }
+
+    return conversions;
+  }
+
+  /**
+   * Executar envio e registrar resultado em offline_conversions
+   * send() retorna um motivo quando a conversão deve ser ignorada
+   */
+  async recordConversion(lead, platform, eventName, value, send) {
+    const existing = await this.env.DB.prepare(`
+      SELECT status FROM offline_conversions
+      WHERE lead_id = ? AND platform = ? AND lead_status = ?
+    `).bind(lead.id, platform, lead.status).first();
+
+    if (existing?.status === 'sent') {
+      return { platform, eventName, status: 'sent', alreadySent: true };
+    }
+
+    let status = 'sent';
+    let error = null;
+
+    try {
+      const skipReason = await send();
+      if (skipReason) {
+        status = 'skipped';
+        error = skipReason;
+      }
+    } catch (sendError) {
+      console.error(`Offline conversion error (${platform}, lead ${lead.id}):`, sendError);
+      status = 'failed';
+      error = sendError.message;
+    }
+
+    await this.env.DB.prepare(`
+      INSERT INTO offline_conversions
+        (lead_id, platform, event_name, lead_status, value, status, error, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(lead_id, platform, lead_status) DO UPDATE SET
+        event_name = excluded.event_name,
+        value = excluded.value,
+        status = excluded.status,
+        error = excluded.error,
+        updated_at = excluded.updated_at
+    `).bind(
+      lead.id,
+      platform,
+      eventName,
+      lead.status,
+      value,
+      status,
+      error,
+      Date.now(),
+      Date.now()
+    ).run();
+
+    return { platform, eventName, status, error };
+  }
+}
+
+/**
+ * Validar mudança de status
+ * Retorna mensagem de erro ou null
+ */
+export function validateStatusChange({ status, saleAmount }) {
+  if (!LEAD_STATUSES.includes(status)) {
+    return `status must be one of: ${LEAD_STATUSES.join(', ')}`;
+  }
+
+  if (status === 'won' && !(typeof saleAmount === 'number' && saleAmount > 0)) {
+    return 'saleAmount must be a positive number when status is won';
+  }
+
+  return null;
+}
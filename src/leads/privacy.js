@@ -0,0 +1,210 @@
+/**
+ * Lead Privacy
+ * Solicitações de titulares (LGPD art. 18): exportação e exclusão dos dados de um e-mail/telefone
+ */
+
+import { formatLead } from './lead-search.js';
+import { refreshRevenue } from '../ai-engine/performance.js';
+import { normalizePhoneBR, hmacSha256Hex } from '../utils/helpers.js';
+
+// Arquivos ligados a um lead ficam no R2 em leads/{id}/
+const LEAD_STORAGE_PREFIX = 'leads';
+
+// ID do lead dentro do payload dos webhooks (lead.created)
+const WEBHOOK_LEAD_ID = `json_extract(payload, '$.data.lead.id')`;
+
+export class LeadPrivacy {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Normalizar identificação do titular
+   * Retorna { email, phone } ou null se nenhum identificador válido for informado
+   */
+  normalizeSubject({ email, phone }) {
+    const subject = {
+      email: typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null,
+      phone: typeof phone === 'string' ? normalizePhoneBR(phone) : null
+    };
+
+    return subject.email || subject.phone ? subject : null;
+  }
+
+  /**
+   * Exportar tudo que está guardado sobre o titular
+   */
+  async export(subject, { requestedBy, reason } = {}) {
+    const subjectHash = await this.subjectHash(subject);
+    const leads = await this.findLeads(subject);
+    const leadIds = leads.map(lead => lead.id);
+
+    const data = {
+      leads: leads.map(formatLead),
+      offlineConversions: await this.selectByLeads('offline_conversions', 'lead_id', leadIds),
+      conversionEvents: (await this.selectByLeads('conversion_events', 'lead_id', leadIds))
+        .map(event => ({ ...event, payload: JSON.parse(event.payload) })),
+      conversionDeadLetters: (await this.selectByLeads('conversion_dead_letters', 'lead_id', leadIds))
+        .map(deadLetter => ({ ...deadLetter, payload: JSON.parse(deadLetter.payload) })),
+      webhookDeliveries: (await this.selectByLeads('webhook_deliveries', WEBHOOK_LEAD_ID, leadIds))
+        .map(delivery => ({ ...delivery, payload: JSON.parse(delivery.payload) })),
+      files: await this.listFiles(leadIds)
+    };
+
+    await this.audit('export', subjectHash, leadIds, {
+      leads: data.leads.length,
+      offlineConversions: data.offlineConversions.length,
+      conversionEvents: data.conversionEvents.length,
+      conversionDeadLetters: data.conversionDeadLetters.length,
+      webhookDeliveries: data.webhookDeliveries.length,
+      files: data.files.length
+    }, { requestedBy, reason });
+
+    return { exportedAt: new Date().toISOString(), ...data };
+  }
+
+  /**
+   * Excluir todos os dados do titular (D1 em transação única + arquivos no R2)
+   */
+  async erase(subject, { requestedBy, reason } = {}) {
+    // Calculado antes de excluir: sem a chave, nada é excluído sem registro na auditoria
+    const subjectHash = await this.subjectHash(subject);
+    const subjectLeads = await this.findLeads(subject);
+    const leadIds = subjectLeads.map(lead => lead.id);
+    const ids = JSON.stringify(leadIds);
+
+    const [offlineConversions, conversionEvents, conversionDeadLetters, webhookDeliveries, leads] = await this.env.DB.batch([
+      this.env.DB.prepare(`
+        DELETE FROM offline_conversions WHERE lead_id IN (SELECT value FROM json_each(?))
+      `).bind(ids),
+      this.env.DB.prepare(`
+        DELETE FROM conversion_events WHERE lead_id IN (SELECT value FROM json_each(?))
+      `).bind(ids),
+      this.env.DB.prepare(`
+        DELETE FROM conversion_dead_letters WHERE lead_id IN (SELECT value FROM json_each(?))
+      `).bind(ids),
+      this.env.DB.prepare(`
+        DELETE FROM webhook_deliveries WHERE ${WEBHOOK_LEAD_ID} IN (SELECT value FROM json_each(?))
+      `).bind(ids),
+      this.env.DB.prepare(`
+        DELETE FROM leads WHERE id IN (SELECT value FROM json_each(?))
+      `).bind(ids)
+    ]);
+
+    const files = await this.listFiles(leadIds);
+    for (const key of files) {
+      await this.env.STORAGE.delete(key);
+    }
+
+    // Vendas excluídas deixam de contar na receita da campanha
+    for (const lead of subjectLeads.filter(lead => lead.status === 'won' && lead.campaign_id)) {
+      await refreshRevenue(this.env, lead.campaign_id, lead.created_at);
+    }
+
+    const summary = {
+      leads: leads.meta.changes,
+      offlineConversions: offlineConversions.meta.changes,
+      conversionEvents: conversionEvents.meta.changes,
+      conversionDeadLetters: conversionDeadLetters.meta.changes,
+      webhookDeliveries: webhookDeliveries.meta.changes,
+      files: files.length
+    };
+
+    await this.audit('delete', subjectHash, leadIds, summary, { requestedBy, reason });
+
+    return { deletedAt: new Date().toISOString(), leadIds, deleted: summary };
+  }
+
+  /**
+   * Trilha de auditoria das solicitações
+   */
+  async listRequests(limit = 100) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM data_subject_requests
+      WHERE tenant_id = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).bind(this.env.tenantId, limit).all();
+
+    return results.map(request => ({
+      ...request,
+      lead_ids: JSON.parse(request.lead_ids),
+      summary: JSON.parse(request.summary)
+    }));
+  }
+
+  /**
+   * Leads do titular (por e-mail ou telefone) no cliente
+   */
+  async findLeads(subject) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM leads
+      WHERE tenant_id = ?3 AND ((?1 IS NOT NULL AND email = ?1) OR (?2 IS NOT NULL AND telefone = ?2))
+      ORDER BY created_at
+    `).bind(subject.email, subject.phone, this.env.tenantId).all();
+
+    return results;
+  }
+
+  /**
+   * Linhas de uma tabela ligadas aos leads
+   */
+  async selectByLeads(table, leadIdExpression, leadIds) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM ${table} WHERE ${leadIdExpression} IN (SELECT value FROM json_each(?))
+    `).bind(JSON.stringify(leadIds)).all();
+
+    return results;
+  }
+
+  /**
+   * Arquivos dos leads no R2
+   */
+  async listFiles(leadIds) {
+    const keys = [];
+
+    for (const leadId of leadIds) {
+      let cursor;
+      do {
+        const listing = await this.env.STORAGE.list({ prefix: `${LEAD_STORAGE_PREFIX}/${leadId}/`, cursor });
+        keys.push(...listing.objects.map(object => object.key));
+        cursor = listing.truncated ? listing.cursor : undefined;
+      } while (cursor);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Hash do titular para a auditoria: HMAC com o secret PRIVACY_HASH_KEY
+   * (um SHA-256 simples de e-mail/telefone seria revertido por força bruta)
+   */
+  async subjectHash(subject) {
+    if (!this.env.PRIVACY_HASH_KEY) {
+      throw new Error('PRIVACY_HASH_KEY is not configured');
+    }
+
+    return await hmacSha256Hex(this.env.PRIVACY_HASH_KEY, `${subject.email || ''}|${subject.phone || ''}`);
+  }
+
+  /**
+   * Registrar solicitação (sem guardar o dado pessoal, apenas o hash)
+   */
+  async audit(requestType, subjectHash, leadIds, summary, { requestedBy, reason }) {
+    await this.env.DB.prepare(`
+      INSERT INTO data_subject_requests
+        (tenant_id, request_type, subject_hash, lead_ids, summary, requested_by, reason, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      this.env.tenantId,
+      requestType,
+      subjectHash,
+      JSON.stringify(leadIds),
+      JSON.stringify(summary),
+      requestedBy || null,
+      reason || null,
+      Date.now()
+    ).run();
+  }
+}
+
@@ -0,0 +1,375 @@
+/**
+ * Tenants
+ * Clientes da agência, contas de anúncios de cada um e o contexto usado pelas integrações
+ */
+
+import { encryptText, decryptText, isHttpUrl } from '../utils/helpers.js';
+import { OAuthConnections } from '../auth/oauth.js';
+import { adPlatformAccountFields } from '../integrations/ad-platforms.js';
+
+export const DEFAULT_TENANT_ID = 'default';
+export const TENANT_STATUSES = ['active', 'disabled'];
+
+// Cache (CACHE) das origens de formulários externos de todos os clientes, lidas pelo CORS a cada requisição
+const LANDING_ORIGINS_CACHE_KEY = 'tenant_landing_origins';
+const LANDING_ORIGINS_CACHE_TTL_SECONDS = 300;
+
+// Campos de cada conta (campo => secret do Worker usado pelo cliente padrão)
+// Plataformas de anúncios declaram os seus em ad-platforms.js; GA4 é só mensuração
+// accountId fica em claro; os demais vão criptografados em ad_accounts.credentials
+const ACCOUNT_FIELDS = {
+  ...adPlatformAccountFields(),
+  ga4: {
+    accountId: 'GA4_MEASUREMENT_ID',
+    apiSecret: 'GA4_API_SECRET',
+    propertyId: 'GA4_PROPERTY_ID',
+    clientId: 'GOOGLE_CLIENT_ID',
+    clientSecret: 'GOOGLE_CLIENT_SECRET',
+    refreshToken: 'GOOGLE_REFRESH_TOKEN'
+  }
+};
+
+export const AD_ACCOUNT_PLATFORMS = Object.keys(ACCOUNT_FIELDS);
+
+export class Tenants {
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Listar clientes (opcionalmente só um status)
+   */
+  async list({ status = null } = {}) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT * FROM tenants
+      WHERE (?1 IS NULL OR status = ?1)
+      ORDER BY created_at
+    `).bind(status).all();
+
+    return results;
+  }
+
+  /**
+   * Buscar cliente
+   */
+  async get(tenantId) {
+    return await this.env.DB.prepare(`
+      SELECT * FROM tenants WHERE id = ?
+    `).bind(tenantId).first();
+  }
+
+  /**
+   * Cliente de um lead público: o da landing page que enviou o formulário
+   * Formulários externos (sem pageId): o cliente dono da origem; sem nenhum dos dois vale o cliente padrão
+   * O corpo do lead não escolhe o cliente (seria só informar o tenantId de outro)
+   */
+  async resolveForLead({ pageId }, origin) {
+    if (typeof pageId === 'string' && pageId) {
+      const tenant = await this.env.DB.prepare(`
+        SELECT t.* FROM tenants t
+        JOIN generated_pages p ON p.tenant_id = t.id
+        WHERE p.id = ?
+      `).bind(pageId).first();
+
+      if (tenant) {
+        return tenant;
+      }
+    }
+
+    if (origin) {
+      const tenant = await this.env.DB.prepare(`
+        SELECT t.* FROM tenants t
+        JOIN tenant_landing_origins o ON o.tenant_id = t.id
+        WHERE o.origin = ?
+      `).bind(origin).first();
+
+      if (tenant) {
+        return tenant;
+      }
+    }
+
+    return await this.get(DEFAULT_TENANT_ID);
+  }
+
+  /**
+   * Criar cliente
+   * Retorna null se o ID já existir
+   */
+  async create({ id, name }) {
+    const now = Date.now();
+
+    const { meta } = await this.env.DB.prepare(`
+      INSERT INTO tenants (id, name, status, created_at, updated_at)
+      VALUES (?, ?, 'active', ?, ?)
+      ON CONFLICT(id) DO NOTHING
+    `).bind(id, name, now, now).run();
+
+    return meta.changes > 0 ? await this.get(id) : null;
+  }
+
+  /**
+   * Atualizar nome e/ou status do cliente
+   */
+  async update(tenantId, { name, status }) {
+    const { meta } = await this.env.DB.prepare(`
+      UPDATE tenants
+      SET name = COALESCE(?, name), status = COALESCE(?, status), updated_at = ?
+      WHERE id = ?
+    `).bind(name ?? null, status ?? null, Date.now(), tenantId).run();
+
+    return meta.changes > 0 ? await this.get(tenantId) : null;
+  }
+
+  /**
+   * Origens dos formulários externos do cliente
+   */
+  async listLandingOrigins(tenantId) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT origin FROM tenant_landing_origins WHERE tenant_id = ? ORDER BY origin
+    `).bind(tenantId).all();
+
+    return results.map(row => row.origin);
+  }
+
+  /**
+   * Origens dos formulários externos de todos os clientes (aceitas pelo CORS e em /api/lead)
+   */
+  async allLandingOrigins() {
+    const cached = await this.env.CACHE.get(LANDING_ORIGINS_CACHE_KEY, 'json');
+    if (cached) {
+      return cached;
+    }
+
+    const { results } = await this.env.DB.prepare('SELECT origin FROM tenant_landing_origins').all();
+    const origins = results.map(row => row.origin);
+
+    await this.env.CACHE.put(LANDING_ORIGINS_CACHE_KEY, JSON.stringify(origins), {
+      expirationTtl: LANDING_ORIGINS_CACHE_TTL_SECONDS
+    });
+
+    return origins;
+  }
+
+  /**
+   * Substituir as origens dos formulários externos do cliente
+   * Retorna null se alguma origem já pertencer a outro cliente
+   */
+  async setLandingOrigins(tenantId, origins) {
+    const unique = [...new Set(origins)];
+
+    if (unique.length) {
+      const taken = await this.env.DB.prepare(`
+        SELECT origin FROM tenant_landing_origins
+        WHERE tenant_id != ? AND origin IN (${unique.map(() => '?').join(', ')})
+      `).bind(tenantId, ...unique).first();
+
+      if (taken) {
+        return null;
+      }
+    }
+
+    const now = Date.now();
+    await this.env.DB.batch([
+      this.env.DB.prepare('DELETE FROM tenant_landing_origins WHERE tenant_id = ?').bind(tenantId),
+      ...unique.map(origin => this.env.DB.prepare(`
+        INSERT INTO tenant_landing_origins (origin, tenant_id, created_at) VALUES (?, ?, ?)
+      `).bind(origin, tenantId, now))
+    ]);
+    await this.env.CACHE.delete(LANDING_ORIGINS_CACHE_KEY);
+
+    return unique.sort();
+  }
+
+  /**
+   * Contas de anúncios do cliente (sem credenciais)
+   */
+  async listAccounts(tenantId) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT id, tenant_id, platform, account_id, name, created_at, updated_at
+      FROM ad_accounts
+      WHERE tenant_id = ?
+      ORDER BY platform
+    `).bind(tenantId).all();
+
+    return results;
+  }
+
+  /**
+   * Cadastrar ou substituir a conta de uma plataforma (credenciais criptografadas)
+   */
+  async setAccount(tenantId, platform, { accountId, name = null, credentials }) {
+    const fields = Object.keys(ACCOUNT_FIELDS[platform]).filter(field => field !== 'accountId');
+    const stored = Object.fromEntries(fields.map(field => [field, credentials[field] ?? null]));
+    const encrypted = await encryptText(this.encryptionKey(), JSON.stringify(stored));
+    const now = Date.now();
+
+    await this.env.DB.prepare(`
+      INSERT INTO ad_accounts (tenant_id, platform, account_id, name, credentials, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(tenant_id, platform) DO UPDATE SET
+        account_id = excluded.account_id,
+        name = excluded.name,
+        credentials = excluded.credentials,
+        updated_at = excluded.updated_at
+    `).bind(tenantId, platform, accountId, name, encrypted, now, now).run();
+
+    return { tenantId, platform, accountId, name };
+  }
+
+  /**
+   * Remover a conta de uma plataforma
+   */
+  async removeAccount(tenantId, platform) {
+    const { meta } = await this.env.DB.prepare(`
+      DELETE FROM ad_accounts WHERE tenant_id = ? AND platform = ?
+    `).bind(tenantId, platform).run();
+
+    return meta.changes > 0;
+  }
+
+  /**
+   * Contas do cliente com credenciais descriptografadas: { meta: { accountId, accessToken, ... }, ... }
+   */
+  async loadAccounts(tenantId) {
+    const { results } = await this.env.DB.prepare(`
+      SELECT platform, account_id, credentials FROM ad_accounts WHERE tenant_id = ?
+    `).bind(tenantId).all();
+
+    const accounts = {};
+    for (const account of results) {
+      const credentials = JSON.parse(await decryptText(this.encryptionKey(), account.credentials));
+      accounts[account.platform] = { accountId: account.account_id, ...credentials };
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Chave AES-GCM das credenciais (secret CREDENTIALS_ENCRYPTION_KEY)
+   */
+  encryptionKey() {
+    if (!this.env.CREDENTIALS_ENCRYPTION_KEY) {
+      throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+    }
+
+    return this.env.CREDENTIALS_ENCRYPTION_KEY;
+  }
+}
+
+/**
+ * Contexto do cliente: env do Worker + tenantId + contas com credenciais
+ * Todas as classes que recebem env aceitam o contexto; as integrações leem as credenciais de accounts
+ */
+export async function createTenantContext(env, tenant) {
+  const accounts = await new Tenants(env).loadAccounts(tenant.id);
+
+  // Cliente padrão usa os secrets do Worker nas plataformas sem conta cadastrada
+  if (tenant.id === DEFAULT_TENANT_ID) {
+    for (const platform of AD_ACCOUNT_PLATFORMS) {
+      accounts[platform] ??= accountFromEnv(env, platform);
+    }
+  }
+
+  // Conexões OAuth ativas têm prioridade sobre os tokens estáticos das contas
+  const tokens = await new OAuthConnections(env).loadTokens(tenant.id);
+  if (tokens.meta && accounts.meta) {
+    accounts.meta = { ...accounts.meta, accessToken: tokens.meta.accessToken, oauth: true };
+  }
+  if (tokens.google) {
+    const google = {
+      clientId: env.GOOGLE_ADS_CLIENT_ID,
+      clientSecret: env.GOOGLE_ADS_CLIENT_SECRET,
+      refreshToken: tokens.google.refreshToken
+    };
+    for (const platform of ['google', 'ga4']) {
+      if (accounts[platform]) {
+        accounts[platform] = { ...accounts[platform], ...google };
+      }
+    }
+  }
+
+  return { ...env, tenantId: tenant.id, tenant, accounts };
+}
+
+/**
+ * Validar cliente recebido pela API
+ * Retorna mensagem de erro ou null
+ */
+export function validateTenant({ id, name, status }, { creating = false } = {}) {
+  if (creating && !(typeof id === 'string' && /^[a-z0-9][a-z0-9-]{1,62}$/.test(id))) {
+    return 'id must be a slug (lowercase letters, digits and hyphens, 2-63 characters)';
+  }
+
+  if ((creating || name !== undefined) && !(typeof name === 'string' && name.trim())) {
+    return 'name is required';
+  }
+
+  if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+    return `status must be one of: ${TENANT_STATUSES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validar origens dos formulários externos recebidas pela API (ex.: https://lojacentro.com.br)
+ * Retorna mensagem de erro ou null
+ */
+export function validateLandingOrigins(origins) {
+  if (!Array.isArray(origins)) {
+    return 'origins must be a list';
+  }
+
+  const invalid = origins.find(origin => !isHttpUrl(origin) || new URL(origin).origin !== origin);
+  if (invalid !== undefined) {
+    return `origins must be http(s) origins without path or trailing slash: ${invalid}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validar conta de anúncios recebida pela API
+ * Retorna mensagem de erro ou null
+ */
+export function validateAdAccount(platform, { accountId, name, credentials }) {
+  if (!AD_ACCOUNT_PLATFORMS.includes(platform)) {
+    return `platform must be one of: ${AD_ACCOUNT_PLATFORMS.join(', ')}`;
+  }
+
+  if (typeof accountId !== 'string' || !accountId.trim()) {
+    return 'accountId is required';
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    return 'name must be a string';
+  }
+
+  if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    return 'credentials must be an object';
+  }
+
+  const fields = Object.keys(ACCOUNT_FIELDS[platform]).filter(field => field !== 'accountId');
+  for (const [field, value] of Object.entries(credentials)) {
+    if (!fields.includes(field)) {
+      return `Unknown ${platform} credential: ${field} (expected: ${fields.join(', ')})`;
+    }
+    if (value !== null && typeof value !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Conta de uma plataforma a partir dos secrets do Worker (null se não configurada)
+ */
+function accountFromEnv(env, platform) {
+  const fields = ACCOUNT_FIELDS[platform];
+  if (!Object.values(fields).some(variable => env[variable])) {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries(fields).map(([field, variable]) => [field, env[variable]]));
+}
@@ -0,0 +1,39 @@
+/**
+ * Configurações do usuário (tabela user_config)
+ * Cada cliente tem suas configurações; o cliente padrão mantém as chaves sem prefixo
+ */
+
+import { DEFAULT_TENANT_ID } from '../tenants/tenants.js';
+
+/**
+ * Ler configuração (valor JSON) ou retornar o padrão
+ */
+export async function getUserConfig(env, key, defaultValue = null) {
+  const row = await env.DB.prepare(`
+    SELECT value FROM user_config WHERE key = ?
+  `).bind(tenantConfigKey(env, key)).first();
+
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+/**
+ * Salvar configuração (valor JSON)
+ */
+export async function setUserConfig(env, key, value) {
+  await env.DB.prepare(`
+    INSERT INTO user_config (key, value, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      value = excluded.value,
+      updated_at = excluded.updated_at
+  `).bind(tenantConfigKey(env, key), JSON.stringify(value), Date.now()).run();
+
+  return value;
+}
+
+/**
+ * Chave da configuração no escopo do cliente (user_config e KV CONFIG)
+ */
+export function tenantConfigKey(env, key) {
+  return env.tenantId && env.tenantId !== DEFAULT_TENANT_ID ? `tenant:${env.tenantId}:${key}` : key;
+}
@@ -9,6 +9,67 @@ export function generateId() {
   return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Hash SHA-256 em hexadecimal
+ */
+export async function sha256Hex(text) {
+  const data = new TextEncoder().encode(text);
+  const hash = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hash))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * HMAC-SHA256 em hexadecimal
+ */
+export async function hmacSha256Hex(secret, text) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Criptografar texto com AES-GCM (chave de 256 bits em base64)
+ * Retorna "iv.ciphertext" em base64
+ */
+export async function encryptText(keyBase64, text) {
+  const key = await importAesKey(keyBase64);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return `${toBase64(iv)}.${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Descriptografar texto gerado por encryptText
+ */
+export async function decryptText(keyBase64, payload) {
+  const [iv, ciphertext] = payload.split('.').map(fromBase64);
+  const key = await importAesKey(keyBase64);
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+  return new TextDecoder().decode(plaintext);
+}
+
+function importAesKey(keyBase64) {
+  return crypto.subtle.importKey('raw', fromBase64(keyBase64), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
 /**
  * Formatar moeda BRL
  */
@@ -39,16 +100,71 @@ export function calculateMetrics(data) {
  * Validar email
  */
 export function isValidEmail(email) {
+  if (typeof email !== 'string') return false;
   const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return regex.test(email);
 }
 
+/**
+ * Validar URL http(s)
+ */
+export function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Escapar texto para HTML
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Validar telefone brasileiro
  */
 export function isValidPhone(phone) {
-  const cleaned = phone.replace(/\D/g, '');
-  return cleaned.length >= 10 && cleaned.length <= 11;
+  return normalizePhoneBR(phone) !== null;
+}
+
+/**
+ * Normalizar telefone brasileiro para E.164 (+55DDNNNNNNNNN)
+ * Retorna null se não for um número válido
+ */
+export function normalizePhoneBR(phone) {
+  if (typeof phone !== 'string') return null;
+
+  let digits = phone.replace(/\D/g, '');
+
+  // Código do país (+55 / 0055)
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) digits = digits.slice(2);
+
+  // Discagem interurbana: 0 + DDD ou 0 + operadora + DDD
+  if (digits.startsWith('0')) {
+    digits = digits.slice(1);
+    if (digits.length === 12 || digits.length === 13) digits = digits.slice(2);
+  }
+
+  // DDD (11-99) + 8 dígitos (fixo) ou 9 dígitos começando com 9 (celular)
+  const valid = /^[1-9][1-9][2-9]\d{7}$/.test(digits) || /^[1-9][1-9]9\d{8}$/.test(digits);
+
+  return valid ? `+55${digits}` : null;
+}
+
+/**
+ * Limitar valor entre min e max
+ */
+export function clamp(value, { min, max }) {
+  return Math.min(Math.max(value, min), max);
 }
 
 /**
@@ -60,14 +176,15 @@ export function sleep(ms) {
 
 /**
  * Retry com exponential backoff
+ * shouldRetry(error) decide se o erro vale nova tentativa; error.retryAfterMs substitui o backoff
  */
-export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, { shouldRetry = () => true } = {}) {
   for (let i = 0; i < maxRetries; i++) {
     try {
       return await fn();
     } catch (error) {
-      if (i === maxRetries - 1) throw error;
-      const delay = baseDelay * Math.pow(2, i);
+      if (i === maxRetries - 1 || !shouldRetry(error)) throw error;
+      const delay = error.retryAfterMs ?? baseDelay * Math.pow(2, i);
       await sleep(delay);
     }
   }
@@ -0,0 +1,26 @@
+/**
+ * Rate limiting com KV (janela fixa)
+ */
+
+/**
+ * Incrementar contador e verificar limite
+ * Retorna { allowed, remaining, resetAt }
+ */
+export async function checkRateLimit(kv, key, { limit, windowSeconds }) {
+  const windowStart = Math.floor(Date.now() / 1000 / windowSeconds) * windowSeconds;
+  const windowKey = `ratelimit:${key}:${windowStart}`;
+
+  const count = parseInt(await kv.get(windowKey)) || 0;
+  const resetAt = (windowStart + windowSeconds) * 1000;
+
+  if (count >= limit) {
+    return { allowed: false, remaining: 0, resetAt };
+  }
+
+  // KV exige TTL mínimo de 60 segundos
+  await kv.put(windowKey, String(count + 1), {
+    expirationTtl: Math.max(60, windowSeconds)
+  });
+
+  return { allowed: true, remaining: limit - count - 1, resetAt };
+}
@@ -0,0 +1,436 @@
+/**
+ * Conformidade dos adaptadores de plataformas de anúncios
+ * O mesmo conjunto de testes roda contra cada plataforma registrada, com a API simulada via fetch
+ * Nova plataforma: registrar em ad-platforms.js e adicionar a API simulada em FAKE_APIS
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { InvalidRequestError } from '../src/integrations/api-client.js';
+import { CreationSaga } from '../src/integrations/creation-saga.js';
+import {
+  AD_PLATFORM_IDS,
+  AD_PLATFORM_METHODS,
+  createAdPlatform,
+  isAdPlatform,
+  validateAdPlatform,
+  validateDailyBudget
+} from '../src/integrations/ad-platforms.js';
+
+const CAMPAIGN_ID = '777';
+
+// Campos de Pesquisa da criação de campanha (ignorados por plataformas sem anúncios de Pesquisa)
+const SEARCH = {
+  finalUrl: 'https://example.com/forro',
+  headlines: ['Forro de Gesso', 'Orçamento Grátis', 'Instalação Profissional'],
+  descriptions: ['Forro de gesso com instalação profissional.', 'Parcele em até 10x sem juros.']
+};
+
+// API simulada de cada plataforma: conta do cliente + resposta para cada requisição + erro no formato da plataforma
+const FAKE_APIS = {
+  meta: {
+    account: { accountId: '111', accessToken: 'token', pixelId: 'pixel', pageId: 'page' },
+    invalidRequest: {
+      status: 400,
+      body: { error: { message: 'Invalid parameter', type: 'OAuthException', code: 100, error_subcode: 1487390, fbtrace_id: 'trace' } }
+    },
+    // Passo da criação da campanha que falha no teste de rollback (ad set, depois da campanha)
+    failsCreation: (url, init) => init.method === 'POST' && url.endsWith('/act_111/adsets'),
+    // Recursos registrados na saga por uma criação completa, e os removidos quando o ad set falha
+    createdResources: [{ resourceType: 'campaign', resourceId: CAMPAIGN_ID }, { resourceType: 'adset', resourceId: '888' }],
+    rolledBack: [{ resourceType: 'campaign', resourceId: CAMPAIGN_ID }],
+    respond(url, init) {
+      const { pathname } = new URL(url);
+
+      if (init.method === 'DELETE') return { success: true };
+      if (init.method === 'POST') {
+        if (pathname.endsWith('/act_111/campaigns')) return { id: CAMPAIGN_ID };
+        if (pathname.endsWith('/act_111/adsets')) return { id: '888' };
+        return { success: true };
+      }
+
+      if (pathname.endsWith(`/${CAMPAIGN_ID}/insights`)) {
+        return { data: [{ impressions: '1000', clicks: '40', spend: '25.50', conversions: '3' }] };
+      }
+      if (pathname.endsWith('/act_111/campaigns')) {
+        return {
+          data: [
+            { id: CAMPAIGN_ID, name: 'Forro - Conversões', status: 'ACTIVE', daily_budget: '5000' },
+            { id: '778', name: 'Drywall', status: 'PAUSED', daily_budget: '2000' },
+            { id: '779', name: 'Antiga', status: 'ARCHIVED' }
+          ]
+        };
+      }
+      if (pathname.endsWith('/act_111')) return { timezone_name: 'America/Sao_Paulo' };
+      if (pathname.endsWith(`/${CAMPAIGN_ID}`)) return { daily_budget: '5000', lifetime_budget: '0' };
+      return { data: [] };
+    }
+  },
+
+  google: {
+    account: {
+      accountId: '222',
+      developerToken: 'dev',
+      clientId: 'client',
+      clientSecret: 'secret',
+      refreshToken: 'refresh'
+    },
+    invalidRequest: {
+      status: 400,
+      body: {
+        error: {
+          code: 400,
+          status: 'INVALID_ARGUMENT',
+          message: 'Request contains an invalid argument.',
+          details: [{
+            '@type': 'type.googleapis.com/google.ads.googleads.v22.errors.GoogleAdsFailure',
+            errors: [{ errorCode: { campaignError: 'DUPLICATE_CAMPAIGN_NAME' }, message: 'Campaign name already exists.' }],
+            requestId: 'request'
+          }]
+        }
+      }
+    },
+    // Mutate atômico: a falha não deixa nada criado
+    failsCreation: (url) => url.endsWith('/googleAds:mutate'),
+    createdResources: [{ resourceType: 'campaignBudget', resourceId: '1' }, { resourceType: 'campaign', resourceId: CAMPAIGN_ID }],
+    rolledBack: [],
+    respond(url, init) {
+      if (url.startsWith('https://oauth2.googleapis.com/token')) {
+        return { access_token: 'access', expires_in: 3600 };
+      }
+
+      if (url.endsWith('/googleAds:mutate')) {
+        return {
+          mutateOperationResponses: [
+            { campaignBudgetResult: { resourceName: 'customers/222/campaignBudgets/1' } },
+            { campaignResult: { resourceName: `customers/222/campaigns/${CAMPAIGN_ID}` } },
+            { adGroupResult: { resourceName: 'customers/222/adGroups/9' } }
+          ]
+        };
+      }
+      if (url.endsWith('/campaigns:mutate')) return { results: [{ resourceName: `customers/222/campaigns/${CAMPAIGN_ID}` }] };
+      if (url.endsWith(':mutate')) return { results: [] };
+
+      const { query } = JSON.parse(init.body);
+      if (query.includes('customer.time_zone')) {
+        return { results: [{ customer: { timeZone: 'America/Sao_Paulo' } }] };
+      }
+      if (query.includes('metrics.impressions')) {
+        return { results: [{ metrics: { impressions: '1000', clicks: '40', costMicros: '25500000', conversions: 3 } }] };
+      }
+      if (query.includes('campaign_budget.amount_micros')) {
+        return {
+          results: [
+            { campaign: { id: CAMPAIGN_ID, name: 'Forro - Conversões', status: 'ENABLED' }, campaignBudget: { amountMicros: '50000000' } },
+            { campaign: { id: '778', name: 'Drywall', status: 'PAUSED' }, campaignBudget: { amountMicros: '20000000' } }
+          ]
+        };
+      }
+      return { results: [] };
+    }
+  }
+};
+
+// KV em memória (CONFIG) do contexto do cliente
+function memoryKv() {
+  const values = new Map();
+  return {
+    async get(key) { return values.get(key) ?? null; },
+    async put(key, value) { values.set(key, value); },
+    async delete(key) { values.delete(key); }
+  };
+}
+
+describe('ad platform registry', () => {
+  it('has a fake API for every registered platform', () => {
+    expect(Object.keys(FAKE_APIS).sort()).toEqual([...AD_PLATFORM_IDS].sort());
+  });
+
+  it('rejects unsupported platforms', () => {
+    expect(isAdPlatform('tiktok')).toBe(false);
+    expect(isAdPlatform('toString')).toBe(false);
+    expect(validateAdPlatform('tiktok')).toMatch(/platform must be one of/);
+    expect(() => createAdPlatform('tiktok', { accounts: {} })).toThrow('Unsupported ad platform: tiktok');
+  });
+
+  it('rejects manual daily budgets outside the platform limits', () => {
+    for (const platform of AD_PLATFORM_IDS) {
+      expect(validateDailyBudget(platform, 100)).toBeNull();
+      expect(validateDailyBudget(platform, 0.5)).toMatch(/between 1 and 10000/);
+      expect(validateDailyBudget(platform, 50000)).toMatch(/between 1 and 10000/);
+      expect(validateDailyBudget(platform, '100')).toMatch(/between 1 and 10000/);
+    }
+  });
+});
+
+describe.each(AD_PLATFORM_IDS)('%s adapter conformance', (platform) => {
+  const fakeApi = FAKE_APIS[platform];
+  let adapter;
+  let calls;
+
+  let failRequests;
+
+  beforeEach(() => {
+    calls = [];
+    failRequests = () => false;
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+      calls.push({ url: String(url), method: init.method || 'GET' });
+
+      const isToken = String(url).startsWith('https://oauth2.googleapis.com/token');
+      const { status, body } = failRequests(String(url), init) && !isToken
+        ? fakeApi.invalidRequest
+        : { status: 200, body: fakeApi.respond(String(url), init) };
+
+      return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }));
+
+    adapter = createAdPlatform(platform, { tenantId: 'default', CONFIG: memoryKv(), accounts: { [platform]: fakeApi.account } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('implements every contract method', () => {
+    expect(validateAdPlatform(platform)).toBeNull();
+
+    for (const method of AD_PLATFORM_METHODS) {
+      expect(typeof adapter[method], method).toBe('function');
+    }
+  });
+
+  it('createCampaign returns the created campaign and its account', async () => {
+    const result = await adapter.createCampaign({
+      name: 'Forro - Conversões',
+      objective: undefined,
+      budget: 50,
+      targeting: { geoLocations: { countries: ['BR'] }, ageMin: 25, ageMax: 55, interests: [], behaviors: [] },
+      creatives: [],
+      keywords: ['forro de gesso'],
+      targetCpa: 40,
+      search: SEARCH
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      accountId: fakeApi.account.accountId,
+      campaignId: CAMPAIGN_ID,
+      name: 'Forro - Conversões'
+    });
+    expect(typeof result.reviewUrl).toBe('string');
+  });
+
+  it('getCampaignMetrics returns totals with spend in reais', async () => {
+    const metrics = await adapter.getCampaignMetrics(CAMPAIGN_ID, 'today');
+
+    expect(parseInt(metrics.impressions)).toBe(1000);
+    expect(parseInt(metrics.clicks)).toBe(40);
+    expect(parseFloat(metrics.spend)).toBeCloseTo(25.5);
+    expect(parseFloat(metrics.conversions)).toBe(3);
+  });
+
+  it('pauseCampaign and activateCampaign change the campaign status', async () => {
+    expect(await adapter.pauseCampaign(CAMPAIGN_ID)).toMatchObject({ success: true });
+    expect(await adapter.activateCampaign(CAMPAIGN_ID)).toMatchObject({ success: true });
+    expect(calls.filter(call => call.method === 'POST' && !call.url.includes('oauth2')).length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('executeDecision applies status decisions and rejects unknown types', async () => {
+    expect(await adapter.executeDecision(CAMPAIGN_ID, { type: 'pause_campaign' })).toMatchObject({ success: true });
+    expect(await adapter.executeDecision(CAMPAIGN_ID, { type: 'rename_campaign', name: 'Novo nome' }))
+      .toMatchObject({ success: true, name: 'Novo nome' });
+    expect(await adapter.executeDecision(CAMPAIGN_ID, { type: 'unknown_decision' })).toMatchObject({ success: false });
+  });
+
+  it('listCampaigns returns campaigns with normalized status and daily budget', async () => {
+    const campaigns = await adapter.listCampaigns();
+
+    expect(campaigns.length).toBeGreaterThan(0);
+    for (const campaign of campaigns) {
+      expect(typeof campaign.campaignId).toBe('string');
+      expect(typeof campaign.name).toBe('string');
+      expect(['active', 'paused', 'archived']).toContain(campaign.status);
+    }
+    expect(campaigns.find(campaign => campaign.campaignId === CAMPAIGN_ID))
+      .toMatchObject({ status: 'active', dailyBudget: 50 });
+  });
+
+  it('getAccountTimezone returns an IANA timezone', async () => {
+    expect(await adapter.getAccountTimezone()).toBe('America/Sao_Paulo');
+  });
+
+  it('throws typed errors for rejected requests without retrying', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    failRequests = () => true;
+
+    const error = await adapter.createCampaign({
+      name: 'Forro - Conversões',
+      budget: 50,
+      targeting: { geoLocations: { countries: ['BR'] } },
+      creatives: [],
+      keywords: [],
+      targetCpa: 40,
+      search: SEARCH
+    }).catch(error => error);
+
+    expect(error).toBeInstanceOf(InvalidRequestError);
+    expect(error).toMatchObject({ platform, status: 400, retryable: false });
+    expect(error.requestId).toBeTruthy();
+    expect(calls.filter(call => !call.url.includes('oauth2')).length).toBe(1);
+  });
+
+  it('createCampaign removes what it created when a later step fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    failRequests = fakeApi.failsCreation;
+
+    const error = await adapter.createCampaign({
+      name: 'Forro - Conversões',
+      budget: 50,
+      targeting: { geoLocations: { countries: ['BR'] } },
+      creatives: [],
+      keywords: ['forro de gesso'],
+      targetCpa: 40,
+      search: SEARCH
+    }).catch(error => error);
+
+    expect(error).toBeInstanceOf(InvalidRequestError);
+    expect(error.rollback?.orphaned || []).toEqual([]);
+    expect(error.rollback?.removed || []).toEqual(fakeApi.rolledBack);
+
+    const deleted = calls.filter(call => call.method === 'DELETE').map(call => new URL(call.url).pathname.split('/').pop());
+    expect(deleted).toEqual(fakeApi.rolledBack.map(resource => resource.resourceId));
+  });
+
+  it('createCampaign records every created resource in the given saga', async () => {
+    const saga = new CreationSaga({ tenantId: 'default' }, { platform, adapter });
+
+    await adapter.createCampaign({
+      name: 'Forro - Conversões',
+      budget: 50,
+      targeting: { geoLocations: { countries: ['BR'] } },
+      creatives: [],
+      keywords: ['forro de gesso'],
+      targetCpa: 40,
+      search: SEARCH,
+      saga
+    });
+
+    expect(saga.resources).toEqual(fakeApi.createdResources);
+  });
+
+  it('deleteResource removes a campaign', async () => {
+    expect(await adapter.deleteResource('campaign', CAMPAIGN_ID)).toMatchObject({ success: true });
+    expect(calls.some(call => call.url.includes(CAMPAIGN_ID) || call.url.endsWith('/campaigns:mutate'))).toBe(true);
+  });
+});
+
+describe('meta campaign activation', () => {
+  let adapter;
+  let statuses;
+  let updates;
+
+  beforeEach(() => {
+    statuses = { 888: 'PAUSED', 901: 'PAUSED', 902: 'PAUSED' };
+    updates = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+      const id = new URL(url).pathname.split('/').pop();
+
+      if (init.method === 'POST') {
+        const { status } = JSON.parse(init.body);
+        updates.push({ id, status });
+        if (id in statuses) statuses[id] = status;
+        return Response.json({ success: true });
+      }
+
+      return Response.json({ id, status: statuses[id] });
+    }));
+
+    adapter = createAdPlatform('meta', { tenantId: 'default', CONFIG: memoryKv(), accounts: { meta: FAKE_APIS.meta.account } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('resumes only the ad sets and ads paused by the integration', async () => {
+    await adapter.recordPausedChildren(CAMPAIGN_ID, ['888', '901']);
+
+    // Anúncio pausado pelo usuário fica pausado
+    await adapter.activateCampaign(CAMPAIGN_ID);
+    expect(statuses).toEqual({ 888: 'ACTIVE', 901: 'ACTIVE', 902: 'PAUSED' });
+
+    // Pausar e ativar de novo só muda a campanha
+    statuses[901] = 'PAUSED';
+    updates = [];
+    await adapter.pauseCampaign(CAMPAIGN_ID);
+    await adapter.activateCampaign(CAMPAIGN_ID);
+    expect(updates).toEqual([{ id: CAMPAIGN_ID, status: 'PAUSED' }, { id: CAMPAIGN_ID, status: 'ACTIVE' }]);
+    expect(statuses[901]).toBe('PAUSED');
+  });
+});
+
+describe('meta ad set budgets', () => {
+  let adapter;
+  let adSets;
+  let updates;
+
+  beforeEach(() => {
+    updates = {};
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+      const { pathname } = new URL(url);
+
+      if (init.method === 'POST') {
+        updates[pathname.split('/').pop()] = JSON.parse(init.body).daily_budget;
+        return Response.json({ success: true });
+      }
+
+      if (pathname.endsWith(`/${CAMPAIGN_ID}/adsets`)) return Response.json({ data: adSets });
+      return Response.json({ daily_budget: '0', lifetime_budget: '0' });
+    }));
+
+    adapter = createAdPlatform('meta', { tenantId: 'default', CONFIG: memoryKv(), accounts: { meta: FAKE_APIS.meta.account } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const total = () => Object.values(updates).reduce((sum, cents) => sum + cents, 0);
+
+  it('keeps R$ 1 per ad set without exceeding the new total', async () => {
+    adSets = [
+      { id: '901', daily_budget: '100', status: 'ACTIVE' },
+      { id: '902', daily_budget: '120', status: 'ACTIVE' },
+      { id: '903', daily_budget: '150', status: 'ACTIVE' },
+      { id: '904', daily_budget: '3000', status: 'ACTIVE' }
+    ];
+
+    const result = await adapter.executeDecision(CAMPAIGN_ID, { type: 'budget_reallocation', adjustment: -50 });
+
+    expect(result).toMatchObject({ success: true, level: 'adset', previousBudget: 33.7, newBudget: 16.85 });
+    expect(total()).toBe(1685);
+    expect(Object.values(updates).every(cents => cents >= 100)).toBe(true);
+    expect(updates).toMatchObject({ 901: 100, 902: 100, 903: 100 });
+  });
+
+  it('raises the total to the per ad set minimum within the campaign limit', async () => {
+    adSets = ['901', '902', '903'].map(id => ({ id, daily_budget: '110', status: 'ACTIVE' }));
+
+    const result = await adapter.executeDecision(CAMPAIGN_ID, { type: 'budget_reallocation', newBudget: 1, maxBudget: 5 });
+
+    expect(result).toMatchObject({ success: true, newBudget: 3 });
+    expect(updates).toEqual({ 901: 100, 902: 100, 903: 100 });
+  });
+
+  it('refuses the change when the ad set minimums exceed the campaign limit', async () => {
+    adSets = ['901', '902', '903'].map(id => ({ id, daily_budget: '100', status: 'ACTIVE' }));
+
+    const result = await adapter.executeDecision(CAMPAIGN_ID, { type: 'budget_reallocation', newBudget: 2, maxBudget: 2 });
+
+    expect(result.success).toBe(false);
+    expect(updates).toEqual({});
+  });
+});
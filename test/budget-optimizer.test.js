@@ -0,0 +1,99 @@
+/**
+ * Otimizador de orçamento: aplicação dos movimentos entre campanhas
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BudgetOptimizer } from '../src/ai-engine/budget-optimizer.js';
+
+const PORTFOLIO = { name: 'Conta principal' };
+
+// Campanha do portfólio como montada por loadCampaigns
+const entry = (id, budget, score) => ({
+  campaign: { id, name: `Campanha ${id}` },
+  budget,
+  minBudget: 5,
+  maxBudget: 1000,
+  performance: { days: 7, spend: budget * 7 },
+  score
+});
+
+describe('BudgetOptimizer.applyMove', () => {
+  let optimizer;
+  let budgets;
+  let decisions;
+  let failingCampaigns;
+
+  beforeEach(() => {
+    budgets = { donor: { min: 5 }, receiver: { min: 5 } };
+    decisions = [];
+    failingCampaigns = new Set();
+
+    // AI Engine simulado: aplica newBudget dentro dos limites da plataforma (mínimo por campanha)
+    optimizer = new BudgetOptimizer({});
+    optimizer.aiEngine = {
+      executeDecision: vi.fn(async (campaignId, decision) => {
+        decisions.push({ campaignId, newBudget: decision.newBudget, reason: decision.reason });
+        if (failingCampaigns.has(campaignId)) {
+          throw new Error('Platform rejected the budget');
+        }
+        return { success: true, newBudget: Math.max(decision.newBudget, budgets[campaignId].min) };
+      })
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('cuts the donor before raising the receiver', async () => {
+    const move = { from: entry('donor', 100, 0.5), to: entry('receiver', 100, 1.5), amount: 20 };
+
+    await optimizer.applyMove(move, PORTFOLIO);
+
+    expect(decisions.map(({ campaignId, newBudget }) => [campaignId, newBudget])).toEqual([['donor', 80], ['receiver', 120]]);
+    expect(move).toMatchObject({ applied: true, amount: 20 });
+    expect(move.from.budget).toBe(80);
+    expect(move.to.budget).toBe(120);
+  });
+
+  it('gives the receiver only what the platform actually released from the donor', async () => {
+    budgets.donor.min = 90;
+    const move = { from: entry('donor', 100, 0.5), to: entry('receiver', 100, 1.5), amount: 20 };
+
+    await optimizer.applyMove(move, PORTFOLIO);
+
+    expect(move.from.budget).toBe(90);
+    expect(move.to.budget).toBe(110);
+    expect(move.amount).toBe(10);
+  });
+
+  it('restores the donor when the receiver increase fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    failingCampaigns.add('receiver');
+    const move = { from: entry('donor', 100, 0.5), to: entry('receiver', 100, 1.5), amount: 20 };
+
+    await optimizer.applyMove(move, PORTFOLIO);
+
+    expect(decisions.map(({ campaignId, newBudget }) => [campaignId, newBudget])).toEqual([
+      ['donor', 80],
+      ['receiver', 120],
+      ['donor', 100]
+    ]);
+    expect(decisions[2].reason).toMatch(/^Reversão/);
+    expect(move.from.budget).toBe(100);
+    expect(move).toMatchObject({ amount: 0, error: 'Platform rejected the budget' });
+    expect(move.applied).toBeUndefined();
+  });
+
+  it('applies cuts and raises without a counterpart', async () => {
+    const cut = { from: entry('donor', 100, 0.5), to: null, amount: 30 };
+    const raise = { from: null, to: entry('receiver', 100, 1.5), amount: 15 };
+
+    await optimizer.applyMove(cut, PORTFOLIO);
+    await optimizer.applyMove(raise, PORTFOLIO);
+
+    expect(cut.from.budget).toBe(70);
+    expect(raise.to.budget).toBe(115);
+    expect([cut.applied, raise.applied]).toEqual([true, true]);
+  });
+});
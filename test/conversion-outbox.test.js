@@ -0,0 +1,94 @@
+/**
+ * Outbox de conversões: backoff das tentativas falhas e dead letter
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ConversionOutbox } from '../src/leads/conversion-outbox.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// D1 simulado: statements executados (run) e lotes (batch), com SQL e binds
+function fakeDb() {
+  const db = {
+    runs: [],
+    batches: [],
+    prepare: (sql) => ({
+      bind: (...values) => ({
+        sql,
+        values,
+        run: async () => {
+          db.runs.push({ sql, values });
+          return { meta: { changes: 1 } };
+        }
+      })
+    }),
+    batch: async (statements) => {
+      db.batches.push(statements.map(({ sql, values }) => ({ sql, values })));
+      return statements.map(() => ({ meta: { changes: 1 } }));
+    }
+  };
+  return db;
+}
+
+const event = (attempts) => ({
+  id: 42,
+  tenant_id: 'loja-centro',
+  lead_id: 7,
+  platform: 'meta',
+  event_name: 'Lead',
+  payload: '{"event_name":"Lead"}',
+  attempts
+});
+
+describe('ConversionOutbox.recordFailure', () => {
+  let DB;
+  let outbox;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW });
+    DB = fakeDb();
+    outbox = new ConversionOutbox({ DB, tenantId: 'loja-centro' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reschedules with exponential backoff', async () => {
+    const delays = [];
+
+    for (const attempts of [0, 1, 2, 3, 4]) {
+      const result = await outbox.recordFailure(event(attempts), 'HTTP 503');
+      expect(result.status).toBe('retry');
+      delays.push(result.retryDelaySeconds);
+    }
+
+    expect(delays).toEqual([60, 120, 240, 480, 960]);
+
+    // 1ª falha: attempts = 1, próxima tentativa em 1 minuto, lock liberado
+    const [first] = DB.runs;
+    expect(first.sql).toMatch(/UPDATE conversion_events/);
+    expect(first.values).toEqual([1, NOW + 60 * 1000, 'HTTP 503', NOW, 42]);
+    expect(DB.batches).toHaveLength(0);
+  });
+
+  it('moves the event to the dead letter after the last attempt', async () => {
+    const result = await outbox.recordFailure(event(5), 'HTTP 503');
+
+    expect(result).toEqual({ status: 'dead', error: 'HTTP 503' });
+    expect(DB.runs).toHaveLength(0);
+
+    const [[insert, remove]] = DB.batches;
+    expect(insert.sql).toMatch(/INSERT INTO conversion_dead_letters/);
+    expect(insert.values).toEqual(['loja-centro', 7, 'meta', 'Lead', '{"event_name":"Lead"}', 6, 'HTTP 503', NOW]);
+    expect(remove.sql).toMatch(/DELETE FROM conversion_events/);
+    expect(remove.values).toEqual([42]);
+  });
+
+  it('sends fatal errors straight to the dead letter', async () => {
+    const result = await outbox.recordFailure(event(0), 'Invalid parameter', { fatal: true });
+
+    expect(result.status).toBe('dead');
+    expect(DB.batches[0][0].values[5]).toBe(1);
+  });
+});
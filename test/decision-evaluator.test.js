@@ -0,0 +1,71 @@
+/**
+ * Avaliação das decisões: comparação do KPI entre as janelas antes e depois
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DecisionEvaluator } from '../src/ai-engine/decision-evaluator.js';
+
+const DECISION_DAY = Date.UTC(2026, 9, 10);
+
+// Totais da janela como retornados por aggregatePerformance (7 dias)
+const window = (spend, conversions) => ({
+  days: 7,
+  impressions: 1000,
+  clicks: 50,
+  conversions,
+  spend,
+  revenue: 0
+});
+
+describe('DecisionEvaluator.evaluate', () => {
+  let evaluator;
+  let windows;
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+
+    // D1 simulado: a janela anterior é consultada antes da posterior
+    const db = {
+      prepare: (sql) => ({
+        bind: (...params) => ({
+          first: async () => windows.shift(),
+          run: async () => {
+            updates.push({ sql, params });
+            return { meta: { changes: 1 } };
+          }
+        })
+      })
+    };
+
+    evaluator = new DecisionEvaluator({ DB: db, tenantId: 'default' });
+  });
+
+  const evaluateBid = (before, after) => {
+    windows = [before, after];
+    return evaluator.evaluate({ id: 1, campaign_id: 'c1', decision_type: 'bid_adjustment', created_at: DECISION_DAY }, 7);
+  };
+
+  it('marks a lower CPL after the decision as a success', async () => {
+    const result = await evaluateBid(window(100, 2), window(100, 4));
+
+    expect(result.success).toBe(true);
+    expect(result.evaluation).toMatchObject({ kpi: 'cpl', before: 50, after: 25 });
+    expect(updates[0].params[2]).toBe(1);
+  });
+
+  it('counts spending without conversions after the decision as a failure', async () => {
+    const result = await evaluateBid(window(100, 2), window(100, 0));
+
+    expect(result.success).toBe(false);
+    expect(updates[0].params[2]).toBe(0);
+  });
+
+  it('leaves the result inconclusive when neither window has conversions', async () => {
+    const result = await evaluateBid(window(100, 0), window(80, 0));
+
+    expect(result.success).toBeNull();
+    expect(result.evaluation).toMatchObject({ before: null, after: null });
+    expect(updates[0].params[2]).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Campanhas de Pesquisa do Google Ads: notação das keywords e validação dos campos enviados
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseKeyword, validateSearchCampaign, RESPONSIVE_SEARCH_AD_LIMITS } from '../src/integrations/google-ads.js';
+
+const SEARCH = {
+  finalUrl: 'https://example.com/forro',
+  headlines: ['Forro de Gesso', 'Orçamento Grátis', 'Instalação Profissional'],
+  descriptions: ['Forro de gesso com instalação profissional.', 'Parcele em até 10x sem juros.']
+};
+
+const texts = (count, length) => Array.from({ length: count }, (_, i) => `${i}`.padEnd(length, 'x'));
+
+describe('parseKeyword', () => {
+  it('reads exact, phrase and broad match types', () => {
+    expect(parseKeyword('[forro de gesso]')).toEqual({ text: 'forro de gesso', matchType: 'EXACT', negative: false });
+    expect(parseKeyword('"forro de gesso"')).toEqual({ text: 'forro de gesso', matchType: 'PHRASE', negative: false });
+    expect(parseKeyword(' forro de gesso ')).toEqual({ text: 'forro de gesso', matchType: 'BROAD', negative: false });
+  });
+
+  it('marks keywords prefixed with - as negative', () => {
+    expect(parseKeyword('-grátis')).toEqual({ text: 'grátis', matchType: 'BROAD', negative: true });
+    expect(parseKeyword('-"forro pvc"')).toEqual({ text: 'forro pvc', matchType: 'PHRASE', negative: true });
+    expect(parseKeyword('- [forro de madeira]')).toEqual({ text: 'forro de madeira', matchType: 'EXACT', negative: true });
+  });
+
+  it('keeps unbalanced marks as broad text', () => {
+    expect(parseKeyword('[forro')).toEqual({ text: '[forro', matchType: 'BROAD', negative: false });
+    expect(parseKeyword('"forro')).toEqual({ text: '"forro', matchType: 'BROAD', negative: false });
+  });
+});
+
+describe('validateSearchCampaign', () => {
+  it('accepts a complete search campaign', () => {
+    expect(validateSearchCampaign({
+      ...SEARCH,
+      negativeKeywords: ['"forro pvc"'],
+      sitelinks: [{ text: 'Fale Conosco', url: 'https://example.com/contato' }],
+      callouts: ['Orçamento grátis']
+    }, ['[forro de gesso]', '-curso'])).toBeNull();
+  });
+
+  it('requires an http(s) final URL', () => {
+    expect(validateSearchCampaign({})).toMatch(/finalUrl/);
+    expect(validateSearchCampaign({ finalUrl: 'ftp://example.com' })).toMatch(/finalUrl/);
+  });
+
+  it('accepts up to 15 headlines of 30 characters and 4 descriptions of 90', () => {
+    const { headlines, descriptions } = RESPONSIVE_SEARCH_AD_LIMITS;
+    expect(headlines).toMatchObject({ max: 15, maxLength: 30 });
+    expect(descriptions).toMatchObject({ max: 4, maxLength: 90 });
+
+    expect(validateSearchCampaign({ ...SEARCH, headlines: texts(15, 30), descriptions: texts(4, 90) })).toBeNull();
+    expect(validateSearchCampaign({ ...SEARCH, headlines: texts(16, 30) })).toMatch(/headlines must have 3 to 15 items/);
+    expect(validateSearchCampaign({ ...SEARCH, headlines: texts(3, 31) })).toMatch(/headlines must be non-empty texts up to 30/);
+    expect(validateSearchCampaign({ ...SEARCH, descriptions: texts(5, 90) })).toMatch(/descriptions must have 2 to 4 items/);
+    expect(validateSearchCampaign({ ...SEARCH, descriptions: texts(2, 91) })).toMatch(/descriptions must be non-empty texts up to 90/);
+    expect(validateSearchCampaign({ ...SEARCH, headlines: ['Forro', 'Forro', 'Gesso'] })).toMatch(/must not repeat/);
+  });
+
+  it('validates sitelinks, callouts and keyword length', () => {
+    expect(validateSearchCampaign({ ...SEARCH, sitelinks: [{ text: 'Contato' }] })).toMatch(/sitelinks need text/);
+    expect(validateSearchCampaign({
+      ...SEARCH,
+      sitelinks: [{ text: 'Contato', url: 'https://example.com', description1: 'Só uma' }]
+    })).toMatch(/both description1 and description2/);
+    expect(validateSearchCampaign({ ...SEARCH, callouts: ['x'.repeat(26)] })).toMatch(/callouts/);
+    expect(validateSearchCampaign(SEARCH, ['palavra '.repeat(11)])).toMatch(/keywords must have/);
+    expect(validateSearchCampaign(SEARCH, ['-'])).toMatch(/keywords must have/);
+  });
+});
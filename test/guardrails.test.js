@@ -0,0 +1,101 @@
+/**
+ * Guardrails das decisões: intervalos de confiança e regras estatísticas
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DecisionGuardrails, DEFAULT_GUARDRAIL_SETTINGS, wilsonInterval, poissonInterval } from '../src/ai-engine/guardrails.js';
+
+const Z = 1.96;
+
+// Contexto de buildContext sem o D1: janela atual, baseline e hora local da conta
+function context({ current = {}, baseline = {}, localHour = 9 } = {}) {
+  const empty = { impressions: 0, clicks: 0, spend: 0, conversions: 0, revenue: 0, ctr: 0 };
+  return {
+    settings: DEFAULT_GUARDRAIL_SETTINGS,
+    z: Z,
+    current: { ...empty, ...current },
+    baseline: { ...empty, ...baseline },
+    timezone: 'America/Sao_Paulo',
+    localHour
+  };
+}
+
+describe('wilsonInterval', () => {
+  it('matches the Wilson score interval', () => {
+    const { lower, upper } = wilsonInterval(10, 100, Z);
+    expect(lower).toBeCloseTo(0.0552, 4);
+    expect(upper).toBeCloseTo(0.1744, 4);
+  });
+
+  it('stays within [0, 1] at the edges', () => {
+    expect(wilsonInterval(0, 50, Z).lower).toBe(0);
+    expect(wilsonInterval(0, 50, Z).upper).toBeCloseTo(0.0714, 4);
+    expect(wilsonInterval(50, 50, Z).upper).toBe(1);
+    expect(wilsonInterval(0, 0, Z)).toEqual({ lower: 0, upper: 1 });
+  });
+});
+
+describe('poissonInterval', () => {
+  it('approximates the exact Poisson interval', () => {
+    const small = poissonInterval(10, Z);
+    expect(small.lower).toBeCloseTo(4.795, 1);
+    expect(small.upper).toBeCloseTo(18.390, 1);
+
+    const large = poissonInterval(100, Z);
+    expect(large.lower).toBeCloseTo(81.36, 1);
+    expect(large.upper).toBeCloseTo(121.63, 1);
+  });
+
+  it('has a zero lower bound and a positive upper bound with no events', () => {
+    const { lower, upper } = poissonInterval(0, Z);
+    expect(lower).toBe(0);
+    expect(upper).toBeCloseTo(3.689, 1);
+  });
+});
+
+describe('DecisionGuardrails rules', () => {
+  const guardrails = new DecisionGuardrails({});
+
+  it('acts on CPL only when the lower bound is above the target', () => {
+    const targets = { targetCpl: 50 };
+
+    expect(guardrails.checkCpl(context({ current: { clicks: 200, spend: 400, conversions: 10 } }), targets)).toBeNull();
+    expect(guardrails.checkCpl(context({ current: { clicks: 20, spend: 1000, conversions: 10 } }), targets).skipReason)
+      .toBe('insufficient_sample');
+    // CPL 60, mas com 10 conversões o limite inferior (~32) fica abaixo da meta
+    expect(guardrails.checkCpl(context({ current: { clicks: 200, spend: 600, conversions: 10 } }), targets).skipReason)
+      .toBe('not_significant');
+    expect(guardrails.checkCpl(context({ current: { clicks: 500, spend: 2000, conversions: 10 } }), targets).pass).toBe(true);
+    expect(guardrails.checkCpl(context({
+      current: { clicks: 500, spend: 2000, conversions: 10 },
+      baseline: { spend: 5000, conversions: 10 }
+    }), targets).skipReason).toBe('improving_vs_baseline');
+  });
+
+  it('acts on CTR only when the upper bound is below the target', () => {
+    const targets = { minCtr: 1 };
+
+    expect(guardrails.checkCtr(context({ current: { impressions: 500, clicks: 2, ctr: 0.4 } }), targets).skipReason)
+      .toBe('insufficient_sample');
+    expect(guardrails.checkCtr(context({ current: { impressions: 1000, clicks: 8, ctr: 0.8 } }), targets).skipReason)
+      .toBe('not_significant');
+    expect(guardrails.checkCtr(context({ current: { impressions: 10000, clicks: 40, ctr: 0.4 } }), targets).pass).toBe(true);
+  });
+
+  it('acts on pacing only before noon with enough clicks and a projection above the budget', () => {
+    const targets = { budgetPacingThreshold: 0.5 };
+    const metrics = { dailyBudget: 100, spend: 60, clicks: 100 };
+
+    expect(guardrails.checkPacing(context({ localHour: 14 }), metrics, targets)).toBeNull();
+    expect(guardrails.checkPacing(context(), { ...metrics, spend: 40 }, targets)).toBeNull();
+    expect(guardrails.checkPacing(context(), { ...metrics, clicks: 10 }, targets).skipReason).toBe('insufficient_sample');
+
+    // 60 gastos até as 10h: projeção de 144, limite inferior (~117) acima do orçamento
+    const result = guardrails.checkPacing(context(), metrics, targets);
+    expect(result.pass).toBe(true);
+    expect(result.evidence.projectedSpend).toBeCloseTo(144, 5);
+
+    // Às 11h a projeção (120) cai para ~98 no limite inferior
+    expect(guardrails.checkPacing(context({ localHour: 11 }), metrics, targets).skipReason).toBe('not_significant');
+  });
+});
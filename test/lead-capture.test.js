@@ -0,0 +1,65 @@
+/**
+ * Captura de leads: telefone, formato do corpo e normalização dos campos
+ */
+
+import { describe, it, expect } from 'vitest';
+import { normalizePhoneBR } from '../src/utils/helpers.js';
+import { LeadCapture, validateLeadBody, HONEYPOT_FIELD, PRIVACY_FIELD } from '../src/leads/capture.js';
+
+describe('normalizePhoneBR', () => {
+  it('normalizes mobile and landline numbers to E.164', () => {
+    expect(normalizePhoneBR('(31) 99999-8888')).toBe('+5531999998888');
+    expect(normalizePhoneBR('31 3333-4444')).toBe('+553133334444');
+  });
+
+  it('accepts country code and long-distance prefixes', () => {
+    expect(normalizePhoneBR('+55 31 99999-8888')).toBe('+5531999998888');
+    expect(normalizePhoneBR('0055 31 99999-8888')).toBe('+5531999998888');
+    expect(normalizePhoneBR('031 99999-8888')).toBe('+5531999998888');
+    expect(normalizePhoneBR('0 21 31 99999-8888')).toBe('+5531999998888');
+  });
+
+  it('rejects numbers without DDD, invalid DDDs and mobiles without the 9', () => {
+    expect(normalizePhoneBR('99999-8888')).toBeNull();
+    expect(normalizePhoneBR('(10) 99999-8888')).toBeNull();
+    expect(normalizePhoneBR('(31) 89999-8888')).toBeNull();
+    expect(normalizePhoneBR('(31) 1333-4444')).toBeNull();
+    expect(normalizePhoneBR(31999998888)).toBeNull();
+  });
+});
+
+describe('validateLeadBody', () => {
+  it('accepts form fields sent as strings', () => {
+    expect(validateLeadBody({ nome: 'Maria', email: 'maria@example.com', telefone: '31999998888', [HONEYPOT_FIELD]: '' })).toBeNull();
+  });
+
+  it('rejects bodies that are not objects', () => {
+    for (const body of [null, 'lead', 42, ['nome']]) {
+      expect(validateLeadBody(body)).toBe('Dados do formulário inválidos');
+    }
+  });
+
+  it('rejects text fields that are not strings', () => {
+    expect(validateLeadBody({ nome: 'Maria', email: ['maria@example.com'] })).toBe('Campo inválido: email');
+    expect(validateLeadBody({ nome: 'Maria', [HONEYPOT_FIELD]: { url: 'x' } })).toBe(`Campo inválido: ${HONEYPOT_FIELD}`);
+  });
+});
+
+describe('LeadCapture.normalize', () => {
+  const capture = new LeadCapture({});
+  const body = { nome: ' Maria ', email: ' Maria@Example.com ', telefone: '(31) 99999-8888', [PRIVACY_FIELD]: 'on' };
+
+  it('normalizes name, e-mail and phone', () => {
+    const { lead } = capture.normalize(body);
+    expect(lead).toMatchObject({ nome: 'Maria', email: 'maria@example.com', telefone: '+5531999998888' });
+    expect(lead.consent.tracking).toBe(false);
+    expect(lead.tracking).toEqual({});
+  });
+
+  it('requires name, e-mail, a valid phone and the privacy policy', () => {
+    expect(capture.normalize({ ...body, nome: undefined }).error).toMatch(/obrigatórios/);
+    expect(capture.normalize({ ...body, email: 'maria' }).error).toMatch(/E-mail inválido/);
+    expect(capture.normalize({ ...body, telefone: '123' }).error).toMatch(/Telefone inválido/);
+    expect(capture.normalize({ ...body, [PRIVACY_FIELD]: undefined }).error).toMatch(/Política de Privacidade/);
+  });
+});
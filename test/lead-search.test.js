@@ -0,0 +1,27 @@
+/**
+ * Exportação de leads: células do CSV
+ */
+
+import { describe, it, expect } from 'vitest';
+import { csvCell } from '../src/leads/lead-search.js';
+
+describe('csvCell', () => {
+  it('neutralizes every text starting with a formula character', () => {
+    for (const text of ['=1+1', '+5511999998888', '-2+3', '@SUM(A1)', '\t=1', '\r=1', '+cmd', '-x']) {
+      expect(csvCell(text)).toMatch(/^"?'/);
+    }
+    expect(csvCell('=HYPERLINK("http://x")')).toBe(`"'=HYPERLINK(""http://x"")"`);
+  });
+
+  it('keeps numbers and plain text as they are', () => {
+    expect(csvCell(-5)).toBe('-5');
+    expect(csvCell(1500)).toBe('1500');
+    expect(csvCell('Maria')).toBe('Maria');
+    expect(csvCell(null)).toBe('');
+  });
+
+  it('quotes cells with the separator, quotes or line breaks', () => {
+    expect(csvCell('a;b')).toBe('"a;b"');
+    expect(csvCell('linha 1\nlinha 2')).toBe('"linha 1\nlinha 2"');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Criativos do Meta: spec do /adcreatives para cada formato
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildCreativeSpec } from '../src/integrations/meta-creatives.js';
+
+const PAGE = { pageId: 'page' };
+const LINK = 'https://example.com/forro';
+
+// Arquivos já enviados ao Meta: chave do R2 => { imageHash } ou { videoId, thumbnailUrl }
+const MEDIA = new Map([
+  ['creatives/t1/a.jpg', { imageHash: 'hash-a' }],
+  ['creatives/t1/b.jpg', { imageHash: 'hash-b' }],
+  ['creatives/t1/thumb.jpg', { imageHash: 'hash-thumb' }],
+  ['creatives/t1/v.mp4', { videoId: 'video-1', thumbnailUrl: 'https://fb.example/thumb-1.jpg' }]
+]);
+
+describe('buildCreativeSpec', () => {
+  it('builds a video creative with the Meta thumbnail or the uploaded one', () => {
+    const creative = { video: 'creatives/t1/v.mp4', primaryText: 'Texto', headline: 'Título', link: LINK, cta: 'CONTACT_US' };
+
+    expect(buildCreativeSpec(creative, MEDIA, PAGE)).toEqual({
+      object_story_spec: {
+        page_id: 'page',
+        video_data: {
+          video_id: 'video-1',
+          image_url: 'https://fb.example/thumb-1.jpg',
+          message: 'Texto',
+          title: 'Título',
+          link_description: undefined,
+          call_to_action: { type: 'CONTACT_US', value: { link: LINK } }
+        }
+      }
+    });
+
+    const { video_data } = buildCreativeSpec({ ...creative, thumbnail: 'creatives/t1/thumb.jpg' }, MEDIA, PAGE).object_story_spec;
+    expect(video_data.image_hash).toBe('hash-thumb');
+    expect(video_data).not.toHaveProperty('image_url');
+  });
+
+  it('builds a carousel with image and video cards', () => {
+    const spec = buildCreativeSpec({
+      cards: [
+        { image: 'creatives/t1/a.jpg', headline: 'Card 1', description: 'Desc 1' },
+        { video: 'creatives/t1/v.mp4', headline: 'Card 2', link: 'https://example.com/outro' }
+      ],
+      primaryText: 'Texto',
+      link: LINK
+    }, MEDIA, PAGE);
+
+    const { link_data } = spec.object_story_spec;
+    expect(link_data).toMatchObject({ link: LINK, message: 'Texto', multi_share_optimized: true, call_to_action: { type: 'LEARN_MORE' } });
+    expect(link_data.child_attachments).toEqual([
+      {
+        link: LINK,
+        name: 'Card 1',
+        description: 'Desc 1',
+        image_hash: 'hash-a',
+        call_to_action: { type: 'LEARN_MORE', value: { link: LINK } }
+      },
+      {
+        link: 'https://example.com/outro',
+        name: 'Card 2',
+        description: undefined,
+        video_id: 'video-1',
+        picture: 'https://fb.example/thumb-1.jpg',
+        call_to_action: { type: 'LEARN_MORE', value: { link: 'https://example.com/outro' } }
+      }
+    ]);
+  });
+
+  it('builds a dynamic creative with an asset feed', () => {
+    const creative = {
+      images: ['creatives/t1/a.jpg', 'creatives/t1/b.jpg'],
+      primaryTexts: ['Texto 1', 'Texto 2'],
+      headlines: ['Título 1'],
+      link: LINK,
+      cta: 'GET_QUOTE'
+    };
+
+    expect(buildCreativeSpec(creative, MEDIA, PAGE)).toEqual({
+      object_story_spec: { page_id: 'page' },
+      asset_feed_spec: {
+        images: [{ hash: 'hash-a' }, { hash: 'hash-b' }],
+        videos: [],
+        bodies: [{ text: 'Texto 1' }, { text: 'Texto 2' }],
+        titles: [{ text: 'Título 1' }],
+        descriptions: [],
+        link_urls: [{ website_url: LINK }],
+        call_to_action_types: ['GET_QUOTE'],
+        ad_formats: ['SINGLE_IMAGE']
+      }
+    });
+
+    const withVideo = buildCreativeSpec({ ...creative, videos: ['creatives/t1/v.mp4'] }, MEDIA, PAGE).asset_feed_spec;
+    expect(withVideo.videos).toEqual([{ video_id: 'video-1', thumbnail_url: 'https://fb.example/thumb-1.jpg' }]);
+    expect(withVideo.ad_formats).toEqual(['AUTOMATIC_FORMAT']);
+
+    const videoOnly = buildCreativeSpec({ ...creative, images: undefined, videos: ['creatives/t1/v.mp4'] }, MEDIA, PAGE).asset_feed_spec;
+    expect(videoOnly.ad_formats).toEqual(['SINGLE_VIDEO']);
+  });
+
+  it('builds a single image creative from an R2 key or an existing image hash', () => {
+    const creative = { image: 'creatives/t1/a.jpg', primaryText: 'Texto', headline: 'Título', link: LINK };
+
+    expect(buildCreativeSpec(creative, MEDIA, PAGE).object_story_spec.link_data.image_hash).toBe('hash-a');
+    expect(buildCreativeSpec({ ...creative, image: undefined, imageHash: 'uploaded' }, MEDIA, PAGE)
+      .object_story_spec.link_data.image_hash).toBe('uploaded');
+  });
+});
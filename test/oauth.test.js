@@ -0,0 +1,63 @@
+/**
+ * Conexões OAuth: token do Meta revogado entre as renovações do cron
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AuthenticationError } from '../src/integrations/api-client.js';
+import { createAdPlatform } from '../src/integrations/ad-platforms.js';
+
+const ACCOUNT = { accountId: '111', accessToken: 'token', pixelId: 'pixel', pageId: 'page' };
+
+// D1 simulado: statements executados, com SQL e binds
+function fakeDb() {
+  const runs = [];
+  return {
+    runs,
+    prepare: (sql) => ({
+      bind: (...values) => ({
+        run: async () => {
+          runs.push({ sql, values });
+          return { meta: { changes: 1 } };
+        }
+      })
+    })
+  };
+}
+
+describe('meta token revoked between refreshes', () => {
+  let DB;
+
+  beforeEach(() => {
+    DB = fakeDb();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json(
+      { error: { message: 'Error validating access token: The user has not authorized application', type: 'OAuthException', code: 190, error_subcode: 458 } },
+      { status: 400 }
+    )));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('marks the OAuth connection revoked and raises an alert on code 190', async () => {
+    const adapter = createAdPlatform('meta', { tenantId: 'loja-centro', DB, accounts: { meta: { ...ACCOUNT, oauth: true } } });
+
+    await expect(adapter.pauseCampaign('777')).rejects.toBeInstanceOf(AuthenticationError);
+
+    const [revoke, alert] = DB.runs;
+    expect(revoke.sql).toMatch(/UPDATE oauth_connections SET status = 'revoked'/);
+    expect(revoke.values.slice(2)).toEqual(['loja-centro', 'meta']);
+    expect(alert.sql).toMatch(/INSERT INTO alerts/);
+    expect(alert.values).toEqual(expect.arrayContaining(['loja-centro', 'oauth_revoked', 'critical']));
+  });
+
+  it('leaves static account tokens alone', async () => {
+    const adapter = createAdPlatform('meta', { tenantId: 'loja-centro', DB, accounts: { meta: ACCOUNT } });
+
+    await expect(adapter.pauseCampaign('777')).rejects.toBeInstanceOf(AuthenticationError);
+    expect(DB.runs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Webhooks de saída: assinatura HMAC e registro das entregas
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { hmacSha256Hex } from '../src/utils/helpers.js';
+import { WebhookIntegration } from '../src/integrations/webhooks.js';
+
+// D1 simulado: guarda os binds de cada INSERT
+function fakeDb() {
+  const inserts = [];
+  return {
+    inserts,
+    prepare: (sql) => ({
+      bind: (...values) => ({
+        run: async () => {
+          inserts.push({ sql, values });
+          return { meta: { changes: 1 } };
+        }
+      })
+    })
+  };
+}
+
+describe('hmacSha256Hex', () => {
+  it('matches the RFC 4231 test vector', async () => {
+    expect(await hmacSha256Hex('Jefe', 'what do ya want for nothing?'))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+});
+
+describe('WebhookIntegration.deliver', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('signs "{timestamp}.{payload}" with the webhook secret and logs the delivery', async () => {
+    const fetch = vi.fn(async () => new Response('ok', { status: 200 }));
+    vi.stubGlobal('fetch', fetch);
+
+    const DB = fakeDb();
+    const webhooks = new WebhookIntegration({ DB });
+    const payload = JSON.stringify({ event: 'lead.created', data: { id: 1 } });
+
+    const result = await webhooks.deliver({ id: 7, url: 'https://crm.example.com/hook', secret: 's3cret' }, 'lead.created', payload);
+
+    expect(result).toEqual({ webhookId: 7, status: 'delivered', attempts: 1, responseStatus: 200, error: null });
+
+    const [url, init] = fetch.mock.calls[0];
+    const timestamp = init.headers['X-Webhook-Timestamp'];
+    const expected = createHmac('sha256', 's3cret').update(`${timestamp}.${payload}`).digest('hex');
+
+    expect(url).toBe('https://crm.example.com/hook');
+    expect(init.body).toBe(payload);
+    expect(init.headers['X-Webhook-Event']).toBe('lead.created');
+    expect(init.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+
+    expect(DB.inserts).toHaveLength(1);
+    expect(DB.inserts[0].values.slice(0, 6)).toEqual([7, 'lead.created', payload, 'delivered', 1, 200]);
+  });
+});